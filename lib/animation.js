@@ -0,0 +1,302 @@
+/**
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const easing = require('./easing');
+
+// default time between two rendered frames
+const FRAME_MSEC = 20;
+
+/**
+ * Animator
+ *
+ * Plays keyframe animations on an LED using timers, so the event loop is never blocked.
+ * Only one animation runs at a time: playing a new one cancels the running one.
+ *
+ * A keyframe is {color, durationMs, easing}, where `color` is in #RRGGBB format, `durationMs` is
+ * the time it takes to transition from the previous keyframe to this one (0 to jump) and `easing`
+ * is the easing of that transition (see lib/easing.js). The first keyframe is shown immediately.
+ *
+ * @param {Function} render Function called with a #RRGGBB color to show it on the LED.
+ * @param {Object} options Optional settings: `frameMsec` (time between frames).
+ * @constructor
+ */
+function Animator(render, options) {
+    this._render = render;
+    this._frameMsec = (options && options.frameMsec) || FRAME_MSEC;
+    this._current = undefined;
+}
+
+/**
+ * Play an animation, replacing the running one.
+ *
+ * @param {Array} keyframes The keyframes of the animation.
+ * @param {Object} options Optional settings:
+ *      `repeat`: number of times to play the keyframes (default 1, Infinity to loop until cancelled),
+ *      `speed`: playback speed multiplier (default 1, 2 is twice as fast),
+ *      `easing`: easing for keyframes that don't specify one (default 'linear'),
+ *      `name`: name of the animation, reported by the handle.
+ *
+ * Returns an AnimationHandle.
+ */
+Animator.prototype.play = function(keyframes, options) {
+    options = withDefaults(options, {
+        repeat: 1,
+        speed: 1,
+        easing: 'linear',
+        name: 'keyframes'
+    });
+
+    if (!Array.isArray(keyframes) || keyframes.length == 0) {
+        throw new Error('an animation needs at least one keyframe');
+    }
+    if (!(options.speed > 0)) {
+        throw new Error('animation speed must be greater than 0');
+    }
+
+    var frames = keyframes.map(function(keyframe) {
+        return {
+            color: parseColor(keyframe.color),
+            durationMs: Math.max(0, keyframe.durationMs || 0),
+            easing: easing.getEasing(keyframe.easing || options.easing)
+        };
+    });
+
+    this.stop();
+
+    var handle = new AnimationHandle(this, options.name);
+    this._current = handle;
+
+    var cycleMs = frames.reduce(function(total, frame, i) {
+        return i == 0 ? 0 : total + frame.durationMs;
+    }, 0);
+    var totalMs = cycleMs == 0 ? 0 : cycleMs * options.repeat;
+
+    var self = this;
+    var start = Date.now();
+
+    var tick = function() {
+        var elapsed = (Date.now() - start) * options.speed;
+
+        if (elapsed >= totalMs) {
+            self._render(formatColor(frames[frames.length - 1].color));
+            self._finish(handle, true);
+            return;
+        }
+
+        self._render(formatColor(colorAt(frames, elapsed % cycleMs)));
+    };
+
+    // show the first keyframe right away
+    this._render(formatColor(frames[0].color));
+
+    if (totalMs == 0) {
+        this._render(formatColor(frames[frames.length - 1].color));
+        this._finish(handle, true);
+    } else {
+        handle._timer = setInterval(tick, this._frameMsec);
+    }
+
+    return handle;
+}
+
+/**
+ * Stop the running animation, if any. The LED keeps the color of the last rendered frame.
+ */
+Animator.prototype.stop = function() {
+    if (this._current != undefined) {
+        this._finish(this._current, false);
+    }
+}
+
+/**
+ * Whether an animation is currently running.
+ */
+Animator.prototype.isRunning = function() {
+    return this._current != undefined;
+}
+
+Animator.prototype._finish = function(handle, completed) {
+    if (handle._timer != undefined) {
+        clearInterval(handle._timer);
+        handle._timer = undefined;
+    }
+    if (this._current === handle) {
+        this._current = undefined;
+    }
+    if (handle.running) {
+        handle.running = false;
+        handle.completed = completed;
+        handle._resolve(completed);
+    }
+}
+
+/**
+ * AnimationHandle
+ *
+ * Returned for every animation. It can be awaited: it resolves to true when the animation
+ * completes, or to false when it is cancelled or replaced by another animation.
+ *
+ * @param {Animator} animator The animator playing the animation.
+ * @param {String} name The name of the animation.
+ * @constructor
+ */
+function AnimationHandle(animator, name) {
+    var self = this;
+
+    this._animator = animator;
+    this._timer = undefined;
+    this.name = name;
+    this.running = true;
+    this.completed = false;
+    this.promise = new Promise(function(resolve) {
+        self._resolve = resolve;
+    });
+}
+
+/**
+ * Cancel the animation. Does nothing if it already ended.
+ */
+AnimationHandle.prototype.cancel = function() {
+    this._animator._finish(this, false);
+}
+
+AnimationHandle.prototype.then = function(onFulfilled, onRejected) {
+    return this.promise.then(onFulfilled, onRejected);
+}
+
+AnimationHandle.prototype.catch = function(onRejected) {
+    return this.promise.catch(onRejected);
+}
+
+/** ------------------------------------------------------------------------ */
+/** BUILT-IN ANIMATIONS                                                      */
+/** ------------------------------------------------------------------------ */
+
+/**
+ * The keyframes of the built-in animations. Colors must already be in #RRGGBB format.
+ */
+const animations = {
+    /**
+     * Fade in and out of a color, once per `periodMs`.
+     */
+    breathe: function(color, options) {
+        var half = (options.periodMs || 2000) / 2;
+        return [
+            { color: '#000000' },
+            { color: color, durationMs: half, easing: options.easing || 'easeInOutSine' },
+            { color: '#000000', durationMs: half, easing: options.easing || 'easeInOutSine' }
+        ];
+    },
+
+    /**
+     * Switch a color on for `onMs` and off for `offMs`.
+     */
+    blink: function(color, options) {
+        var onMs = options.onMs || 500;
+        var offMs = options.offMs || onMs;
+        return [
+            { color: color },
+            { color: color, durationMs: onMs },
+            { color: '#000000', durationMs: 0 },
+            { color: '#000000', durationMs: offMs }
+        ];
+    },
+
+    /**
+     * Cross-fade between two colors in `durationMs`.
+     */
+    fade: function(fromColor, toColor, options) {
+        return [
+            { color: fromColor },
+            { color: toColor, durationMs: options.durationMs || 1000, easing: options.easing }
+        ];
+    },
+
+    /**
+     * Cycle through the hues of the color wheel, once per `periodMs`.
+     */
+    rainbow: function(options) {
+        var hues = ['#FF0000', '#FFFF00', '#00FF00', '#00FFFF', '#0000FF', '#FF00FF', '#FF0000'];
+        var step = (options.periodMs || 6000) / (hues.length - 1);
+        return hues.map(function(hue, i) {
+            return { color: hue, durationMs: i == 0 ? 0 : step, easing: 'linear' };
+        });
+    }
+};
+
+/** ------------------------------------------------------------------------ */
+/** HELPERS                                                                  */
+/** ------------------------------------------------------------------------ */
+
+/**
+ * Interpolate the color of a keyframe sequence at a point in time.
+ *
+ * @param {Array} frames Parsed keyframes.
+ * @param {Number} elapsed Milliseconds since the first keyframe.
+ */
+function colorAt(frames, elapsed) {
+    for (var i = 1; i < frames.length; i++) {
+        var frame = frames[i];
+        if (elapsed < frame.durationMs) {
+            var t = frame.easing(elapsed / frame.durationMs);
+            var from = frames[i - 1].color;
+            return from.map(function(value, c) {
+                return value + (frame.color[c] - value) * t;
+            });
+        }
+        elapsed -= frame.durationMs;
+    }
+    return frames[frames.length - 1].color;
+}
+
+/**
+ * Fill in the options that are missing or undefined.
+ */
+function withDefaults(options, defaults) {
+    var result = Object.assign({}, defaults);
+    Object.keys(options || {}).forEach(function(key) {
+        if (options[key] !== undefined) {
+            result[key] = options[key];
+        }
+    });
+    return result;
+}
+
+function parseColor(color) {
+    if (typeof color != 'string' || !/^#[0-9A-F]{6}$/i.test(color)) {
+        throw new Error('animation keyframe colors must be in #RRGGBB format, got "' + color + '"');
+    }
+    return [1, 3, 5].map(function(i) {
+        return parseInt(color.substr(i, 2), 16);
+    });
+}
+
+function formatColor(rgb) {
+    return '#' + rgb.map(function(value) {
+        var clamped = Math.max(0, Math.min(255, Math.round(value)));
+        return ('0' + clamped.toString(16).toUpperCase()).slice(-2);
+    }).join('');
+}
+
+/** ------------------------------------------------------------------------ */
+/** MODULE EXPORTS                                                           */
+/** ------------------------------------------------------------------------ */
+
+module.exports = Animator;
+module.exports.AnimationHandle = AnimationHandle;
+module.exports.animations = animations;
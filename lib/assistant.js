@@ -0,0 +1,144 @@
+/**
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Helpers for Assistant v2 message responses.
+ *
+ * The `output.generic` list of a response is normalized into an ordered list of actions:
+ *      {type: 'say', text}
+ *      {type: 'options', title, description, options: [{label, value}]}, where value is the text to send back
+ *      {type: 'pause', durationMs, typing}
+ *      {type: 'image', url, title, description}
+ *      {type: 'transfer', message, agentAvailable, agentUnavailable}
+ *      {type: 'other', responseType, raw} for response types TJBot doesn't act on
+ */
+
+/**
+ * Normalize the generic output of an Assistant response into actions.
+ *
+ * @param {Object} result The Assistant message response.
+ */
+function normalizeResponse(result) {
+    var generic = (result && result.output && result.output.generic) || [];
+
+    return generic.map(function(item) {
+        switch (item.response_type) {
+            case 'text':
+                return {
+                    type: 'say',
+                    text: item.text
+                };
+
+            case 'option':
+                return {
+                    type: 'options',
+                    title: item.title || '',
+                    description: item.description || '',
+                    options: (item.options || []).map(normalizeOption)
+                };
+
+            case 'suggestion':
+                return {
+                    type: 'options',
+                    title: item.title || '',
+                    description: '',
+                    options: (item.suggestions || []).map(normalizeOption)
+                };
+
+            case 'pause':
+                return {
+                    type: 'pause',
+                    durationMs: item.time || 0,
+                    typing: item.typing == true
+                };
+
+            case 'image':
+                return {
+                    type: 'image',
+                    url: item.source,
+                    title: item.title || '',
+                    description: item.description || ''
+                };
+
+            case 'connect_to_agent':
+                return {
+                    type: 'transfer',
+                    message: item.message_to_human_agent || '',
+                    agentAvailable: (item.agent_available && item.agent_available.message) || '',
+                    agentUnavailable: (item.agent_unavailable && item.agent_unavailable.message) || ''
+                };
+
+            default:
+                return {
+                    type: 'other',
+                    responseType: item.response_type,
+                    raw: item
+                };
+        }
+    });
+}
+
+function normalizeOption(option) {
+    var value = option.value && option.value.input ? option.value.input.text : option.value;
+    return {
+        label: option.label,
+        value: value != undefined ? value : option.label
+    };
+}
+
+/**
+ * Get the text TJBot says for a response, i.e. all `say` actions joined together.
+ *
+ * @param {Array} actions The normalized actions.
+ */
+function responseText(actions) {
+    return actions.filter(function(action) {
+        return action.type == 'say' && action.text;
+    }).map(function(action) {
+        return action.text;
+    }).join(' ');
+}
+
+/**
+ * Phrase a list of options so it can be read aloud, e.g. "Pick a color: red, green or blue."
+ *
+ * @param {Object} action An `options` action.
+ */
+function optionsText(action) {
+    var labels = action.options.map(function(option) {
+        return option.label;
+    });
+    var list = labels.length > 1 ?
+        labels.slice(0, -1).join(', ') + ' or ' + labels[labels.length - 1] :
+        labels.join('');
+
+    var intro = [action.title, action.description].filter(function(text) {
+        return text;
+    }).join(' ');
+
+    if (intro == '') {
+        return list;
+    }
+    return /[.:?!]$/.test(intro) ? intro + ' ' + list : intro + ': ' + list;
+}
+
+module.exports = {
+    normalizeResponse: normalizeResponse,
+    responseText: responseText,
+    optionsText: optionsText
+};
@@ -0,0 +1,368 @@
+/**
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const util = require('util');
+const Transform = require('stream').Transform;
+const Writable = require('stream').Writable;
+
+/**
+ * Raw PCM audio helpers.
+ *
+ * A format is {rate, channels, bitDepth}: the sample rate in Hz, the number of interleaved channels and the
+ * bits per sample. Samples are little endian and signed, except for 8 bit samples, which are unsigned (like WAV).
+ */
+
+const BIT_DEPTHS = [8, 16, 24, 32];
+
+/**
+ * Assert that a format is one the converter can read and write.
+ *
+ * @param {Object} format The format.
+ * @param {String} name What the format is for, used in the error message.
+ */
+function assertFormat(format, name) {
+    if (!(format.rate > 0) || !(format.channels >= 1) || BIT_DEPTHS.indexOf(format.bitDepth) == -1) {
+        throw new Error('unsupported ' + name + ' audio format ' + JSON.stringify(format) + ': the rate and channels must be ' +
+            'positive and the bit depth one of ' + BIT_DEPTHS.join(', '));
+    }
+}
+
+function readSample(buffer, offset, bitDepth) {
+    switch (bitDepth) {
+        case 8:
+            return (buffer.readUInt8(offset) - 128) / 128;
+        case 16:
+            return buffer.readInt16LE(offset) / 32768;
+        case 24:
+            return buffer.readIntLE(offset, 3) / 8388608;
+        default:
+            return buffer.readInt32LE(offset) / 2147483648;
+    }
+}
+
+function writeSample(buffer, offset, bitDepth, value) {
+    value = Math.max(-1, Math.min(1, value));
+
+    switch (bitDepth) {
+        case 8:
+            buffer.writeUInt8(Math.min(255, Math.round(value * 128 + 128)), offset);
+            break;
+        case 16:
+            buffer.writeInt16LE(Math.min(32767, Math.round(value * 32768)), offset);
+            break;
+        case 24:
+            buffer.writeIntLE(Math.min(8388607, Math.round(value * 8388608)), offset, 3);
+            break;
+        default:
+            buffer.writeInt32LE(Math.min(2147483647, Math.round(value * 2147483648)), offset);
+    }
+}
+
+/**
+ * AudioConverter
+ *
+ * Transform stream converting raw PCM audio from one format to another: the channels are mixed down
+ * to mono, the audio is resampled (linear interpolation, low-pass filtered first when downsampling)
+ * and the result is written with the bit depth of the output format, copied to each of its channels.
+ *
+ * @param {Object} input The format of the incoming audio.
+ * @param {Object} output The format of the outgoing audio.
+ * @constructor
+ */
+function AudioConverter(input, output) {
+    assertFormat(input, 'input');
+    assertFormat(output, 'output');
+
+    Transform.call(this);
+
+    this.input = Object.assign({}, input);
+    this.output = Object.assign({}, output);
+
+    this._inputFrameBytes = input.channels * input.bitDepth / 8;
+    this._outputFrameBytes = output.channels * output.bitDepth / 8;
+    this._step = input.rate / output.rate;
+
+    // bytes of an incomplete frame at the end of the previous chunk
+    this._leftover = Buffer.alloc(0);
+
+    // position of the next output sample in the input, relative to the first sample of the next chunk;
+    // -1 is the last sample of the previous chunk
+    this._position = 0;
+    this._last = 0;
+
+    // moving average low-pass filter, as wide as the downsampling factor
+    this._filterWidth = Math.max(1, Math.round(this._step));
+    this._filterHistory = [];
+    this._filterSum = 0;
+}
+
+util.inherits(AudioConverter, Transform);
+
+/**
+ * Whether the converter changes anything.
+ */
+AudioConverter.prototype.isPassThrough = function() {
+    return this.input.rate == this.output.rate && this.input.channels == this.output.channels &&
+        this.input.bitDepth == this.output.bitDepth;
+}
+
+AudioConverter.prototype._transform = function(chunk, encoding, callback) {
+    if (this.isPassThrough()) {
+        return callback(null, chunk);
+    }
+
+    var buffer = this._leftover.length > 0 ? Buffer.concat([this._leftover, chunk]) : chunk;
+    var frames = Math.floor(buffer.length / this._inputFrameBytes);
+    this._leftover = Buffer.from(buffer.subarray(frames * this._inputFrameBytes));
+
+    var samples = this._mixDown(buffer, frames);
+    if (this._filterWidth > 1) {
+        samples = this._lowPass(samples);
+    }
+    var resampled = this._resample(samples);
+
+    var out = Buffer.alloc(resampled.length * this._outputFrameBytes);
+    var bytesPerSample = this.output.bitDepth / 8;
+    for (var i = 0; i < resampled.length; i++) {
+        for (var c = 0; c < this.output.channels; c++) {
+            writeSample(out, i * this._outputFrameBytes + c * bytesPerSample, this.output.bitDepth, resampled[i]);
+        }
+    }
+
+    callback(null, out);
+}
+
+AudioConverter.prototype._mixDown = function(buffer, frames) {
+    var samples = new Float32Array(frames);
+    var bytesPerSample = this.input.bitDepth / 8;
+
+    for (var i = 0; i < frames; i++) {
+        var sum = 0;
+        for (var c = 0; c < this.input.channels; c++) {
+            sum += readSample(buffer, i * this._inputFrameBytes + c * bytesPerSample, this.input.bitDepth);
+        }
+        samples[i] = sum / this.input.channels;
+    }
+
+    return samples;
+}
+
+AudioConverter.prototype._lowPass = function(samples) {
+    var filtered = new Float32Array(samples.length);
+
+    for (var i = 0; i < samples.length; i++) {
+        this._filterHistory.push(samples[i]);
+        this._filterSum += samples[i];
+        if (this._filterHistory.length > this._filterWidth) {
+            this._filterSum -= this._filterHistory.shift();
+        }
+        filtered[i] = this._filterSum / this._filterHistory.length;
+    }
+
+    return filtered;
+}
+
+AudioConverter.prototype._resample = function(samples) {
+    if (this._step == 1 || samples.length == 0) {
+        return samples;
+    }
+
+    var resampled = [];
+    var n = samples.length;
+
+    while (this._position <= n - 1) {
+        var i = Math.floor(this._position);
+        var fraction = this._position - i;
+        var a = i < 0 ? this._last : samples[i];
+        var b = samples[i + 1] != undefined ? samples[i + 1] : a;
+        resampled.push(a + (b - a) * fraction);
+        this._position += this._step;
+    }
+
+    this._position -= n;
+    this._last = samples[n - 1];
+
+    return resampled;
+}
+
+/**
+ * Convert a buffer of raw PCM audio from one format to another (see AudioConverter).
+ *
+ * @param {Buffer} buffer The audio.
+ * @param {Object} input The format of the audio.
+ * @param {Object} output The format to convert to.
+ */
+function convert(buffer, input, output) {
+    var converter = new AudioConverter(input, output);
+    var chunks = [];
+
+    converter._transform(buffer, undefined, function(err, out) {
+        chunks.push(out);
+    });
+
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Create the header of a PCM WAV file.
+ *
+ * @param {Object} format The format of the audio.
+ * @param {Number} dataBytes The size of the audio data in bytes.
+ */
+function wavHeader(format, dataBytes) {
+    var header = Buffer.alloc(44);
+    var frameBytes = format.channels * format.bitDepth / 8;
+
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + dataBytes, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(format.channels, 22);
+    header.writeUInt32LE(format.rate, 24);
+    header.writeUInt32LE(format.rate * frameBytes, 28);
+    header.writeUInt16LE(frameBytes, 32);
+    header.writeUInt16LE(format.bitDepth, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(dataBytes, 40);
+
+    return header;
+}
+
+/**
+ * WavWriter
+ *
+ * Writable stream saving raw PCM audio to a WAV file. The file is created right away (so a bad path
+ * throws), and the sizes in its header are filled in when the stream finishes.
+ *
+ * @param {String} filePath Path of the WAV file.
+ * @param {Object} format The format of the audio.
+ * @constructor
+ */
+function WavWriter(filePath, format) {
+    assertFormat(format, 'WAV');
+
+    Writable.call(this);
+
+    this.filePath = filePath;
+    this.format = Object.assign({}, format);
+    this.bytes = 0;
+
+    this._fd = fs.openSync(filePath, 'w');
+    fs.writeSync(this._fd, wavHeader(format, 0));
+}
+
+util.inherits(WavWriter, Writable);
+
+/**
+ * Length of the audio written so far, in milliseconds.
+ */
+WavWriter.prototype.durationMs = function() {
+    var frameBytes = this.format.channels * this.format.bitDepth / 8;
+    return Math.round(this.bytes / frameBytes / this.format.rate * 1000);
+}
+
+WavWriter.prototype._write = function(chunk, encoding, callback) {
+    var self = this;
+
+    fs.write(this._fd, chunk, 0, chunk.length, null, function(err) {
+        if (!err) {
+            self.bytes += chunk.length;
+        }
+        callback(err);
+    });
+}
+
+WavWriter.prototype._final = function(callback) {
+    var self = this;
+    var header = wavHeader(this.format, this.bytes);
+
+    fs.write(this._fd, header, 0, header.length, 0, function(err) {
+        var fd = self._fd;
+        self._fd = undefined;
+        fs.close(fd, function(closeErr) {
+            callback(err || closeErr);
+        });
+    });
+}
+
+WavWriter.prototype._destroy = function(err, callback) {
+    if (this._fd == undefined) {
+        return callback(err);
+    }
+
+    var fd = this._fd;
+    this._fd = undefined;
+    fs.close(fd, function() {
+        callback(err);
+    });
+}
+
+/**
+ * Save raw PCM audio to a WAV file.
+ *
+ * @param {String} filePath Path of the WAV file.
+ * @param {Object} format The format of the audio.
+ * @param {Buffer} data The audio.
+ * @param {Function} callback Called when the file is written, with an error if it couldn't be.
+ */
+function writeWav(filePath, format, data, callback) {
+    fs.writeFile(filePath, Buffer.concat([wavHeader(format, data.length), data]), callback);
+}
+
+/**
+ * Tell the content type of an audio file from its first bytes.
+ *
+ * @param {Buffer} buffer The contents of the file.
+ *
+ * Returns 'audio/wav', 'audio/mp3', 'audio/flac' or 'audio/ogg', or undefined for other files.
+ */
+function detectContentType(buffer) {
+    if (buffer.length < 12) {
+        return undefined;
+    }
+
+    var magic = buffer.toString('ascii', 0, 4);
+    if (magic == 'RIFF' && buffer.toString('ascii', 8, 12) == 'WAVE') {
+        return 'audio/wav';
+    }
+    if (magic == 'fLaC') {
+        return 'audio/flac';
+    }
+    if (magic == 'OggS') {
+        return 'audio/ogg';
+    }
+    // an ID3 tag, or the sync word of an MPEG audio frame
+    if (magic.substring(0, 3) == 'ID3' || (buffer[0] == 0xff && (buffer[1] & 0xe0) == 0xe0)) {
+        return 'audio/mp3';
+    }
+
+    return undefined;
+}
+
+module.exports = {
+    AudioConverter: AudioConverter,
+    WavWriter: WavWriter,
+    convert: convert,
+    detectContentType: detectContentType,
+    assertFormat: assertFormat,
+    wavHeader: wavHeader,
+    writeWav: writeWav
+};
@@ -0,0 +1,189 @@
+/**
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Dispatcher
+ *
+ * Maps the output of an Assistant turn to handlers. A handler is registered with a trigger, which is one of:
+ *      {intent: 'name', minConfidence: 0.5}: the top intent of the turn is `name`, with at least `minConfidence` (default 0);
+ *          the handler gets {intent, confidence, entities, variables}
+ *      {entity: 'name', value: 'value'}: the turn detected the `name` entity (with the given value, if any);
+ *          the handler gets {entity, value, confidence, variables}
+ *      {variable: 'name', value: 'value'}: the dialog set the `name` variable (to the given value, if any) during the turn;
+ *          the handler gets {variable, value, variables}
+ *      {action: 'name'}: the `action` dialog variable is `name`; the handler gets the dialog variables,
+ *          so the parameters of the action are set next to it, e.g. {action: 'shine', color: 'red'}
+ *
+ * Dialog variables are the user defined variables of the skills in the context, and the user defined output of the turn.
+ * A variable only triggers a handler in the turn that sets or changes it, so a variable that stays in the context
+ * doesn't fire again on every turn. An action fires in every turn whose output sets it; an action kept in the context
+ * only fires in the turn that sets or changes the `action` variable, not when other variables change later on.
+ *
+ * @constructor
+ */
+function Dispatcher() {
+    this._handlers = [];
+}
+
+/**
+ * Register a handler. Handlers that match the same turn are called in the order they were registered.
+ *
+ * @param {Object} trigger When to call the handler.
+ * @param {Function} handler Called with the parameters of the trigger and the Assistant response.
+ */
+Dispatcher.prototype.add = function(trigger, handler) {
+    var kinds = ['intent', 'entity', 'variable', 'action'].filter(function(kind) {
+        return trigger != undefined && trigger[kind] != undefined;
+    });
+
+    if (kinds.length != 1) {
+        throw new Error('a dialog handler trigger needs exactly one of `intent`, `entity`, `variable` or `action`');
+    }
+    if (typeof handler != 'function') {
+        throw new Error('a dialog handler must be a function');
+    }
+
+    this._handlers.push({
+        trigger: Object.assign({}, trigger),
+        handler: handler
+    });
+}
+
+/**
+ * Remove handlers.
+ *
+ * @param {Object} trigger The trigger the handlers were registered with.
+ * @param {Function} handler The handler to remove. If omitted, all handlers of the trigger are removed.
+ *
+ * Returns the number of handlers removed.
+ */
+Dispatcher.prototype.remove = function(trigger, handler) {
+    var before = this._handlers.length;
+
+    this._handlers = this._handlers.filter(function(entry) {
+        return !(sameTrigger(entry.trigger, trigger) && (handler == undefined || entry.handler === handler));
+    });
+
+    return before - this._handlers.length;
+}
+
+/**
+ * Find the handlers triggered by an Assistant turn.
+ *
+ * @param {Object} result The Assistant message response.
+ * @param {Object} previousContext The context before the turn, used to tell which variables the turn changed.
+ *
+ * Returns a list of {trigger, handler, params}.
+ */
+Dispatcher.prototype.match = function(result, previousContext) {
+    var output = (result && result.output) || {};
+    var intents = output.intents || [];
+    var entities = output.entities || [];
+    var variables = dialogVariables(result);
+    var previous = dialogVariables({ context: previousContext });
+
+    var changed = function(name) {
+        return variables.hasOwnProperty(name) &&
+            JSON.stringify(variables[name]) != JSON.stringify(previous[name]);
+    };
+
+    var actionSet = (output.user_defined != undefined && output.user_defined.action != undefined) || changed('action');
+
+    var matches = [];
+
+    this._handlers.forEach(function(entry) {
+        var trigger = entry.trigger;
+        var params;
+
+        if (trigger.intent != undefined) {
+            var top = intents[0];
+            if (top != undefined && top.intent == trigger.intent && top.confidence >= (trigger.minConfidence || 0)) {
+                params = {
+                    intent: top.intent,
+                    confidence: top.confidence,
+                    entities: entities,
+                    variables: variables
+                };
+            }
+        } else if (trigger.entity != undefined) {
+            var entity = entities.find(function(entity) {
+                return entity.entity == trigger.entity && (trigger.value == undefined || entity.value == trigger.value);
+            });
+            if (entity != undefined) {
+                params = {
+                    entity: entity.entity,
+                    value: entity.value,
+                    confidence: entity.confidence,
+                    variables: variables
+                };
+            }
+        } else if (trigger.variable != undefined) {
+            if (changed(trigger.variable) && (trigger.value == undefined || variables[trigger.variable] == trigger.value)) {
+                params = {
+                    variable: trigger.variable,
+                    value: variables[trigger.variable],
+                    variables: variables
+                };
+            }
+        } else if (trigger.action != undefined) {
+            if (actionSet && variables.action == trigger.action) {
+                params = variables;
+            }
+        }
+
+        if (params != undefined) {
+            matches.push({
+                trigger: trigger,
+                handler: entry.handler,
+                params: params
+            });
+        }
+    });
+
+    return matches;
+}
+
+/**
+ * Collect the dialog variables of an Assistant response: the user defined variables of every skill
+ * in the context, overridden by the user defined output of the turn.
+ *
+ * @param {Object} result The Assistant message response.
+ */
+function dialogVariables(result) {
+    var variables = {};
+    var skills = (result && result.context && result.context.skills) || {};
+
+    Object.keys(skills).forEach(function(name) {
+        Object.assign(variables, skills[name].user_defined, skills[name].skill_variables);
+    });
+
+    if (result && result.output && result.output.user_defined) {
+        Object.assign(variables, result.output.user_defined);
+    }
+
+    return variables;
+}
+
+function sameTrigger(a, b) {
+    return ['intent', 'entity', 'variable', 'action', 'value'].every(function(key) {
+        return (a || {})[key] == (b || {})[key];
+    });
+}
+
+module.exports = Dispatcher;
+module.exports.dialogVariables = dialogVariables;
@@ -0,0 +1,83 @@
+/**
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Easing functions used by LED animations and arm movements. Each function maps the progress
+ * of a transition t in [0, 1] to the eased progress in [0, 1].
+ */
+const easings = {
+    linear: function(t) {
+        return t;
+    },
+
+    easeInQuad: function(t) {
+        return t * t;
+    },
+
+    easeOutQuad: function(t) {
+        return t * (2 - t);
+    },
+
+    easeInOutQuad: function(t) {
+        return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
+    },
+
+    easeInCubic: function(t) {
+        return t * t * t;
+    },
+
+    easeOutCubic: function(t) {
+        return (--t) * t * t + 1;
+    },
+
+    easeInOutCubic: function(t) {
+        return t < 0.5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1;
+    },
+
+    easeInOutSine: function(t) {
+        return -(Math.cos(Math.PI * t) - 1) / 2;
+    },
+
+    // jump to the end value at the end of the transition
+    step: function(t) {
+        return t < 1 ? 0 : 1;
+    }
+};
+
+/**
+ * Get an easing function.
+ *
+ * @param {String|Function} easing The name of the easing (see `easings`), or a function of t in [0, 1].
+ */
+function getEasing(easing) {
+    if (easing == undefined) {
+        return easings.linear;
+    }
+    if (typeof easing == 'function') {
+        return easing;
+    }
+    if (!easings.hasOwnProperty(easing)) {
+        throw new Error('TJBot does not know the "' + easing + '" easing. Valid easings are: ' + Object.keys(easings).join(', '));
+    }
+    return easings[easing];
+}
+
+module.exports = {
+    easings: easings,
+    getEasing: getEasing
+};
@@ -0,0 +1,152 @@
+/**
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Registry of arm gestures.
+ *
+ * A gesture is a list of keyframes, performed in order. Each keyframe may have:
+ *      `arm`: where to move the arm (an angle, a percentage string or 'down', 'up', 'back'; see TJBot.prototype.moveArm),
+ *      `durationMs`: how long the arm movement takes (default 0),
+ *      `easing`: easing of the arm movement (see lib/easing.js),
+ *      `holdMs`: how long to wait after the movement before the next keyframe (default 0),
+ *      `led`: an LED cue started together with the movement, either a color or an object
+ *             {color, animation, ...} where animation is 'breathe', 'blink' or 'rainbow' and the
+ *             remaining keys are options of that animation.
+ */
+
+// LED animations a gesture can start
+const cueAnimations = ['breathe', 'blink', 'rainbow'];
+
+// named arm positions, as angles
+const armPositions = { down: 0, up: 90, back: 180 };
+
+// name -> keyframes
+const registry = {};
+
+/**
+ * Register a gesture. Registering a name twice replaces the earlier gesture.
+ *
+ * @param {String} name The name of the gesture.
+ * @param {Array} keyframes The keyframes of the gesture.
+ */
+function registerGesture(name, keyframes) {
+    if (typeof name != 'string' || name == '') {
+        throw new Error('a gesture needs a name');
+    }
+    if (!Array.isArray(keyframes) || keyframes.length == 0) {
+        throw new Error('the "' + name + '" gesture needs at least one keyframe');
+    }
+
+    keyframes.forEach(function(keyframe, i) {
+        if (keyframe.arm == undefined && keyframe.led == undefined && keyframe.holdMs == undefined) {
+            throw new Error('keyframe ' + i + ' of the "' + name + '" gesture has no `arm`, `led` or `holdMs`');
+        }
+        if (keyframe.arm != undefined && !isArmPosition(keyframe.arm)) {
+            throw new Error('keyframe ' + i + ' of the "' + name + '" gesture moves the arm to "' + keyframe.arm + '". ' +
+                'Use an angle from 0 to 180, a percentage from "0%" to "100%", or "down", "up" or "back".');
+        }
+        if (keyframe.led != undefined && typeof keyframe.led == 'object' &&
+            keyframe.led.animation != undefined && !cueAnimations.includes(keyframe.led.animation)) {
+            throw new Error('keyframe ' + i + ' of the "' + name + '" gesture uses the unknown "' + keyframe.led.animation + '" animation. ' +
+                'Valid animations are: ' + cueAnimations.join(', '));
+        }
+    });
+
+    registry[name] = keyframes.map(function(keyframe) {
+        return Object.assign({}, keyframe);
+    });
+}
+
+/**
+ * Whether the arm can move to a position: the same positions TJBot.prototype.moveArm accepts.
+ *
+ * @param {Number|String} arm The position.
+ */
+function isArmPosition(arm) {
+    var angle = undefined;
+
+    if (typeof arm == 'number') {
+        angle = arm;
+    } else if (typeof arm == 'string' && armPositions.hasOwnProperty(arm)) {
+        angle = armPositions[arm];
+    } else if (typeof arm == 'string' && /^\s*-?[0-9.]+\s*%\s*$/.test(arm)) {
+        angle = parseFloat(arm) / 100 * 180;
+    }
+
+    return angle != undefined && !isNaN(angle) && angle >= 0 && angle <= 180;
+}
+
+/**
+ * Get the keyframes of a gesture.
+ *
+ * @param {String} name The name of the gesture.
+ */
+function getGesture(name) {
+    if (!registry.hasOwnProperty(name)) {
+        throw new Error('TJBot does not know the "' + name + '" gesture. Known gestures are: ' + listGestures().join(', '));
+    }
+    return registry[name];
+}
+
+/**
+ * List the names of the registered gestures.
+ */
+function listGestures() {
+    return Object.keys(registry);
+}
+
+// built-in gestures
+registerGesture('wave', [
+    { arm: 'up', durationMs: 200 },
+    { arm: 'down', durationMs: 200 },
+    { arm: 'up', durationMs: 200 }
+]);
+
+registerGesture('salute', [
+    { arm: 150, durationMs: 300, easing: 'easeOutQuad', holdMs: 800 },
+    { arm: 'down', durationMs: 600 }
+]);
+
+registerGesture('shrug', [
+    { arm: 60, durationMs: 300, holdMs: 100 },
+    { arm: 80, durationMs: 150 },
+    { arm: 60, durationMs: 150, holdMs: 200 },
+    { arm: 'down', durationMs: 500 }
+]);
+
+registerGesture('excited-flap', [
+    { arm: 60, durationMs: 120, led: { animation: 'blink', color: 'yellow', onMs: 120 } },
+    { arm: 120, durationMs: 120 },
+    { arm: 60, durationMs: 120 },
+    { arm: 120, durationMs: 120 },
+    { arm: 60, durationMs: 120 },
+    { arm: 120, durationMs: 120 },
+    { arm: 'down', durationMs: 300, led: 'off' }
+]);
+
+registerGesture('point-back', [
+    { arm: 'back', durationMs: 800, holdMs: 1000 },
+    { arm: 'down', durationMs: 800 }
+]);
+
+module.exports = {
+    cueAnimations: cueAnimations,
+    registerGesture: registerGesture,
+    getGesture: getGesture,
+    listGestures: listGestures
+};
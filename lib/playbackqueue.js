@@ -0,0 +1,145 @@
+/**
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * PlaybackQueue
+ *
+ * Plays one thing at a time. Jobs are queued with a priority: the highest priority plays first, and jobs
+ * with the same priority play in the order they were queued. A job is an object with
+ *      start(): starts playing, returns a Promise that resolves with true when playback ended by itself,
+ *          or false when it was stopped,
+ *      stop(): stops playing; start()'s Promise should then resolve with false soon.
+ *
+ * @constructor
+ */
+function PlaybackQueue() {
+    this._waiting = [];
+    this._current = undefined;
+    this._sequence = 0;
+}
+
+/**
+ * Queue a job.
+ *
+ * @param {Object} job The job, {start, stop}.
+ * @param {Object} options Optional settings:
+ *        `priority`: a number, higher plays first (default 0),
+ *        `interrupt`: true to stop what is playing if it has a lower priority than the job.
+ *
+ * Returns a Promise that resolves with true when the job played to the end, or false when it was
+ * stopped or removed from the queue before it played, and rejects when playing failed.
+ */
+PlaybackQueue.prototype.enqueue = function(job, options) {
+    var self = this;
+    options = options || {};
+
+    return new Promise(function(resolve, reject) {
+        var entry = {
+            job: job,
+            priority: options.priority || 0,
+            sequence: self._sequence++,
+            resolve: resolve,
+            reject: reject
+        };
+
+        // keep the waiting jobs sorted: highest priority first, then first come first served
+        var index = self._waiting.findIndex(function(waiting) {
+            return waiting.priority < entry.priority;
+        });
+        self._waiting.splice(index == -1 ? self._waiting.length : index, 0, entry);
+
+        if (options.interrupt && self._current != undefined && self._current.priority < entry.priority) {
+            self.stopCurrent();
+        }
+
+        self._next();
+    });
+}
+
+/**
+ * Stop the job that is playing, if any. The next job starts after it.
+ *
+ * Returns whether a job was stopped.
+ */
+PlaybackQueue.prototype.stopCurrent = function() {
+    if (this._current == undefined || this._current.stopped) {
+        return false;
+    }
+
+    this._current.stopped = true;
+    this._current.job.stop();
+    return true;
+}
+
+/**
+ * Remove the jobs that are waiting; they resolve with false. The job that is playing goes on.
+ *
+ * Returns the number of jobs removed.
+ */
+PlaybackQueue.prototype.clear = function() {
+    var removed = this._waiting;
+    this._waiting = [];
+
+    removed.forEach(function(entry) {
+        entry.resolve(false);
+    });
+
+    return removed.length;
+}
+
+/**
+ * The number of jobs waiting to play.
+ */
+PlaybackQueue.prototype.size = function() {
+    return this._waiting.length;
+}
+
+/**
+ * Whether a job is playing.
+ */
+PlaybackQueue.prototype.isPlaying = function() {
+    return this._current != undefined;
+}
+
+PlaybackQueue.prototype._next = function() {
+    var self = this;
+
+    if (this._current != undefined || this._waiting.length == 0) {
+        return;
+    }
+
+    var entry = this._waiting.shift();
+    this._current = entry;
+
+    var done = function() {
+        self._current = undefined;
+        self._next();
+    };
+
+    Promise.resolve().then(function() {
+        return entry.job.start();
+    }).then(function(completed) {
+        done();
+        entry.resolve(completed !== false && !entry.stopped);
+    }, function(err) {
+        done();
+        entry.reject(err);
+    });
+}
+
+module.exports = PlaybackQueue;
@@ -0,0 +1,64 @@
+/**
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Default visual recognition adapter backed by the Imagga tagging API (see ./index.js for the
+ * adapter interface).
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const got = require('got');
+const FormData = require('form-data');
+
+const IMAGGA_TAGS_URL = 'https://api.imagga.com/v2/tags';
+
+/**
+ * Imagga image tagging.
+ *
+ * @param {Object} credentials The credentials, with keys for 'iam_apikey' (Imagga API key) and 'apiSecret'.
+ */
+function visual_recognition(credentials) {
+    assert(credentials.hasOwnProperty('iam_apikey') && credentials.hasOwnProperty('apiSecret'),
+        "credentials for the visual_recognition service missing 'iam_apikey' or 'apiSecret'");
+
+    var url = credentials['url'] || IMAGGA_TAGS_URL;
+
+    return {
+        classify: async function(filePath, options) {
+            var language = (options && options.language) || 'en';
+
+            const formData = new FormData();
+            formData.append('image', fs.createReadStream(filePath));
+
+            // the HTTP response; its JSON body has the tags, with the confidence in percent
+            return await got.post(url, {
+                body: formData,
+                searchParams: {
+                    language: language
+                },
+                username: credentials['iam_apikey'],
+                password: credentials['apiSecret']
+            });
+        }
+    };
+}
+
+module.exports = {
+    visual_recognition: visual_recognition
+};
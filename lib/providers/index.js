@@ -0,0 +1,173 @@
+/**
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Registry of service providers.
+ *
+ * A provider is a factory function `(credentials, configuration) => adapter` registered under a
+ * service name (see TJBot.prototype.services) and a provider name. The adapter it returns must
+ * implement the methods listed in `interfaces` for its service. All methods return Promises,
+ * except for `recognizeStream`, which returns a Duplex stream (audio in, transcripts out).
+ *
+ * Which provider is used for a service is chosen with the `provider` key of that service's
+ * credentials; when there is none, the default provider listed in `defaults` is used.
+ */
+
+// methods each adapter has to implement, by service
+const interfaces = {
+    assistant: [
+        'createSession',    // (assistantId) => sessionId
+        'deleteSession',    // (assistantId, sessionId) => undefined
+        'message'           // ({assistantId, sessionId, userId, input, context}) => message response;
+                            // must reject with an error that has `sessionExpired: true` when the session is gone.
+                            // Adapters may also implement messageStateless({assistantId, input, context}),
+                            // which is used by the deprecated converse(workspaceId, session, message, context).
+    ],
+    language_translator: [
+        'translate',        // ({text, source, target}) => translation result
+        'identify',         // (text) => identified languages
+        'listModels'        // () => [{source, target}]
+    ],
+    speech_to_text: [
+        'recognizeStream'   // ({contentType, model, customizationId, ...}) => Duplex stream
+                            // Adapters may also implement recognize({audio, contentType, model, ...}), returning
+                            // the recognition results of a whole file; transcribe() streams the file otherwise.
+                            // The custom speech model methods (see TJBot.prototype.createSpeechModel) need:
+                            //   createLanguageModel({name, baseModelName, description, dialect}) => model
+                            //   addCorpus({customizationId, corpusName, corpusFile, allowOverwrite}) => undefined
+                            //   addWords({customizationId, words: [{word, soundsLike, displayAs}]}) => undefined
+                            //   trainLanguageModel({customizationId}) => undefined
+                            //   getLanguageModel(customizationId) => model
+                            //   listLanguageModels(language) => [model]
+                            //   deleteLanguageModel(customizationId) => undefined
+                            // where a model is {customizationId, name, language, baseModelName, description, status, progress, error}
+    ],
+    text_to_speech: [
+        'synthesize',       // ({text, voice, accept}) => Readable audio stream
+        'listVoices'        // () => [{name, language, gender}]
+    ],
+    tone_analyzer: [
+        'tone'              // (text) => tone analysis
+    ],
+    visual_recognition: [
+        'classify'          // (filePath, {language}) => the service's response, returned as is by see()
+    ]
+};
+
+// provider used for a service when the credentials don't name one
+const defaults = {
+    assistant: 'watson',
+    language_translator: 'watson',
+    speech_to_text: 'watson',
+    text_to_speech: 'watson',
+    tone_analyzer: 'watson',
+    visual_recognition: 'imagga'
+};
+
+// service -> provider name -> factory
+const registry = {};
+
+/**
+ * Register a provider for a service. Registering a name twice replaces the earlier provider.
+ *
+ * @param {String} service The name of the service (see TJBot.prototype.services).
+ * @param {String} name The name of the provider, used in the `provider` key of the service credentials.
+ * @param {Function} factory Function `(credentials, configuration)` returning the adapter.
+ */
+function registerProvider(service, name, factory) {
+    if (!interfaces.hasOwnProperty(service)) {
+        throw new Error('TJBot does not know the "' + service + '" service. Valid services are: ' + Object.keys(interfaces).join(', '));
+    }
+    if (typeof factory != 'function') {
+        throw new Error('the "' + name + '" provider for the ' + service + ' service must be a factory function');
+    }
+
+    if (registry[service] == undefined) {
+        registry[service] = {};
+    }
+    registry[service][name] = factory;
+}
+
+/**
+ * List the names of the providers registered for a service.
+ *
+ * @param {String} service The name of the service (see TJBot.prototype.services).
+ */
+function listProviders(service) {
+    return Object.keys(registry[service] || {});
+}
+
+/**
+ * Create the adapter for a service.
+ *
+ * @param {String} service The name of the service (see TJBot.prototype.services).
+ * @param {Object} credentials The service credentials. `credentials.provider` selects the provider.
+ * @param {Object} configuration The TJBot configuration.
+ */
+function createProvider(service, credentials, configuration) {
+    var name = credentials.provider || defaults[service];
+    var factory = (registry[service] || {})[name];
+
+    if (factory == undefined) {
+        throw new Error('no provider named "' + name + '" is registered for the ' + service + ' service. ' +
+            'Registered providers are: ' + listProviders(service).join(', '));
+    }
+
+    var adapter = factory(credentials, configuration);
+    assertAdapter(service, name, adapter);
+
+    return adapter;
+}
+
+/**
+ * Assert that an adapter implements the interface of its service.
+ *
+ * @param {String} service The name of the service.
+ * @param {String} name The name of the provider (used in the error message).
+ * @param {Object} adapter The adapter.
+ */
+function assertAdapter(service, name, adapter) {
+    var missing = interfaces[service].filter(function(method) {
+        return adapter == undefined || typeof adapter[method] != 'function';
+    });
+
+    if (missing.length > 0) {
+        throw new Error('the "' + name + '" provider for the ' + service + ' service does not implement: ' + missing.join(', '));
+    }
+}
+
+// built-in providers
+const watson = require('./watson');
+const imagga = require('./imagga');
+const local = require('./local');
+
+Object.keys(watson).forEach(function(service) {
+    registerProvider(service, 'watson', watson[service]);
+});
+registerProvider('visual_recognition', 'imagga', imagga.visual_recognition);
+registerProvider('assistant', 'local', local.assistant);
+
+module.exports = {
+    interfaces: interfaces,
+    defaults: defaults,
+    registerProvider: registerProvider,
+    listProviders: listProviders,
+    createProvider: createProvider,
+    assertAdapter: assertAdapter,
+    withFallback: local.withFallback
+};
@@ -0,0 +1,524 @@
+/**
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Offline assistant adapter (see ./index.js for the adapter interface), which matches messages
+ * against a set of intents with keyword and fuzzy matching and answers with canned responses.
+ * It answers in the shape of an Assistant v2 message response, so converse() works the same way.
+ *
+ * The intents are read from `credentials.intentsFile` (a JSON file) or given in `credentials.intents`:
+ *
+ *      {
+ *          "threshold": 0.5,
+ *          "intents": [{
+ *              "intent": "greeting",
+ *              "examples": ["hello there", "good morning"],
+ *              "keywords": ["hello", "hi"],
+ *              "responses": ["Hello!", "Hi there."],
+ *              "variables": {"action": "wave"}
+ *          }, {
+ *              "intent": "shine",
+ *              "examples": ["turn the light red", "shine blue"],
+ *              "responses": ["Sure."],
+ *              "variables": {"action": "shine", "color": "@color"}
+ *          }],
+ *          "entities": {
+ *              "color": {"red": ["crimson"], "blue": []}
+ *          },
+ *          "anythingElse": ["Sorry, I didn't get that."]
+ *      }
+ *
+ * An intent needs `examples` or `keywords`. A message containing a keyword matches with high confidence;
+ * otherwise the confidence is the word overlap with the closest example, where words with small typos
+ * still count. The best intent is used when its confidence reaches `threshold` (default 0.5), else the
+ * `anythingElse` responses are used. Responses are used in turn; a response is either a text or a list of
+ * Assistant generic response items. `variables` are returned as user defined output, so dialog handlers can
+ * act on them; a value "@entity" is replaced by the value of that entity in the message. Entity values
+ * match themselves and their synonyms, and a value in an example stands for any value of its entity, so
+ * "shine blue" matches "please shine crimson" as well as "shine red".
+ *
+ * Local sessions never expire.
+ */
+
+const fs = require('fs');
+
+// confidence of a message that contains a keyword exactly, or with small typos
+const KEYWORD_CONFIDENCE = 1.0;
+const FUZZY_KEYWORD_CONFIDENCE = 0.9;
+
+// intents with a lower confidence aren't reported
+const MIN_REPORTED_CONFIDENCE = 0.2;
+
+/**
+ * Local assistant.
+ */
+function assistant(credentials) {
+    var model = loadModel(credentials);
+    var sessions = {};
+    var sessionCount = 0;
+
+    // state of stateless conversations, which have no session
+    var shared = {
+        turns: {}
+    };
+
+    var respond = function(state, params) {
+        var text = (params.input && params.input.text) || '';
+        var tokens = tokenize(text);
+        var entities = matchEntities(model.entities, tokens);
+        var intents = matchIntents(model.intents, tokens, withEntityPlaceholders(model.entities, tokens));
+
+        var top = intents[0];
+        var matched = top != undefined && top.confidence >= model.threshold ? model.byName[top.intent] : undefined;
+
+        var responses = matched != undefined ? matched.responses : model.anythingElse;
+        var key = matched != undefined ? matched.intent : '';
+        var turn = state.turns[key] || 0;
+        state.turns[key] = turn + 1;
+
+        var generic = [];
+        if (responses.length > 0) {
+            var response = responses[turn % responses.length];
+            generic = typeof response == 'string' ? [{ response_type: 'text', text: response }] : response;
+        }
+
+        var context = Object.assign({}, params.context);
+        var system = (context.global && context.global.system) || {};
+        context.global = Object.assign({}, context.global, {
+            system: Object.assign({}, system, { turn_count: (system.turn_count || 0) + 1 })
+        });
+
+        return {
+            output: {
+                generic: generic,
+                intents: intents.map(function(intent) {
+                    return { intent: intent.intent, confidence: intent.confidence };
+                }),
+                entities: entities,
+                user_defined: matched != undefined ? resolveVariables(matched.variables, entities) : undefined
+            },
+            context: context
+        };
+    };
+
+    return {
+        model: model,
+
+        createSession: async function(assistantId) {
+            var sessionId = 'local-' + (++sessionCount);
+            sessions[sessionId] = {
+                turns: {}
+            };
+            return sessionId;
+        },
+
+        deleteSession: async function(assistantId, sessionId) {
+            delete sessions[sessionId];
+        },
+
+        message: async function(params) {
+            if (sessions[params.sessionId] == undefined) {
+                sessions[params.sessionId] = {
+                    turns: {}
+                };
+            }
+            return respond(sessions[params.sessionId], params);
+        },
+
+        messageStateless: async function(params) {
+            return respond(shared, params);
+        }
+    };
+}
+
+/**
+ * Wrap an assistant adapter so the local one answers whenever the primary one can't be reached.
+ * Client errors (4xx, e.g. a wrong assistant id) and expired sessions are still reported by the primary adapter.
+ *
+ * @param {Object} primary The primary assistant adapter.
+ * @param {Object} fallback The local assistant adapter.
+ * @param {Function} onFallback Called with the error of the primary adapter whenever the fallback answers.
+ */
+function withFallback(primary, fallback, onFallback) {
+    var recoverable = function(err) {
+        return !err.sessionExpired && !(typeof err.code == 'number' && err.code >= 400 && err.code < 500);
+    };
+
+    var isLocal = function(sessionId) {
+        return typeof sessionId == 'string' && sessionId.indexOf('local-') == 0;
+    };
+
+    return {
+        primary: primary,
+        fallback: fallback,
+
+        createSession: async function(assistantId) {
+            try {
+                return await primary.createSession(assistantId);
+            } catch (err) {
+                if (!recoverable(err)) {
+                    throw err;
+                }
+                onFallback(err);
+                return fallback.createSession(assistantId);
+            }
+        },
+
+        deleteSession: async function(assistantId, sessionId) {
+            if (isLocal(sessionId)) {
+                return fallback.deleteSession(assistantId, sessionId);
+            }
+            return primary.deleteSession(assistantId, sessionId);
+        },
+
+        message: async function(params) {
+            // a conversation that started offline stays local until its session is replaced
+            if (isLocal(params.sessionId)) {
+                return fallback.message(params);
+            }
+
+            try {
+                return await primary.message(params);
+            } catch (err) {
+                if (!recoverable(err)) {
+                    throw err;
+                }
+                onFallback(err);
+                return fallback.message(params);
+            }
+        },
+
+        messageStateless: async function(params) {
+            try {
+                if (typeof primary.messageStateless != 'function') {
+                    throw new Error('the primary assistant provider does not support stateless messages');
+                }
+                return await primary.messageStateless(params);
+            } catch (err) {
+                if (!recoverable(err)) {
+                    throw err;
+                }
+                onFallback(err);
+                return fallback.messageStateless(params);
+            }
+        }
+    };
+}
+
+/** ------------------------------------------------------------------------ */
+/** MODEL                                                                    */
+/** ------------------------------------------------------------------------ */
+
+/**
+ * Load and validate the intents.
+ */
+function loadModel(credentials) {
+    var source = credentials.intents;
+
+    if (source == undefined) {
+        if (credentials.intentsFile == undefined) {
+            throw new Error('the local assistant needs `intentsFile` or `intents` in its credentials');
+        }
+        try {
+            source = JSON.parse(fs.readFileSync(credentials.intentsFile, 'utf8'));
+        } catch (err) {
+            throw new Error('unable to read the local assistant intents from ' + credentials.intentsFile + ': ' + err.message);
+        }
+    }
+
+    if (!Array.isArray(source.intents) || source.intents.length == 0) {
+        throw new Error('the local assistant needs at least one intent');
+    }
+
+    var entities = [];
+    Object.keys(source.entities || {}).forEach(function(entity) {
+        var values = source.entities[entity];
+        Object.keys(values).forEach(function(value) {
+            [value].concat(values[value] || []).forEach(function(synonym) {
+                entities.push({
+                    entity: entity,
+                    value: value,
+                    tokens: tokenize(synonym)
+                });
+            });
+        });
+    });
+
+    var byName = {};
+    var intents = source.intents.map(function(intent, i) {
+        if (typeof intent.intent != 'string' || intent.intent == '') {
+            throw new Error('intent ' + i + ' of the local assistant has no name');
+        }
+        if ((intent.examples || []).length == 0 && (intent.keywords || []).length == 0) {
+            throw new Error('the "' + intent.intent + '" intent of the local assistant needs `examples` or `keywords`');
+        }
+
+        var normalized = {
+            intent: intent.intent,
+            examples: (intent.examples || []).map(function(example) {
+                return withEntityPlaceholders(entities, tokenize(example));
+            }),
+            keywords: (intent.keywords || []).map(tokenize),
+            responses: intent.responses || [],
+            variables: intent.variables
+        };
+        byName[intent.intent] = normalized;
+        return normalized;
+    });
+
+    return {
+        threshold: source.threshold != undefined ? source.threshold : 0.5,
+        intents: intents,
+        byName: byName,
+        entities: entities,
+        anythingElse: source.anythingElse || []
+    };
+}
+
+/** ------------------------------------------------------------------------ */
+/** MATCHING                                                                 */
+/** ------------------------------------------------------------------------ */
+
+/**
+ * Score every intent against the words of a message.
+ *
+ * @param {Array} intents The intents of the model.
+ * @param {Array} tokens The words of the message, for the keywords.
+ * @param {Array} canonical The words of the message with entity placeholders, for the examples.
+ *
+ * Returns a list of {intent, confidence}, most confident first.
+ */
+function matchIntents(intents, tokens, canonical) {
+    return intents.map(function(intent) {
+        var confidence = 0;
+
+        intent.keywords.forEach(function(keyword) {
+            var found = findSequence(tokens, keyword);
+            if (found == 'exact') {
+                confidence = Math.max(confidence, KEYWORD_CONFIDENCE);
+            } else if (found == 'fuzzy') {
+                confidence = Math.max(confidence, FUZZY_KEYWORD_CONFIDENCE);
+            }
+        });
+
+        intent.examples.forEach(function(example) {
+            confidence = Math.max(confidence, overlap(canonical, example));
+        });
+
+        return {
+            intent: intent.intent,
+            confidence: Math.round(confidence * 1000) / 1000
+        };
+    }).filter(function(intent) {
+        return intent.confidence >= MIN_REPORTED_CONFIDENCE;
+    }).sort(function(a, b) {
+        return b.confidence - a.confidence;
+    });
+}
+
+/**
+ * Find the entity values mentioned in a message, longest synonyms first so "light blue" wins over "blue".
+ *
+ * Returns a list of {entity, value, confidence}.
+ */
+function matchEntities(entities, tokens) {
+    var found = [];
+
+    entities.slice().sort(function(a, b) {
+        return b.tokens.length - a.tokens.length;
+    }).forEach(function(candidate) {
+        if (candidate.tokens.length == 0) {
+            return;
+        }
+        var match = findSequence(tokens, candidate.tokens);
+        var known = found.some(function(entity) {
+            return entity.entity == candidate.entity;
+        });
+        if (match != undefined && !known) {
+            found.push({
+                entity: candidate.entity,
+                value: candidate.value,
+                confidence: match == 'exact' ? 1 : FUZZY_KEYWORD_CONFIDENCE
+            });
+        }
+    });
+
+    return found;
+}
+
+/**
+ * Replace the entity values and synonyms in a list of words with "@entity" placeholders, longest synonyms
+ * first, so examples and messages that mention different values of an entity still match.
+ */
+function withEntityPlaceholders(entities, tokens) {
+    var candidates = entities.filter(function(candidate) {
+        return candidate.tokens.length > 0;
+    }).sort(function(a, b) {
+        return b.tokens.length - a.tokens.length;
+    });
+
+    var result = [];
+    for (var start = 0; start < tokens.length;) {
+        var candidate = candidates.find(function(candidate) {
+            return candidate.tokens.every(function(word, i) {
+                return start + i < tokens.length && similarWords(tokens[start + i], word);
+            });
+        });
+
+        if (candidate != undefined) {
+            result.push('@' + candidate.entity);
+            start += candidate.tokens.length;
+        } else {
+            result.push(tokens[start]);
+            start++;
+        }
+    }
+    return result;
+}
+
+/**
+ * Replace "@entity" variable values with the value of that entity in the message.
+ */
+function resolveVariables(variables, entities) {
+    if (variables == undefined) {
+        return undefined;
+    }
+
+    var resolved = {};
+    Object.keys(variables).forEach(function(name) {
+        var value = variables[name];
+        if (typeof value == 'string' && value.charAt(0) == '@') {
+            var entity = entities.find(function(entity) {
+                return entity.entity == value.substr(1);
+            });
+            value = entity != undefined ? entity.value : undefined;
+        }
+        resolved[name] = value;
+    });
+    return resolved;
+}
+
+/**
+ * Look for a sequence of words in a message.
+ *
+ * Returns 'exact', 'fuzzy' or undefined when the sequence isn't there.
+ */
+function findSequence(tokens, sequence) {
+    var result;
+
+    for (var start = 0; start + sequence.length <= tokens.length && result != 'exact'; start++) {
+        var exact = true;
+        var fuzzy = true;
+
+        for (var i = 0; i < sequence.length; i++) {
+            exact = exact && tokens[start + i] == sequence[i];
+            fuzzy = fuzzy && similarWords(tokens[start + i], sequence[i]);
+        }
+
+        if (exact) {
+            result = 'exact';
+        } else if (fuzzy) {
+            result = 'fuzzy';
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Word overlap of a message and an example, counting similar words as equal: the average of the part
+ * of the example found in the message and the Dice coefficient, so extra words in a message weigh less.
+ */
+function overlap(tokens, example) {
+    if (tokens.length == 0 || example.length == 0) {
+        return 0;
+    }
+
+    var unused = tokens.slice();
+    var matched = 0;
+
+    example.forEach(function(word) {
+        var index = unused.findIndex(function(token) {
+            return similarWords(token, word);
+        });
+        if (index != -1) {
+            matched++;
+            unused.splice(index, 1);
+        }
+    });
+
+    return (matched / example.length + 2 * matched / (tokens.length + example.length)) / 2;
+}
+
+/**
+ * Whether two words are the same, allowing one typo per four letters in words of four letters or more.
+ */
+function similarWords(a, b) {
+    if (a == b) {
+        return true;
+    }
+    if (Math.min(a.length, b.length) < 4) {
+        return false;
+    }
+    return editDistance(a, b) <= Math.floor(Math.max(a.length, b.length) / 4);
+}
+
+/**
+ * Edit distance of two words, where swapping two adjacent letters counts as one typo.
+ */
+function editDistance(a, b) {
+    var d = [];
+    for (var i = 0; i <= a.length; i++) {
+        d.push([i]);
+    }
+    for (var j = 1; j <= b.length; j++) {
+        d[0].push(j);
+    }
+
+    for (var i = 1; i <= a.length; i++) {
+        for (var j = 1; j <= b.length; j++) {
+            var cost = a.charAt(i - 1) == b.charAt(j - 1) ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+
+            if (i > 1 && j > 1 && a.charAt(i - 1) == b.charAt(j - 2) && a.charAt(i - 2) == b.charAt(j - 1)) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    return d[a.length][b.length];
+}
+
+/**
+ * Split a text into lowercase words without accents or punctuation.
+ */
+function tokenize(text) {
+    return String(text).toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .split(/[^a-z0-9']+/)
+        .filter(function(word) {
+            return word != '';
+        });
+}
+
+module.exports = {
+    assistant: assistant,
+    withFallback: withFallback,
+    tokenize: tokenize,
+    findSequence: findSequence
+};
@@ -0,0 +1,257 @@
+/**
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Default adapters backed by the IBM Watson SDK (see ./index.js for the adapter interfaces).
+ * The SDK modules are loaded lazily, only for the services that are used.
+ */
+
+const assert = require('assert');
+
+/**
+ * Create an IAM authenticator from the service credentials.
+ *
+ * @param {String} service The name of the service (used in error messages).
+ * @param {Object} credentials The credentials, with keys for 'iam_apikey' and 'url'.
+ */
+function authenticator(service, credentials) {
+    assert(credentials.hasOwnProperty('iam_apikey'), "credentials for the " + service + " service missing");
+
+    if (credentials['iam_apikey'] == undefined) {
+        throw new Error('Missing authentication credentials for the ' + service + ' service: apikey and url are required.');
+    }
+
+    var { IamAuthenticator } = require('ibm-watson/auth');
+    return new IamAuthenticator({
+        apikey: credentials['iam_apikey']
+    });
+}
+
+/**
+ * Watson Assistant v2.
+ */
+function assistant(credentials) {
+    var AssistantV2 = require('ibm-watson/assistant/v2');
+    var client = new AssistantV2({
+        version: '2020-04-01',
+        authenticator: authenticator('assistant', credentials),
+        serviceName: 'assistant',
+        url: credentials['url']
+    });
+
+    return {
+        client: client,
+
+        createSession: async function(assistantId) {
+            const body = await client.createSession({
+                assistantId: assistantId
+            });
+            return body.result.session_id;
+        },
+
+        deleteSession: async function(assistantId, sessionId) {
+            await client.deleteSession({
+                assistantId: assistantId,
+                sessionId: sessionId
+            });
+        },
+
+        message: async function(params) {
+            try {
+                const body = await client.message(params);
+                return body.result;
+            } catch (err) {
+                // sessions time out after a period of inactivity, the service then answers 404 "Invalid Session"
+                if (err.code == 404 && /session/i.test(err.message)) {
+                    err.sessionExpired = true;
+                }
+                throw err;
+            }
+        },
+
+        messageStateless: async function(params) {
+            const body = await client.messageStateless(params);
+            return body.result;
+        }
+    };
+}
+
+/**
+ * Watson Language Translator v3.
+ */
+function language_translator(credentials) {
+    var LanguageTranslatorV3 = require('ibm-watson/language-translator/v3');
+    var client = new LanguageTranslatorV3({
+        version: '2018-05-01',
+        authenticator: authenticator('language_translator', credentials),
+        serviceUrl: credentials['url']
+    });
+
+    return {
+        client: client,
+
+        translate: async function(params) {
+            const body = await client.translate(params);
+            return body.result;
+        },
+
+        identify: async function(text) {
+            const body = await client.identify({
+                text: text
+            });
+            return body.result;
+        },
+
+        listModels: async function() {
+            const body = await client.listModels({});
+            return body.result.models;
+        }
+    };
+}
+
+/**
+ * Turn a Speech to Text custom language model into the model object of the adapter interface.
+ */
+function languageModel(model) {
+    return {
+        customizationId: model.customization_id,
+        name: model.name,
+        language: model.language,
+        baseModelName: model.base_model_name,
+        description: model.description,
+        status: model.status,
+        progress: model.progress,
+        error: model.error
+    };
+}
+
+/**
+ * Watson Speech to Text v1.
+ */
+function speech_to_text(credentials) {
+    var SpeechToTextV1 = require('ibm-watson/speech-to-text/v1');
+    var client = new SpeechToTextV1({
+        authenticator: authenticator('speech_to_text', credentials),
+        serviceUrl: credentials['url']
+    });
+
+    return {
+        client: client,
+
+        recognizeStream: function(params) {
+            return client.recognizeUsingWebSocket(params);
+        },
+
+        recognize: async function(params) {
+            const response = await client.recognize(params);
+            return response.result;
+        },
+
+        createLanguageModel: async function(params) {
+            const body = await client.createLanguageModel(params);
+            return languageModel(body.result);
+        },
+
+        addCorpus: async function(params) {
+            await client.addCorpus(params);
+        },
+
+        addWords: async function(params) {
+            await client.addWords(params);
+        },
+
+        trainLanguageModel: async function(params) {
+            await client.trainLanguageModel(params);
+        },
+
+        getLanguageModel: async function(customizationId) {
+            const body = await client.getLanguageModel({
+                customizationId: customizationId
+            });
+            return languageModel(body.result);
+        },
+
+        listLanguageModels: async function(language) {
+            const body = await client.listLanguageModels(language ? { language: language } : {});
+            return body.result.customizations.map(languageModel);
+        },
+
+        deleteLanguageModel: async function(customizationId) {
+            await client.deleteLanguageModel({
+                customizationId: customizationId
+            });
+        }
+    };
+}
+
+/**
+ * Watson Text to Speech v1.
+ */
+function text_to_speech(credentials) {
+    var TextToSpeechV1 = require('ibm-watson/text-to-speech/v1');
+    var client = new TextToSpeechV1({
+        authenticator: authenticator('text_to_speech', credentials),
+        serviceUrl: credentials['url']
+    });
+
+    return {
+        client: client,
+
+        synthesize: async function(params) {
+            const response = await client.synthesize(params);
+            return response.result;
+        },
+
+        listVoices: async function() {
+            const body = await client.listVoices();
+            return body.result.voices;
+        }
+    };
+}
+
+/**
+ * Watson Tone Analyzer v3.
+ */
+function tone_analyzer(credentials) {
+    var ToneAnalyzerV3 = require('ibm-watson/tone-analyzer/v3');
+    var client = new ToneAnalyzerV3({
+        version: '2017-09-21',
+        authenticator: authenticator('tone_analyzer', credentials),
+        serviceUrl: credentials['url']
+    });
+
+    return {
+        client: client,
+
+        tone: async function(text) {
+            const body = await client.tone({
+                toneInput: text,
+                contentType: 'application/json'
+            });
+            return body.result;
+        }
+    };
+}
+
+module.exports = {
+    assistant: assistant,
+    language_translator: language_translator,
+    speech_to_text: speech_to_text,
+    text_to_speech: text_to_speech,
+    tone_analyzer: tone_analyzer
+};
@@ -0,0 +1,353 @@
+/**
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { findSequence } = require('./providers/local');
+
+/**
+ * Structured speech recognition results.
+ *
+ * The messages of a recognize stream in object mode ({result_index, results, speaker_labels}) are turned into
+ * one result object per recognized utterance:
+ *      {
+ *          final: whether the transcript is final or an interim guess,
+ *          transcript: the most likely transcript,
+ *          confidence: confidence of the transcript (0 - 1), only known for final results,
+ *          alternatives: [{transcript, confidence}], most likely first,
+ *          words: [{word, start, end, speaker}], with times in seconds, when timestamps are enabled,
+ *             and speaker numbers when speaker labels are enabled,
+ *          uncertain: true when the confidence is below the minimum and low confidence results are marked,
+ *          resultIndex: the index of the result in the stream
+ *      }
+ */
+
+// how long to wait for the speaker labels of a final result before delivering it without them
+const LABEL_WAIT_MSEC = 1000;
+
+// STT model families: the previous generation narrowband and broadband models, and the next generation
+// telephony and multimedia models, with the sample rate they are built for
+const MODELS = {
+    narrowband: { suffix: '_NarrowbandModel', rate: 8000 },
+    broadband: { suffix: '_BroadbandModel', rate: 16000 },
+    telephony: { suffix: '_Telephony', rate: 8000 },
+    multimedia: { suffix: '_Multimedia', rate: 16000 }
+};
+
+// status codes of errors that trying again won't fix: a bad request, bad credentials, an unknown model or customization
+const FATAL_STATUS_CODES = [400, 401, 403, 404, 406, 415];
+
+/**
+ * Turn a result of a recognize stream message into a result object.
+ *
+ * @param {Object} result One of the `results` of the message.
+ * @param {Number} resultIndex The index of the result in the stream.
+ */
+function normalizeResult(result, resultIndex) {
+    var alternatives = (result.alternatives || []).map(function(alternative) {
+        return {
+            transcript: (alternative.transcript || '').trim(),
+            confidence: alternative.confidence
+        };
+    });
+    var best = (result.alternatives || [])[0] || {};
+
+    var normalized = {
+        final: result.final == true,
+        transcript: alternatives.length > 0 ? alternatives[0].transcript : '',
+        confidence: best.confidence,
+        alternatives: alternatives,
+        resultIndex: resultIndex
+    };
+
+    if (best.timestamps != undefined) {
+        normalized.words = best.timestamps.map(function(timestamp) {
+            return {
+                word: timestamp[0],
+                start: timestamp[1],
+                end: timestamp[2]
+            };
+        });
+    }
+
+    return normalized;
+}
+
+/**
+ * Label the words of a result with the speakers that were talking at their start time.
+ *
+ * @param {Object} result A result object with `words`.
+ * @param {Array} labels Speaker labels of the service, [{from, to, speaker}].
+ *
+ * Returns whether every word got a speaker.
+ */
+function labelSpeakers(result, labels) {
+    if (result.words == undefined) {
+        return true;
+    }
+
+    return result.words.every(function(word) {
+        if (word.speaker == undefined) {
+            var label = labels.find(function(label) {
+                return label.from == word.start;
+            });
+            if (label != undefined) {
+                word.speaker = label.speaker;
+            }
+        }
+        return word.speaker != undefined;
+    });
+}
+
+/**
+ * ResultAssembler
+ *
+ * Turns the messages of a recognize stream in object mode into result objects and passes them on,
+ * applying the minimum confidence. When speaker labels are enabled, final results are held back until
+ * the labels of their words arrive (the service sends them separately), or for at most a second.
+ *
+ * @param {Object} options Settings:
+ *      `interimResults`: also pass on interim results (default false),
+ *      `speakerLabels`: whether speaker labels were requested (default false),
+ *      `minConfidence`: final results with a lower confidence are low confidence results (default 0),
+ *      `lowConfidence`: 'drop' to drop low confidence results or 'mark' to pass them on with `uncertain: true` (default 'drop').
+ * @param {Function} deliver Called with every result that gets through.
+ * @constructor
+ */
+function ResultAssembler(options, deliver) {
+    this._options = Object.assign({
+        interimResults: false,
+        speakerLabels: false,
+        minConfidence: 0,
+        lowConfidence: 'drop'
+    }, options);
+
+    if (['drop', 'mark'].indexOf(this._options.lowConfidence) == -1) {
+        throw new Error('lowConfidence must be "drop" or "mark", not "' + this._options.lowConfidence + '"');
+    }
+
+    this._deliver = deliver;
+    this._held = [];
+    this._timer = undefined;
+}
+
+/**
+ * Process a message of the recognize stream.
+ *
+ * @param {Object} message The message, {result_index, results} and/or {speaker_labels}.
+ */
+ResultAssembler.prototype.push = function(message) {
+    var self = this;
+
+    (message.results || []).forEach(function(result, i) {
+        var normalized = normalizeResult(result, (message.result_index || 0) + i);
+
+        if (!normalized.final) {
+            if (self._options.interimResults && normalized.transcript != '') {
+                self._deliver(normalized);
+            }
+            return;
+        }
+
+        if (normalized.transcript == '') {
+            return;
+        }
+
+        if (self._options.speakerLabels && normalized.words != undefined) {
+            self._hold(normalized);
+        } else {
+            self._final(normalized);
+        }
+    });
+
+    if (message.speaker_labels != undefined) {
+        this._labels(message.speaker_labels);
+    }
+}
+
+/**
+ * Pass on the results held back for their speaker labels.
+ */
+ResultAssembler.prototype.flush = function() {
+    var held = this._held;
+
+    this._held = [];
+    clearTimeout(this._timer);
+    this._timer = undefined;
+
+    held.forEach(this._final, this);
+}
+
+ResultAssembler.prototype._hold = function(result) {
+    var self = this;
+
+    this._held.push(result);
+    if (this._timer == undefined) {
+        this._timer = setTimeout(function() {
+            self.flush();
+        }, LABEL_WAIT_MSEC);
+    }
+}
+
+ResultAssembler.prototype._labels = function(labels) {
+    // results are passed on in order, so stop at the first one that isn't fully labelled yet
+    while (this._held.length > 0 && labelSpeakers(this._held[0], labels)) {
+        this._final(this._held.shift());
+    }
+
+    if (this._held.length == 0) {
+        clearTimeout(this._timer);
+        this._timer = undefined;
+    }
+}
+
+ResultAssembler.prototype._final = function(result) {
+    if (result.confidence != undefined && result.confidence < this._options.minConfidence) {
+        if (this._options.lowConfidence == 'drop') {
+            return;
+        }
+        result.uncertain = true;
+    }
+
+    this._deliver(result);
+}
+
+/**
+ * Get the name and sample rate of an STT model.
+ *
+ * @param {String} language The language, e.g. 'en-US'.
+ * @param {String} model A model family ('narrowband', 'broadband', 'telephony' or 'multimedia'), or the full
+ *        name of a model, e.g. 'en-US_Telephony', in which case the language is ignored.
+ *
+ * Returns {name, rate}.
+ */
+function resolveModel(language, model) {
+    if (MODELS.hasOwnProperty(model)) {
+        return {
+            name: language + MODELS[model].suffix,
+            rate: MODELS[model].rate
+        };
+    }
+
+    if (typeof model == 'string' && model.indexOf('_') != -1) {
+        return {
+            name: model,
+            rate: /Narrowband|Telephony/.test(model) ? 8000 : 16000
+        };
+    }
+
+    throw new Error('TJBot does not know the "' + model + '" speech to text model. Use one of ' + Object.keys(MODELS).join(', ') +
+        ' or the full name of a model, e.g. "en-US_Telephony"');
+}
+
+/**
+ * Whether it makes sense to reconnect after an error of a recognize stream. Network problems and
+ * service outages are worth another try, rejected credentials or parameters are not.
+ *
+ * @param {Error} err The error of the recognize stream.
+ */
+function isRetryableError(err) {
+    var status = err.statusCode || err.status || err.code;
+    if (typeof status == 'number' && FATAL_STATUS_CODES.indexOf(status) != -1) {
+        return false;
+    }
+    return !/unauthori[sz]ed|forbidden|invalid|not found|unable to transcode/i.test(err.message || '');
+}
+
+/**
+ * Find a phrase in a transcript, tolerating small mishearings (see findSequence in lib/providers/local.js).
+ *
+ * @param {String} transcript The transcript.
+ * @param {Array} phraseTokens The words of the phrase, as given by tokenize().
+ *
+ * Returns undefined when the phrase isn't in the transcript, otherwise {rest, words}: the transcript after
+ * the phrase as it was heard, and the number of words in the transcript up to the end of the phrase.
+ */
+function afterPhrase(transcript, phraseTokens) {
+    // the words of the transcript as tokenize() finds them, with where they are in the transcript
+    var tokens = [];
+    var current = undefined;
+    for (var i = 0; i < transcript.length; i++) {
+        var folded = transcript[i].toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        if (folded == '') {
+            continue;
+        }
+        if (/^[a-z0-9']+$/.test(folded)) {
+            if (current == undefined) {
+                current = { token: '' };
+                tokens.push(current);
+            }
+            current.token += folded;
+            current.end = i + 1;
+        } else {
+            current = undefined;
+        }
+    }
+
+    var words = tokens.map(function(token) {
+        return token.token;
+    });
+    for (var start = 0; start + phraseTokens.length <= words.length; start++) {
+        if (findSequence(words.slice(start, start + phraseTokens.length), phraseTokens) != undefined) {
+            var end = tokens[start + phraseTokens.length - 1].end;
+            return {
+                rest: transcript.substring(end).replace(/^[\s.,;:!?-]+/, ''),
+                words: transcript.substring(0, end).trim().split(/\s+/).length
+            };
+        }
+    }
+
+    return undefined;
+}
+
+/**
+ * Remove the wake phrase from a result object: from its transcript, its words and its alternatives.
+ * Alternatives without the phrase are dropped.
+ *
+ * @param {Object} result The result object (see lib/recognition.js).
+ * @param {Object} cut Where the phrase is in the transcript of the result (see afterPhrase).
+ * @param {Array} phraseTokens The words of the phrase.
+ */
+function resultAfterPhrase(result, cut, phraseTokens) {
+    var trimmed = Object.assign({}, result, {
+        transcript: cut.rest
+    });
+
+    if (result.words != undefined) {
+        trimmed.words = result.words.slice(cut.words);
+    }
+    if (result.alternatives != undefined) {
+        trimmed.alternatives = result.alternatives.map(function(alternative) {
+            var alternativeCut = afterPhrase(alternative.transcript, phraseTokens);
+            return alternativeCut == undefined ? undefined : Object.assign({}, alternative, {
+                transcript: alternativeCut.rest
+            });
+        }).filter(function(alternative) {
+            return alternative != undefined;
+        });
+    }
+
+    return trimmed;
+}
+
+module.exports = {
+    normalizeResult: normalizeResult,
+    resolveModel: resolveModel,
+    isRetryableError: isRetryableError,
+    afterPhrase: afterPhrase,
+    resultAfterPhrase: resultAfterPhrase,
+    ResultAssembler: ResultAssembler
+};
@@ -0,0 +1,469 @@
+/**
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// useful node modules
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const EventEmitter = require('events').EventEmitter;
+const PassThrough = require('stream').PassThrough;
+const audio = require('./audio');
+
+// smallest valid JPEG (1x1 px, grayscale), used when no fixture photos are configured
+const BLANK_JPEG = Buffer.from(
+    '/9j/4AAQSkZJRgABAQEASABIAAD/2wBDAP//////////////////////////////////////////////////' +
+    '////////////////////////////////////wgALCAABAAEBAREA/8QAFBABAAAAAAAAAAAAAAAAAAAAAP/a' +
+    'AAgBAQABPxA=', 'base64');
+
+// how often the simulated microphone pushes audio into its stream
+const MIC_CHUNK_MSEC = 100;
+
+/**
+ * Simulator
+ *
+ * Provides in-memory stand-ins for the TJBot hardware so recipes can run without a Raspberry Pi.
+ * Every interaction with a simulated device is appended to a log that tests can inspect.
+ *
+ * @param {Object} options The `simulation` configuration section (see TJBot.prototype.defaultConfiguration).
+ * @constructor
+ */
+function Simulator(options) {
+    this.options = Object.assign({
+        photos: [],
+        microphoneFile: undefined,
+        loopMicrophone: true,
+        realtime: true,
+        playbackMs: 0
+    }, options);
+
+    this._log = [];
+    this._photoIndex = 0;
+}
+
+/**
+ * Append an entry to the hardware log.
+ *
+ * @param {String} device The device name (see TJBot.prototype.hardware).
+ * @param {String} action The action performed on the device.
+ * @param {*} value Details of the action (color, pulse width, file path, ...).
+ */
+Simulator.prototype.record = function(device, action, value) {
+    this._log.push({
+        device: device,
+        action: action,
+        value: value,
+        timestamp: Date.now()
+    });
+}
+
+/**
+ * Get the logged entries, optionally only those for a single device.
+ *
+ * @param {String} device The device name. If omitted, all entries are returned.
+ */
+Simulator.prototype.entries = function(device) {
+    if (device == undefined) {
+        return this._log.slice();
+    }
+    return this._log.filter(function(entry) {
+        return entry.device == device;
+    });
+}
+
+/**
+ * Clear the hardware log.
+ */
+Simulator.prototype.clear = function() {
+    this._log = [];
+}
+
+/** ------------------------------------------------------------------------ */
+/** GPIO (RGB LED, SERVO)                                                    */
+/** ------------------------------------------------------------------------ */
+
+/**
+ * Create a stand-in for a pigpio Gpio pin.
+ *
+ * @param {String} device The device the pin belongs to (e.g. 'rgb_led', 'servo').
+ * @param {Int} pin The BCM pin number.
+ */
+Simulator.prototype.createGpio = function(device, pin) {
+    return new SimulatedGpio(this, device, pin);
+}
+
+function SimulatedGpio(simulator, device, pin) {
+    this._simulator = simulator;
+    this.device = device;
+    this.pin = pin;
+    this.level = 0;
+    this.dutyCycle = 0;
+    this.pulseWidth = 0;
+}
+
+SimulatedGpio.prototype.digitalWrite = function(level) {
+    this.level = level;
+    this._simulator.record(this.device, 'digitalWrite', { pin: this.pin, level: level });
+    return this;
+}
+
+SimulatedGpio.prototype.pwmWrite = function(dutyCycle) {
+    this.dutyCycle = dutyCycle;
+    this._simulator.record(this.device, 'pwmWrite', { pin: this.pin, dutyCycle: dutyCycle });
+    return this;
+}
+
+SimulatedGpio.prototype.servoWrite = function(pulseWidth) {
+    this.pulseWidth = pulseWidth;
+    this._simulator.record(this.device, 'servoWrite', { pin: this.pin, pulseWidth: pulseWidth });
+    return this;
+}
+
+SimulatedGpio.prototype.getServoPulseWidth = function() {
+    return this.pulseWidth;
+}
+
+SimulatedGpio.prototype.getPwmDutyCycle = function() {
+    return this.dutyCycle;
+}
+
+/** ------------------------------------------------------------------------ */
+/** NEOPIXEL                                                                 */
+/** ------------------------------------------------------------------------ */
+
+/**
+ * Create a stand-in for the rpi-ws281x-native module.
+ */
+Simulator.prototype.createNeopixel = function() {
+    var simulator = this;
+
+    return {
+        pixels: new Uint32Array(0),
+        brightness: 255,
+
+        init: function(numLeds) {
+            this.pixels = new Uint32Array(numLeds);
+            simulator.record('led', 'init', { numLeds: numLeds });
+        },
+
+        render: function(colors) {
+            this.pixels = Uint32Array.from(colors);
+            simulator.record('led', 'render', {
+                colors: Array.from(colors),
+                // the LED expects 0xGGRRBB, log the more readable #RRGGBB as well
+                rgb: Array.from(colors).map(function(grb) {
+                    var hex = ('000000' + grb.toString(16)).slice(-6);
+                    return '#' + hex.slice(2, 4) + hex.slice(0, 2) + hex.slice(4, 6);
+                })
+            });
+        },
+
+        setBrightness: function(brightness) {
+            this.brightness = brightness;
+            simulator.record('led', 'setBrightness', { brightness: brightness });
+        },
+
+        reset: function() {
+            this.pixels = new Uint32Array(this.pixels.length);
+            simulator.record('led', 'reset');
+        }
+    };
+}
+
+/** ------------------------------------------------------------------------ */
+/** CAMERA                                                                   */
+/** ------------------------------------------------------------------------ */
+
+/**
+ * Create a stand-in for a node-raspistill camera.
+ *
+ * @param {Object} options The Raspistill options.
+ */
+Simulator.prototype.createCamera = function(options) {
+    return new SimulatedCamera(this, options);
+}
+
+function SimulatedCamera(simulator, options) {
+    this._simulator = simulator;
+    this.options = Object.assign({ encoding: 'jpg', outputDir: './', fileName: 'photo' }, options);
+}
+
+SimulatedCamera.prototype.setOptions = function(options) {
+    Object.assign(this.options, options);
+}
+
+SimulatedCamera.prototype.getOptions = function() {
+    return this.options;
+}
+
+/**
+ * "Take" a photo by copying the next fixture JPEG into the configured output location.
+ * Fixtures are served in a round-robin fashion.
+ *
+ * Returns a Promise that resolves to the photo data in a Buffer.
+ */
+SimulatedCamera.prototype.takePhoto = function() {
+    var self = this;
+    var photos = this._simulator.options.photos || [];
+
+    return new Promise(function(resolve, reject) {
+        var fixture = undefined;
+        var data = BLANK_JPEG;
+
+        try {
+            if (photos.length > 0) {
+                fixture = photos[self._simulator._photoIndex % photos.length];
+                self._simulator._photoIndex++;
+                data = fs.readFileSync(fixture);
+            }
+
+            var outputPath = path.join(self.options.outputDir || '.', self.options.fileName + '.' + self.options.encoding);
+            fs.writeFileSync(outputPath, data);
+
+            self._simulator.record('camera', 'takePhoto', {
+                fixture: fixture,
+                path: outputPath,
+                width: self.options.width,
+                height: self.options.height
+            });
+            resolve(data);
+        } catch (err) {
+            reject(err);
+        }
+    });
+}
+
+/** ------------------------------------------------------------------------ */
+/** MICROPHONE                                                               */
+/** ------------------------------------------------------------------------ */
+
+/**
+ * Create a stand-in for a `mic` instance. The audio stream carries raw PCM samples, either
+ * read from the configured WAV fixture or silence if there is none.
+ *
+ * @param {Object} params The `mic` parameters (rate, channels, ...).
+ */
+Simulator.prototype.createMicrophone = function(params) {
+    return new SimulatedMicrophone(this, params);
+}
+
+function SimulatedMicrophone(simulator, params) {
+    this._simulator = simulator;
+    this.params = Object.assign({ rate: '16000', channels: '1', bitwidth: '16' }, params);
+    this._stream = new PassThrough();
+    this._timer = undefined;
+    this._offset = 0;
+    this._pcm = undefined;
+    this._running = false;
+}
+
+SimulatedMicrophone.prototype.getAudioStream = function() {
+    return this._stream;
+}
+
+SimulatedMicrophone.prototype.start = function() {
+    var file = this._simulator.options.microphoneFile;
+
+    // play the fixture in the format the microphone was opened with
+    if (file) {
+        var wav = readWav(file);
+        this._pcm = audio.convert(wav.data, wav.format, {
+            rate: parseInt(this.params.rate),
+            channels: parseInt(this.params.channels),
+            bitDepth: parseInt(this.params.bitwidth)
+        });
+    } else {
+        this._pcm = undefined;
+    }
+    this._offset = 0;
+    this._running = true;
+    this._simulator.record('microphone', 'start', { file: file });
+    this._stream.emit('startComplete');
+    this._startStreaming();
+}
+
+SimulatedMicrophone.prototype.pause = function() {
+    // like arecord, a microphone that isn't running can't be paused or resumed
+    if (!this._running) {
+        return;
+    }
+    this._stopStreaming();
+    this._simulator.record('microphone', 'pause');
+    this._stream.emit('pauseComplete');
+}
+
+SimulatedMicrophone.prototype.resume = function() {
+    if (!this._running) {
+        return;
+    }
+    this._simulator.record('microphone', 'resume');
+    this._stream.emit('resumeComplete');
+    this._startStreaming();
+}
+
+SimulatedMicrophone.prototype.stop = function() {
+    if (!this._running) {
+        return;
+    }
+    this._running = false;
+    this._stopStreaming();
+    this._simulator.record('microphone', 'stop');
+    this._stream.emit('stopComplete');
+    this._stream.end();
+    this._stream.emit('processExitComplete');
+}
+
+SimulatedMicrophone.prototype._startStreaming = function() {
+    var self = this;
+
+    if (this._timer != undefined) {
+        return;
+    }
+
+    var bytesPerFrame = parseInt(this.params.channels) * parseInt(this.params.bitwidth) / 8;
+    var bytesPerChunk = Math.round(parseInt(this.params.rate) * bytesPerFrame * MIC_CHUNK_MSEC / 1000);
+    // keep chunks aligned to whole frames
+    bytesPerChunk -= bytesPerChunk % bytesPerFrame;
+
+    var tick = function() {
+        var chunk = self._nextChunk(bytesPerChunk);
+        if (chunk == undefined) {
+            self._stopStreaming();
+            self._stream.emit('silence');
+            return;
+        }
+        self._stream.write(chunk);
+    };
+
+    var interval = this._simulator.options.realtime ? MIC_CHUNK_MSEC : 0;
+    this._timer = setInterval(tick, interval);
+}
+
+SimulatedMicrophone.prototype._stopStreaming = function() {
+    if (this._timer != undefined) {
+        clearInterval(this._timer);
+        this._timer = undefined;
+    }
+}
+
+SimulatedMicrophone.prototype._nextChunk = function(size) {
+    // no fixture: stream silence forever
+    if (this._pcm == undefined) {
+        // 8 bit audio is unsigned, its silence is 128
+        return Buffer.alloc(size, this.params.bitwidth == '8' ? 128 : 0);
+    }
+
+    if (this._offset >= this._pcm.length) {
+        if (!this._simulator.options.loopMicrophone) {
+            return undefined;
+        }
+        this._offset = 0;
+    }
+
+    var chunk = this._pcm.slice(this._offset, this._offset + size);
+    this._offset += chunk.length;
+    return chunk;
+}
+
+/**
+ * Read a RIFF/WAVE file and return its format and raw PCM data.
+ *
+ * @param {String} file Path to the WAV file.
+ */
+function readWav(file) {
+    var buffer = fs.readFileSync(file);
+
+    if (buffer.toString('ascii', 0, 4) != 'RIFF' || buffer.toString('ascii', 8, 12) != 'WAVE') {
+        throw new Error('simulated microphone fixture "' + file + '" is not a WAV file');
+    }
+
+    var format = {};
+    var data = undefined;
+    var offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+        var chunkId = buffer.toString('ascii', offset, offset + 4);
+        var chunkSize = buffer.readUInt32LE(offset + 4);
+        var body = offset + 8;
+
+        if (chunkId == 'fmt ') {
+            format.channels = buffer.readUInt16LE(body + 2);
+            format.rate = buffer.readUInt32LE(body + 4);
+            format.bitDepth = buffer.readUInt16LE(body + 14);
+        } else if (chunkId == 'data') {
+            data = buffer.slice(body, Math.min(body + chunkSize, buffer.length));
+        }
+
+        // chunks are word-aligned
+        offset = body + chunkSize + (chunkSize % 2);
+    }
+
+    if (data == undefined) {
+        throw new Error('simulated microphone fixture "' + file + '" has no audio data');
+    }
+
+    return { format: format, data: data };
+}
+
+/** ------------------------------------------------------------------------ */
+/** SPEAKER                                                                  */
+/** ------------------------------------------------------------------------ */
+
+/**
+ * Create a stand-in for the sound-player constructor. Playback completes after `playbackMs`
+ * (right away by default).
+ */
+Simulator.prototype.createSoundPlayer = function() {
+    var simulator = this;
+
+    function SimulatedSoundPlayer(options) {
+        EventEmitter.call(this);
+        this.options = options;
+    }
+    util.inherits(SimulatedSoundPlayer, EventEmitter);
+
+    SimulatedSoundPlayer.prototype.play = function(soundFile) {
+        var self = this;
+        simulator.record('speaker', 'play', {
+            file: soundFile || this.options.filename,
+            device: this.options.device
+        });
+
+        var complete = function() {
+            self._timer = undefined;
+            self.emit('complete');
+        };
+        this._timer = setTimeout(complete, simulator.options.playbackMs || 0);
+    }
+
+    SimulatedSoundPlayer.prototype.stop = function() {
+        simulator.record('speaker', 'stop');
+        if (this._timer != undefined) {
+            clearTimeout(this._timer);
+            this._timer = undefined;
+        }
+    }
+
+    return SimulatedSoundPlayer;
+}
+
+/** ------------------------------------------------------------------------ */
+/** MODULE EXPORTS                                                           */
+/** ------------------------------------------------------------------------ */
+
+module.exports = Simulator;
+module.exports.readWav = readWav;
@@ -0,0 +1,288 @@
+/**
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// file extensions of the audio formats, by the start of their content type
+const EXTENSIONS = {
+    'audio/mp3': 'mp3',
+    'audio/mpeg': 'mp3',
+    'audio/wav': 'wav',
+    'audio/ogg': 'ogg',
+    'audio/flac': 'flac',
+    'audio/webm': 'webm',
+    'audio/l16': 'raw'
+};
+
+/**
+ * SpeechCache
+ *
+ * Content addressed cache of synthesized speech on disk. Audio is stored under a hash of the synthesis
+ * parameters (text, voice, format and anything else passed to the text to speech service), so the same
+ * phrase said with the same voice is only synthesized once. When the audio takes more than `maxBytes`,
+ * the least recently used files are removed.
+ *
+ * Which files were used last is kept by their modification time, so it survives restarts.
+ *
+ * @param {Object} options Settings:
+ *      `directory`: where to store the audio (required, created when missing),
+ *      `maxBytes`: size cap of the cache (default 50 MB).
+ * @constructor
+ */
+function SpeechCache(options) {
+    this.options = Object.assign({
+        maxBytes: 50 * 1024 * 1024
+    }, options);
+
+    if (!this.options.directory) {
+        throw new Error('the speech cache needs a directory');
+    }
+
+    fs.mkdirSync(this.options.directory, { recursive: true });
+
+    // key -> {filePath, bytes}, least recently used first
+    this._entries = new Map();
+    this._bytes = 0;
+    this._load();
+}
+
+/**
+ * The cache key of synthesis parameters: a hash of all of them, in a fixed order.
+ *
+ * @param {Object} params The synthesis parameters, e.g. {text, voice, accept}.
+ */
+SpeechCache.prototype.key = function(params) {
+    var entries = Object.keys(params).sort().filter(function(name) {
+        return params[name] != undefined;
+    }).map(function(name) {
+        return [name, params[name]];
+    });
+
+    return crypto.createHash('sha256').update(JSON.stringify(entries)).digest('hex');
+}
+
+/**
+ * Look up synthesized speech.
+ *
+ * @param {Object} params The synthesis parameters.
+ *
+ * Returns the path of the audio file, or undefined when it isn't cached.
+ */
+SpeechCache.prototype.get = function(params) {
+    var key = this.key(params);
+    var entry = this._entries.get(key);
+
+    if (entry == undefined) {
+        return undefined;
+    }
+
+    if (!fs.existsSync(entry.filePath)) {
+        this._forget(key);
+        return undefined;
+    }
+
+    // mark the entry as most recently used
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+
+    var now = new Date();
+    fs.utimes(entry.filePath, now, now, function() {});
+
+    return entry.filePath;
+}
+
+/**
+ * Store synthesized speech.
+ *
+ * @param {Object} params The synthesis parameters.
+ * @param {Stream} audio The audio, as returned by the text to speech service.
+ *
+ * Returns a Promise that resolves with the path of the audio file once it is written.
+ */
+SpeechCache.prototype.put = function(params, audio) {
+    var self = this;
+    var key = this.key(params);
+    var filePath = path.join(this.options.directory, key + '.' + extension(params.accept));
+
+    // write to a temporary file first, so a failed download never ends up in the cache
+    var partPath = filePath + '.' + crypto.randomBytes(4).toString('hex') + '.part';
+
+    return new Promise(function(resolve, reject) {
+        var file = fs.createWriteStream(partPath);
+        var failed = false;
+
+        var fail = function(err) {
+            if (failed) {
+                return;
+            }
+            failed = true;
+            file.destroy();
+            fs.unlink(partPath, function() {});
+            reject(err);
+        };
+
+        audio.on('error', fail);
+        file.on('error', fail);
+        file.on('close', function() {
+            if (failed) {
+                return;
+            }
+            fs.rename(partPath, filePath, function(err) {
+                if (err) {
+                    return fail(err);
+                }
+
+                self._forget(key);
+                self._add(key, filePath, fs.statSync(filePath).size);
+                self._evict(key);
+
+                resolve(filePath);
+            });
+        });
+
+        audio.pipe(file);
+    });
+}
+
+/**
+ * Store a small JSON document next to the audio, e.g. the list of voices, so it is available offline.
+ *
+ * @param {String} name The name of the document.
+ * @param {Object} value The document.
+ */
+SpeechCache.prototype.putDocument = function(name, value) {
+    fs.writeFileSync(path.join(this.options.directory, name + '.json'), JSON.stringify(value));
+}
+
+/**
+ * Read a document stored with putDocument.
+ *
+ * @param {String} name The name of the document.
+ *
+ * Returns the document, or undefined when there is none.
+ */
+SpeechCache.prototype.getDocument = function(name) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(this.options.directory, name + '.json'), 'utf8'));
+    } catch (err) {
+        return undefined;
+    }
+}
+
+/**
+ * The size of the cached audio in bytes.
+ */
+SpeechCache.prototype.size = function() {
+    return this._bytes;
+}
+
+/**
+ * Remove all cached audio.
+ */
+SpeechCache.prototype.clear = function() {
+    var self = this;
+
+    Array.from(this._entries.keys()).forEach(function(key) {
+        self._remove(key);
+    });
+}
+
+SpeechCache.prototype._load = function() {
+    var self = this;
+    var directory = this.options.directory;
+
+    // remove what was left of writes that didn't finish
+    fs.readdirSync(directory).filter(function(name) {
+        return /\.part$/.test(name);
+    }).forEach(function(name) {
+        fs.unlinkSync(path.join(directory, name));
+    });
+
+    var files = fs.readdirSync(directory).filter(function(name) {
+        return /^[0-9a-f]{64}\.\w+$/.test(name);
+    }).map(function(name) {
+        var stats = fs.statSync(path.join(directory, name));
+        return {
+            key: name.split('.')[0],
+            filePath: path.join(directory, name),
+            bytes: stats.size,
+            usedAt: stats.mtimeMs
+        };
+    }).sort(function(a, b) {
+        return a.usedAt - b.usedAt;
+    });
+
+    files.forEach(function(file) {
+        self._add(file.key, file.filePath, file.bytes);
+    });
+
+    this._evict();
+}
+
+SpeechCache.prototype._add = function(key, filePath, bytes) {
+    this._entries.set(key, {
+        filePath: filePath,
+        bytes: bytes
+    });
+    this._bytes += bytes;
+}
+
+SpeechCache.prototype._forget = function(key) {
+    var entry = this._entries.get(key);
+    if (entry != undefined) {
+        this._entries.delete(key);
+        this._bytes -= entry.bytes;
+    }
+}
+
+SpeechCache.prototype._remove = function(key) {
+    var entry = this._entries.get(key);
+    this._forget(key);
+    if (entry != undefined) {
+        try {
+            fs.unlinkSync(entry.filePath);
+        } catch (err) {
+            // already gone
+        }
+    }
+}
+
+/**
+ * Remove the least recently used audio until the cache fits in maxBytes.
+ *
+ * @param {String} keep A key not to remove, the one just added.
+ */
+SpeechCache.prototype._evict = function(keep) {
+    for (var key of Array.from(this._entries.keys())) {
+        if (this._bytes <= this.options.maxBytes) {
+            break;
+        }
+        if (key != keep) {
+            this._remove(key);
+        }
+    }
+}
+
+function extension(accept) {
+    var type = (accept || 'audio/mp3').split(';')[0].trim().toLowerCase();
+    return EXTENSIONS[type] || 'audio';
+}
+
+module.exports = SpeechCache;
@@ -0,0 +1,369 @@
+/**
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * SSML for text to speech: generating it from speak() options, and checking raw SSML before it is sent,
+ * so mistakes get a clear error instead of a failed or garbled synthesis.
+ *
+ * A message to speak is a string, or a list of segments:
+ *      'text': said as is,
+ *      {pause: 500} or {pause: 'strong'}: a pause of 500 ms, or of a strength ('none' to 'x-strong'),
+ *      {text, sayAs, format, emphasis, rate, pitch, volume}: text with its own settings, e.g.
+ *          {text: '2024-03-01', sayAs: 'date', format: 'ymd'} or {text: 'now', emphasis: 'strong'}.
+ *
+ * Settings, for a whole message or a segment:
+ *      `rate`, `pitch`, `volume`: a value as in SSML ('slow', '+10%', '-2st', '+6dB', ...), or a number:
+ *          the change in percent for rate and pitch, in dB for volume,
+ *      `emphasis`: 'strong', 'moderate', 'none' or 'reduced',
+ *      `sayAs`: how to say the text, e.g. 'cardinal', 'ordinal', 'digits', 'date', 'time', 'letters',
+ *          with `format` for dates (e.g. 'mdy').
+ */
+
+// elements the text to speech service understands, with their attributes: a list of valid values,
+// a pattern, or true for any value. Required attributes are listed in `required`. Other elements are
+// passed on unchecked, so the service can take extensions this list doesn't know of.
+const ELEMENTS = {
+    'speak': { attributes: { 'version': true, 'xml:lang': true, 'xmlns': true } },
+    'break': { attributes: { 'strength': ['none', 'x-weak', 'weak', 'medium', 'strong', 'x-strong'], 'time': /^\d+(\.\d+)?m?s$/ } },
+    'emphasis': { attributes: { 'level': ['strong', 'moderate', 'none', 'reduced'] } },
+    'prosody': {
+        attributes: {
+            'rate': /^(x-slow|slow|medium|fast|x-fast|default|[+-]?\d+(\.\d+)?%?)$/,
+            'pitch': /^(x-low|low|medium|high|x-high|default|[+-]?\d+(\.\d+)?(Hz|st|%))$/,
+            'volume': /^(silent|x-soft|soft|medium|loud|x-loud|default|[+-]?\d+(\.\d+)?(dB)?)$/
+        }
+    },
+    'say-as': {
+        attributes: {
+            'interpret-as': ['letters', 'characters', 'spell-out', 'digits', 'cardinal', 'number', 'ordinal', 'date', 'time',
+                'telephone', 'interjection', 'vxml:boolean', 'vxml:date', 'vxml:currency', 'vxml:digits', 'vxml:number',
+                'vxml:phone', 'vxml:time'],
+            'format': true,
+            'detail': true
+        },
+        required: ['interpret-as']
+    },
+    'sub': { attributes: { 'alias': true }, required: ['alias'] },
+    'phoneme': { attributes: { 'alphabet': ['ipa', 'ibm'], 'ph': true }, required: ['ph'] },
+    'mark': { attributes: { 'name': true }, required: ['name'] },
+    'p': { attributes: {} },
+    'paragraph': { attributes: {} },
+    's': { attributes: {} },
+    'sentence': { attributes: {} },
+    // IBM extensions
+    'express-as': { attributes: { 'type': ['GoodNews', 'Apology', 'Uncertainty'] }, required: ['type'] },
+    'voice-transformation': {
+        attributes: {
+            'type': ['Young', 'Soft', 'Custom'],
+            'strength': true,
+            'breathiness': true,
+            'pitch': true,
+            'pitch_range': true,
+            'rate': true,
+            'glottal_tension': true,
+            'timbre': true,
+            'timbre_extent': true
+        },
+        required: ['type']
+    }
+};
+
+const ENTITIES = {
+    'amp': '&',
+    'lt': '<',
+    'gt': '>',
+    'quot': '"',
+    'apos': "'"
+};
+
+// a start, end or empty element tag
+const TAG = /<(\/?)([A-Za-z][\w:.-]*)((?:\s+[A-Za-z][\w:.-]*\s*=\s*(?:"[^"<]*"|'[^'<]*'))*)\s*(\/?)>/y;
+const ATTRIBUTE = /([A-Za-z][\w:.-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * Escape text for use in SSML.
+ *
+ * @param {String} text The text.
+ */
+function escape(text) {
+    return String(text).replace(/[&<>"']/g, function(c) {
+        return '&' + Object.keys(ENTITIES).find(function(name) {
+            return ENTITIES[name] == c;
+        }) + ';';
+    });
+}
+
+/**
+ * Whether a message is raw SSML, i.e. starts with a <speak> element.
+ *
+ * @param {String} message The message.
+ */
+function isSSML(message) {
+    return typeof message == 'string' && /^\s*(<\?xml[^>]*\?>\s*)?<speak[\s>/]/.test(message);
+}
+
+/**
+ * Check that SSML is well-formed and that the elements the service understands have valid attributes.
+ * Unknown elements are let through. Throws an Error telling what is wrong and where.
+ *
+ * @param {String} ssml The SSML, with a <speak> root element.
+ */
+function validate(ssml) {
+    var stack = [];
+    var closedRoot = false;
+    var i = 0;
+
+    var fail = function(offset, problem) {
+        var before = ssml.substring(0, offset).split('\n');
+        throw new Error('invalid SSML (line ' + before.length + ', column ' + (before[before.length - 1].length + 1) + '): ' + problem);
+    };
+
+    while (i < ssml.length) {
+        var lt = ssml.indexOf('<', i);
+        var text = ssml.substring(i, lt == -1 ? ssml.length : lt);
+
+        // text must be inside the root, and use entities for & and <
+        if (text.trim() != '' && (stack.length == 0)) {
+            fail(i + text.search(/\S/), 'text outside of the <speak> element');
+        }
+        var amp = text.search(/&(?!(amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);)/);
+        if (amp != -1) {
+            fail(i + amp, 'unescaped "&", write it as "&amp;"');
+        }
+
+        if (lt == -1) {
+            break;
+        }
+
+        if (ssml.startsWith('<!--', lt)) {
+            var endComment = ssml.indexOf('-->', lt + 4);
+            if (endComment == -1) {
+                fail(lt, 'the comment is not closed');
+            }
+            i = endComment + 3;
+            continue;
+        }
+
+        if (ssml.startsWith('<?', lt)) {
+            var endDeclaration = ssml.indexOf('?>', lt + 2);
+            if (endDeclaration == -1 || lt != ssml.search(/\S/)) {
+                fail(lt, 'an XML declaration can only come first');
+            }
+            i = endDeclaration + 2;
+            continue;
+        }
+
+        TAG.lastIndex = lt;
+        var tag = TAG.exec(ssml);
+        if (tag == null) {
+            fail(lt, 'malformed tag "' + ssml.substring(lt, Math.min(ssml.length, lt + 30)).split('>')[0] + '"; ' +
+                'check the brackets and that attribute values are quoted, or write a "<" in text as "&lt;"');
+        }
+
+        var closing = tag[1] == '/';
+        var name = tag[2];
+        var empty = tag[4] == '/';
+
+        if (closing) {
+            if (tag[3].trim() != '' || empty) {
+                fail(lt, 'the end tag </' + name + '> can not have attributes');
+            }
+            if (stack.length == 0) {
+                fail(lt, '</' + name + '> has no matching start tag');
+            }
+            var open = stack.pop();
+            if (open != name) {
+                fail(lt, '</' + name + '> closes <' + open + '>');
+            }
+            if (stack.length == 0) {
+                closedRoot = true;
+            }
+        } else {
+            if (stack.length == 0 && (name != 'speak' || closedRoot)) {
+                fail(lt, closedRoot ? 'only one <speak> element is allowed' : 'the root element must be <speak>, not <' + name + '>');
+            }
+            if (name == 'speak' && stack.length > 0) {
+                fail(lt, '<speak> can not be inside another element');
+            }
+            validateElement(name, tag[3], function(problem) {
+                fail(lt, problem);
+            });
+
+            if (!empty) {
+                stack.push(name);
+            } else if (stack.length == 0) {
+                closedRoot = true;
+            }
+        }
+
+        i = TAG.lastIndex;
+    }
+
+    if (stack.length > 0) {
+        fail(ssml.length, '<' + stack[stack.length - 1] + '> is not closed');
+    }
+    if (!closedRoot) {
+        fail(0, 'there is no <speak> element');
+    }
+}
+
+function validateElement(name, attributeText, fail) {
+    var element = ELEMENTS[name];
+    if (element == undefined) {
+        return;
+    }
+
+    var seen = [];
+    var match;
+    ATTRIBUTE.lastIndex = 0;
+    while ((match = ATTRIBUTE.exec(attributeText)) != null) {
+        var attribute = match[1];
+        var value = match[2] != undefined ? match[2] : match[3];
+        var valid = element.attributes[attribute];
+
+        if (valid == undefined) {
+            fail('<' + name + '> has no "' + attribute + '" attribute' + (Object.keys(element.attributes).length > 0 ?
+                '; use ' + Object.keys(element.attributes).join(', ') : ''));
+        }
+        if (seen.indexOf(attribute) != -1) {
+            fail('<' + name + '> has the "' + attribute + '" attribute twice');
+        }
+        seen.push(attribute);
+
+        if (Array.isArray(valid) ? valid.indexOf(value) == -1 : valid instanceof RegExp && !valid.test(value)) {
+            fail('"' + value + '" is not a valid ' + attribute + ' of <' + name + '>' +
+                (Array.isArray(valid) ? '; use one of ' + valid.join(', ') : ''));
+        }
+    }
+
+    (element.required || []).forEach(function(attribute) {
+        if (seen.indexOf(attribute) == -1) {
+            fail('<' + name + '> needs the "' + attribute + '" attribute');
+        }
+    });
+}
+
+/**
+ * Turn a number into a relative SSML value, e.g. 10 into '+10%'.
+ */
+function relative(value, unit) {
+    if (typeof value != 'number') {
+        return String(value);
+    }
+    return (value >= 0 ? '+' : '') + value + unit;
+}
+
+/**
+ * Wrap SSML in the elements of a set of settings (see above).
+ */
+function wrap(content, settings) {
+    if (settings.sayAs != undefined) {
+        content = '<say-as interpret-as="' + escape(settings.sayAs) + '"' +
+            (settings.format != undefined ? ' format="' + escape(settings.format) + '"' : '') + '>' + content + '</say-as>';
+    }
+
+    if (settings.emphasis != undefined) {
+        content = '<emphasis level="' + escape(settings.emphasis) + '">' + content + '</emphasis>';
+    }
+
+    var prosody = '';
+    if (settings.rate != undefined) {
+        prosody += ' rate="' + escape(relative(settings.rate, '%')) + '"';
+    }
+    if (settings.pitch != undefined) {
+        prosody += ' pitch="' + escape(relative(settings.pitch, '%')) + '"';
+    }
+    if (settings.volume != undefined) {
+        prosody += ' volume="' + escape(relative(settings.volume, 'dB')) + '"';
+    }
+    if (prosody != '') {
+        content = '<prosody' + prosody + '>' + content + '</prosody>';
+    }
+
+    return content;
+}
+
+/**
+ * Whether speaking a message with some settings takes SSML.
+ *
+ * @param {String|Array} message The message.
+ * @param {Object} settings The settings.
+ */
+function needsSSML(message, settings) {
+    settings = settings || {};
+    return Array.isArray(message) || ['rate', 'pitch', 'volume', 'emphasis', 'sayAs'].some(function(name) {
+        return settings[name] != undefined;
+    });
+}
+
+/**
+ * Generate SSML for a message (see above). The result is validated.
+ *
+ * @param {String|Array} message The message: a string or a list of segments.
+ * @param {Object} settings Settings for the whole message (optional).
+ */
+function build(message, settings) {
+    var segments = [].concat(message).map(function(segment) {
+        if (typeof segment == 'string' || typeof segment == 'number') {
+            return escape(segment);
+        }
+
+        if (segment == undefined || typeof segment != 'object') {
+            throw new Error('can not speak ' + JSON.stringify(segment) + ': a segment is text, {pause} or {text, ...settings}');
+        }
+
+        if (segment.pause != undefined) {
+            return typeof segment.pause == 'number' ?
+                '<break time="' + Math.round(segment.pause) + 'ms"/>' : '<break strength="' + escape(segment.pause) + '"/>';
+        }
+
+        if (segment.text == undefined) {
+            throw new Error('can not speak ' + JSON.stringify(segment) + ': a segment needs `text` or `pause`');
+        }
+
+        return wrap(escape(segment.text), segment);
+    });
+
+    var ssml = '<speak>' + wrap(segments.join(' '), settings || {}) + '</speak>';
+    validate(ssml);
+
+    return ssml;
+}
+
+/**
+ * The text of SSML, without its markup, e.g. for logging.
+ *
+ * @param {String} ssml The SSML.
+ */
+function plainText(ssml) {
+    return ssml.replace(/<!--[\s\S]*?-->|<[^>]*>/g, ' ').replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, function(entity, name) {
+        if (name[0] == '#') {
+            return String.fromCodePoint(name[1] == 'x' ? parseInt(name.substring(2), 16) : parseInt(name.substring(1), 10));
+        }
+        return ENTITIES[name] || entity;
+    }).replace(/\s+/g, ' ').trim();
+}
+
+module.exports = {
+    escape: escape,
+    isSSML: isSSML,
+    validate: validate,
+    needsSSML: needsSSML,
+    build: build,
+    plainText: plainText
+};
@@ -21,16 +21,31 @@
  const temp = require('temp').track();
  const Promise = require('bluebird');
  const fs = require('fs');
- const sleep = require('sleep');
+ const os = require('os');
+ const path = require('path');
+ const util = require('util');
+ const EventEmitter = require('events').EventEmitter;
  const colorToHex = require('colornames');
  const cm = require('color-model');
  const winston = require('winston');
- const got = require('got'); 
- const FormData = require('form-data');
- const Mic = require('mic');
- const Raspistill = require('node-raspistill').Raspistill;
- const gpio = require("pigpio").Gpio;  //Pigpio library for LED
  const { resolve } = require('bluebird');
+ const Simulator = require('./simulator');
+ const Animator = require('./animation');
+ const easing = require('./easing');
+ const gestures = require('./gestures');
+ const providers = require('./providers');
+ const assistant = require('./assistant');
+ const Dispatcher = require('./dispatcher');
+ const { tokenize } = require('./providers/local');
+ const recognition = require('./recognition');
+ const audio = require('./audio');
+ const vad = require('./vad');
+ const SpeechCache = require('./speechcache');
+ const ssml = require('./ssml');
+ const PlaybackQueue = require('./playbackqueue');
+ 
+ // hardware modules (sleep, mic, node-raspistill, pigpio, rpi-ws281x-native, sound-player) are
+ // loaded lazily, so TJBot can be constructed in simulation mode on machines without them
  
  /**
   * TJBot
@@ -44,6 +59,8 @@
          throw new Error('"new" keyword required to create TJBot service instances')
      }
  
+     EventEmitter.call(this);
+ 
      // import configuration params
      this.configuration = Object.assign({}, TJBot.prototype.defaultConfiguration, configuration);
  
@@ -61,6 +78,13 @@
          throw new Error('must define a hardware configuration for TJBot');
      }
  
+     // replace all hardware with in-memory stand-ins when running in simulation mode
+     var simulationFromEnvironment = /^(1|true|yes|on)$/i.test((process.env.TJBOT_SIMULATION || '').trim());
+     if (this.configuration.simulation.enabled || simulationFromEnvironment) {
+         winston.info("TJBot running in simulation mode, no hardware will be used");
+         this._simulator = new Simulator(this.configuration.simulation);
+     }
+ 
      hardware.forEach(function(device) {
          switch (device) {
              case 'camera':
@@ -80,7 +104,7 @@
                  break;
  
              case 'servo':
-                 this._setupServo(this.configuration.wave.servoPin);
+                 this._setupServo(this.configuration.wave.servoPin || TJBot.prototype.defaultConfiguration.wave.servoPin);
                  break;
  
              case 'speaker':
@@ -137,6 +161,8 @@
      winston.silly(this.configuration);
  }
  
+ util.inherits(TJBot, EventEmitter);
+ 
  /**
   * TJBot module version
   */
@@ -145,7 +171,7 @@
  /**
   * List of TJBot hardware and services.
   */
- TJBot.prototype.capabilities = ['analyze_tone', 'converse', 'listen', 'see', 'shine', 'speak', 'translate', 'wave'];
+ TJBot.prototype.capabilities = ['analyze_tone', 'converse', 'customize_listen', 'listen', 'record', 'see', 'shine', 'shine_rgb', 'speak', 'transcribe', 'translate', 'wave'];
  TJBot.prototype.hardware = ['camera', 'led', 'rgb_led', 'microphone', 'servo', 'speaker'];
  TJBot.prototype.services = ['assistant', 'language_translator', 'speech_to_text', 'text_to_speech', 'tone_analyzer', 'visual_recognition'];
  
@@ -164,15 +190,85 @@
          microphoneDeviceId: "plughw:1,0", // plugged-in USB card 1, device 0; see `arecord -l` for a list of recording devices
          inactivityTimeout: -1, // -1 to never timeout or break the connection. Set this to a value in seconds e.g 120 to end connection after 120 seconds of silence
          language: 'en-US', // see TJBot.prototype.languages.listen
-         customization_id: '' //customization model id for STT
+         model: 'narrowband', // 'narrowband', 'broadband', or the next generation 'telephony' or 'multimedia'; or a full model name, e.g. 'en-US_Telephony'
+         capture: {
+             // format recorded from the microphone. TJBot converts it to the mono audio the model expects before sending it to STT.
+             rate: 16000,
+             channels: 2,
+             bitDepth: 16
+         },
+         customization_id: '', //customization model id for STT
+         minConfidence: 0, // in object mode, final results with a lower confidence are dropped or marked uncertain
+         lowConfidence: 'drop', // 'drop' or 'mark' results below minConfidence
+         saveAudio: {
+             directory: undefined, // save every utterance recognized by listen() here, as a WAV file next to a text file with its transcript
+             maxUtteranceMs: 30000 // longest audio saved for an utterance
+         },
+         vad: {
+             enabled: false, // only stream audio to STT while someone is speaking, detected on the TJBot by its loudness
+             thresholdDb: -40, // loudness of speech, in dB relative to full scale; raise it in a noisy room
+             minSpeechMs: 100, // how long it must be loud before speech starts
+             silenceMs: 1000, // how long it must be quiet before the utterance ends and its STT stream is closed
+             preRollMs: 300, // audio from before speech started that is sent along, so the first word isn't cut off
+             frameMs: 20 // length of the frames the loudness is measured on
+         },
+         reconnect: {
+             maxRetries: 5, // give up listening after this many failed attempts in a row
+             initialDelayMs: 1000, // wait before the first attempt, doubled (see factor) for every next one
+             maxDelayMs: 30000,
+             factor: 2,
+             retryable: undefined // function(err) returning whether to retry after an error; default: see lib/recognition.js
+         },
+         wakeWord: {
+             phrase: undefined, // phrase that wakes TJBot up in listen(callback, {wakeWord: true}); default "hey " + robot.name
+             timeoutMs: 8000, // TJBot goes back to sleep when nothing is said for this long after the phrase
+             indicator: true, // breathe the LED while TJBot is awake
+             indicatorColor: 'blue'
+         }
+     },
+     converse: {
+         assistantId: undefined, // assistant used when converse() is called without an assistant id
+         userId: 'tjbot', // user of the conversation when converse() is called without a userId
+         sessionTimeoutMs: 300000, // sessions idle for longer are replaced before the next message; -1 to rely on the service alone
+         dispatch: true // call the dialog handlers (see TJBot.prototype.addDialogHandler) after every turn
      },
      wave: {
-         servoPin: 7 // corresponds to BCM 7 / physical PIN 26
+         servoPin: 7, // corresponds to BCM 7 / physical PIN 26
+         calibration: {
+             // servo pulse widths (in microseconds, 500 - 2500) of the three arm positions; adjust them
+             // if the arm of your TJBot doesn't point where it should
+             down: 2300, // arm lowered, 0 degrees / 0%
+             up: 1400, // arm raised, 90 degrees / 50%
+             back: 500 // arm all the way back, 180 degrees / 100%
+         }
+     },
+     shine: {
+         numPixels: 1, // number of Neopixels on the strip or ring (the original TJBot has a single one)
+         brightness: 1.0 // global brightness of the Neopixels in the range [0.0, 1.0]
+     },
+     rgb_led: {
+         pins: {
+             R: 17, // BCM 17 / physical PIN 11
+             G: 27, // BCM 27 / physical PIN 13
+             B: 22  // BCM 22 / physical PIN 15
+         },
+         commonAnode: false, // set to true for LEDs with a common anode (+), so the channels are driven inverted
+         gamma: 2.2, // gamma correction applied when mixing colors; 1.0 turns it off
+         calibration: {
+             R: 1.0, // brightness of each channel in the range [0.0, 1.0], used to balance LEDs
+             G: 1.0, // whose channels are not equally bright
+             B: 1.0
+         }
      },
      speak: {
          language: 'en-US', // see TJBot.prototype.languages.speak
          voice: undefined, // use a specific voice; if undefined, a voice is chosen based on robot.gender and speak.language
                            // english voices: en-US_MichaelVoice, en-US_AllisonVoice, en-US_LisaVoice, en-GB_KateVoice
+         cache: {
+             enabled: false, // keep synthesized speech on disk, so phrases said before are played without calling text to speech, also offline
+             directory: undefined, // where to keep it; default .tjbot/speech-cache in the home directory
+             maxBytes: 52428800 // 50 MB; the least recently used phrases are removed beyond this
+         },
          speakerDeviceId: "plughw:0,0" // plugged-in USB card 1, device 0; `see aplay -l` for a list of playback devices
          //speakerDeviceId: "bluealsa:HCI=hci0,DEV=XX:XX:XX:XX:XX:XX,PROFILE=a2dp" // bluetooth speaker, set mac adress from "cat ~/.asoundrc" device
      
@@ -189,6 +285,14 @@
              horizontalFlip: false // flips the image horizontally, should not need to be overridden
          },
          language: 'en'
+     },
+     simulation: {
+         enabled: false, // replace all hardware with in-memory stand-ins; can also be turned on with TJBOT_SIMULATION=1 (or true, yes, on)
+         photos: [], // JPEG files returned by the simulated camera, in round-robin order; a blank image is used if empty
+         microphoneFile: undefined, // WAV file streamed by the simulated microphone; silence is streamed if undefined
+         loopMicrophone: true, // restart the WAV file when it ends; otherwise the microphone goes silent
+         realtime: true, // stream microphone audio at its natural pace rather than as fast as possible
+         playbackMs: 0 // how long the simulated speaker takes to play a sound, e.g. to try out stopSpeaking()
      }
  };
  
@@ -202,6 +306,50 @@
  TJBot.prototype.languages.see = ['en','ar','de','es','it','ja','ko'];
  TJBot.prototype.genders = ['male', 'female'];
  
+ /**
+  * Events emitted by TJBot. Subscribe with e.g. `tj.on(TJBot.EVENTS.HEARD, function(transcript) { ... })`.
+  */
+ TJBot.EVENTS = {
+     HEARD: 'heard',                         // (transcript)
+     RECOGNIZED: 'recognized',               // (result) in object mode, see lib/recognition.js
+     LISTENING_STARTED: 'listeningStarted',  // ()
+     LISTENING_PAUSED: 'listeningPaused',    // ()
+     LISTENING_RESUMED: 'listeningResumed',  // ()
+     LISTENING_STOPPED: 'listeningStopped',  // ()
+     WAKE_WORD_HEARD: 'wakeWordHeard',       // ({phrase, transcript})
+     LISTENING_DORMANT: 'listeningDormant',  // ({timedOut})
+     LISTENING_RECONNECTING: 'listeningReconnecting', // ({attempt, delayMs, error})
+     LISTENING_GAVE_UP: 'listeningGaveUp',   // ({error, retries, fatal})
+     SPEECH_STARTED: 'speechStarted',        // () with voice activity detection, see listen.vad
+     SPEECH_ENDED: 'speechEnded',            // ({durationMs}) with voice activity detection
+     UTTERANCE_SAVED: 'utteranceSaved',      // ({filePath, transcriptPath, transcript}) see listen.saveAudio
+     RECORDING_STARTED: 'recordingStarted',  // ({filePath})
+     RECORDING_STOPPED: 'recordingStopped',  // ({filePath, durationMs, bytes})
+     SPEAK_START: 'speakStart',              // ({message, voice})
+     SPEAK_END: 'speakEnd',                  // ({message, voice})
+     PLAY_START: 'playStart',                // ({soundFile})
+     PLAY_END: 'playEnd',                    // ({soundFile})
+     COLOR_CHANGED: 'colorChanged',          // ({led, color, pixels}) where led is 'led' or 'rgb_led', and pixels ({start, end}) is only set for 'led'
+     ARM_MOVED: 'armMoved',                  // ({position, angle, pulseWidth}) where position is 'down', 'up', 'back' or undefined
+     PHOTO_TAKEN: 'photoTaken',              // ({filePath})
+     OBJECTS_SEEN: 'objectsSeen',            // ({filePath, response})
+     CONVERSED: 'conversed',                 // ({assistantId, message, response})
+     TRANSCRIBED: 'transcribed',             // ({transcript, results})
+     SPEECH_MODEL_STATUS: 'speechModelStatus', // (model) while waiting for a custom speech model, see TJBot.prototype.waitForSpeechModel
+     SPEECH_MODEL_TRAINED: 'speechModelTrained', // (model)
+     TRANSLATED: 'translated',               // ({text, sourceLanguage, targetLanguage, translation})
+     TONE_ANALYZED: 'toneAnalyzed',          // ({text, tone})
+     ANIMATION_STARTED: 'animationStarted',  // ({led, name})
+     ANIMATION_ENDED: 'animationEnded',      // ({led, name, completed})
+     GESTURE_STARTED: 'gestureStarted',      // ({name})
+     GESTURE_ENDED: 'gestureEnded',          // ({name, completed})
+     DIALOG_HANDLED: 'dialogHandled',        // ({trigger, params, result, error})
+     SERVICE_ERROR: 'serviceError'           // ({service, error})
+ };
+ TJBot.prototype.events = Object.keys(TJBot.EVENTS).map(function(key) {
+     return TJBot.EVENTS[key];
+ });
+ 
  /** ------------------------------------------------------------------------ */
  /** INTERNAL HARDWARE & WATSON SERVICE INITIALIZATION                        */
  /** ------------------------------------------------------------------------ */
@@ -212,7 +360,7 @@
  TJBot.prototype._setupCamera = function() {
      winston.verbose("TJBot initializing Camera");
  
-     this._camera = new Raspistill({
+     var cameraOptions = {
          width: this.configuration.see.camera.width,
          height: this.configuration.see.camera.height,
          noPreview: true,
@@ -221,7 +369,15 @@
          verticalFlip: this.configuration.see.camera.verticalFlip,
          horizontalFlip: this.configuration.see.camera.horizontalFlip,
          time: 1
-     });
+     };
+ 
+     if (this._simulator) {
+         this._camera = this._simulator.createCamera(cameraOptions);
+         return;
+     }
+ 
+     var Raspistill = require('node-raspistill').Raspistill;
+     this._camera = new Raspistill(cameraOptions);
  
      // versions of node-raspistill < 0.0.11 don't have the `time` option, so
      // force it in if we don't find it
@@ -239,20 +395,37 @@
  }
  
  /**
-  * Configure the Neopixel LED supplied with original TJBot. The LED must be attached to the BCM 18 (PWM0) PIN.
+  * Configure the Neopixel LED supplied with original TJBot, or a Neopixel strip or ring with
+  * shine.numPixels pixels. The LED must be attached to the BCM 18 (PWM0) PIN.
   */
  TJBot.prototype._setupLED = function() {
      winston.verbose("TJBot initializing LED");
  
-     var ws281x = require('rpi-ws281x-native');
+     var ws281x = this._simulator ? this._simulator.createNeopixel() : require('rpi-ws281x-native');
+ 
+     // fill in whatever the user left out of the shine configuration
+     this.configuration.shine = Object.assign({}, TJBot.prototype.defaultConfiguration.shine, this.configuration.shine);
+ 
+     var numPixels = parseInt(this.configuration.shine.numPixels);
+     if (!(numPixels > 0)) {
+         throw new Error('TJBot needs at least one Neopixel, but shine.numPixels is ' + this.configuration.shine.numPixels);
+     }
  
-     // init with 1 LED
+     // init with all the pixels of the strip
      this._led = ws281x;
-     this._led.init(1);
+     this._led.init(numPixels);
+ 
+     // current color of each pixel, in the 0xGGRRBB format of the LED
+     this._pixels = new Uint32Array(numPixels);
+     this._setLEDBrightness(this.configuration.shine.brightness);
  
      // capture 'this' context
      var self = this;
  
+     this._ledAnimator = new Animator(function(rgb) {
+         self._renderLED(rgb);
+     });
+ 
      // reset the LED before the program exits
      process.on('SIGINT', function() {
          self._led.reset();
@@ -268,33 +441,69 @@
  TJBot.prototype._setupRGBLed = function() {
      winston.verbose("TJBot initializing RGB Led");
  
-     this._basic_colors = ["red", "green", "blue", "yellow", "magenta", "cyan", "white"]
-     var ledpins = {
-       R : 17,
-       G : 27,
-       B : 22
+     // fill in whatever the user left out of the rgb_led configuration
+     var defaults = TJBot.prototype.defaultConfiguration.rgb_led;
+     var config = Object.assign({}, defaults, this.configuration.rgb_led);
+     config.pins = Object.assign({}, defaults.pins, config.pins);
+     config.calibration = Object.assign({}, defaults.calibration, config.calibration);
+     this.configuration.rgb_led = config;
+ 
+     var ledpins = config.pins;
+     winston.verbose("TJBot using RGB Led pins R=" + ledpins.R + ", G=" + ledpins.G + ", B=" + ledpins.B +
+         (config.commonAnode ? " (common anode)" : " (common cathode)"));
+ 
+     var pinR, pinG, pinB;
+     if (this._simulator) {
+         pinR = this._simulator.createGpio('rgb_led', ledpins.R);
+         pinG = this._simulator.createGpio('rgb_led', ledpins.G);
+         pinB = this._simulator.createGpio('rgb_led', ledpins.B);
+     } else {
+         var gpio = require('pigpio').Gpio;
+         pinR = new gpio(ledpins.R, {mode: gpio.OUTPUT});
+         pinG = new gpio(ledpins.G, {mode: gpio.OUTPUT});
+         pinB = new gpio(ledpins.B, {mode: gpio.OUTPUT});
      }
- 
-     var pinR = new gpio(ledpins.R, {mode: gpio.OUTPUT});
-     var pinG = new gpio(ledpins.G, {mode: gpio.OUTPUT});
-     var pinB = new gpio(ledpins.B, {mode: gpio.OUTPUT});
      this._RGBLed = {pinR, pinG, pinB}
  
-     this._RGBLed.pulseTimer;
+     // capture 'this' context
+     var self = this;
+ 
+     this._rgbLedAnimator = new Animator(function(rgb) {
+         self._renderRGBLed(rgb);
+     });
  }
  
  /**
   * Configure the microphone for speech recognition.
   */
  TJBot.prototype._setupMicrophone = function() {
+     var microphone = this._createMicrophone();
+ 
+     this._listeningPaused = false;
+     this._mic = microphone.mic;
+     this._micInputStream = microphone.inputStream;
+     this._micAudioStream = microphone.audioStream;
+ }
+ 
+ /**
+  * Internal method for creating a microphone, without starting it.
+  *
+  * Returns {mic, inputStream, audioStream}: the microphone, its audio stream and the audio sent to STT.
+  */
+ TJBot.prototype._createMicrophone = function() {
      winston.verbose("TJBot initializing microphone");
  
      // capture 'this' context
      var self = this;
  
+     var capture = Object.assign({}, TJBot.prototype.defaultConfiguration.listen.capture, this.configuration.listen.capture);
+     audio.assertFormat(capture, 'microphone');
+ 
      var micParams = {
-         'rate': '16000',
-         'channels': '2',
+         'rate': String(capture.rate),
+         'channels': String(capture.channels),
+         'bitwidth': String(capture.bitDepth),
+         'encoding': capture.bitDepth == 8 ? 'unsigned-integer' : 'signed-integer',
          'debug': false,
          'exitOnSilence': 6
      };
@@ -304,32 +513,153 @@
      }
  
      // create the microphone
-     this._mic = Mic(micParams);
+     var mic;
+     if (this._simulator) {
+         mic = this._simulator.createMicrophone(micParams);
+     } else {
+         var Mic = require('mic');
+         mic = Mic(micParams);
+     }
  
      // (re-)create the mic audio stream and pipe it to STT
-     this._micInputStream = this._mic.getAudioStream();
+     var inputStream = mic.getAudioStream();
  
-     this._micInputStream.on('startComplete', function() {
+     inputStream.on('startComplete', function() {
          winston.debug("microphone started");
      });
  
-     this._micInputStream.on('pauseComplete', function() {
+     inputStream.on('pauseComplete', function() {
          winston.debug("microphone paused");
      });
  
      // log errors in the mic input stream
-     this._micInputStream.on('error', function(err) {
+     inputStream.on('error', function(err) {
          winston.error("the microphone input stream experienced an error", err);
      });
  
-     this._micInputStream.on('processExitComplete', function() {
+     inputStream.on('processExitComplete', function() {
          winston.debug("microphone exit");
      });
  
      // ignore silence
-     this._micInputStream.on('silence', function() {
+     inputStream.on('silence', function() {
          winston.silly("microphone silence");
      });
+ 
+     return {
+         mic: mic,
+         inputStream: inputStream,
+         // the audio sent to STT: mono, 16 bit, at the sample rate of the model
+         audioStream: inputStream.pipe(new audio.AudioConverter(capture, this._sttAudioFormat()))
+     };
+ }
+ 
+ /**
+  * Internal method for opening the microphone for listenOnce() and record() while TJBot isn't listening
+  * (see TJBot.prototype.listen). The calls share one microphone, which is closed once the last of them
+  * releases it, or taken over by listen() when it starts meanwhile.
+  *
+  * Returns {audioStream, release}: the audio sent to STT, and the function to call when done.
+  */
+ TJBot.prototype._acquireMicrophone = function() {
+     // capture 'this' context
+     var self = this;
+ 
+     var microphone = this._sharedMic;
+     if (microphone == undefined) {
+         microphone = this._createMicrophone();
+         microphone.users = 0;
+         this._sharedMic = microphone;
+ 
+         microphone.startTimer = this._startMicrophone(microphone.mic, function() {
+             microphone.startTimer = undefined;
+         });
+     }
+     microphone.users++;
+ 
+     var released = false;
+     return {
+         audioStream: microphone.audioStream,
+         release: function() {
+             if (released) {
+                 return;
+             }
+             released = true;
+ 
+             microphone.users--;
+             if (microphone.users > 0 || self._sharedMic !== microphone) {
+                 return;
+             }
+ 
+             self._sharedMic = undefined;
+             if (microphone.startTimer != undefined) {
+                 clearTimeout(microphone.startTimer);
+                 return;
+             }
+             microphone.mic.stop();
+             self._micClosedAt = Date.now();
+         }
+     };
+ }
+ 
+ /**
+  * Internal method for starting a microphone. A microphone needs a second to finish closing, so a
+  * subsequent one works correctly: the microphone starts once a second has passed since the last one
+  * was closed.
+  *
+  * @param {Object} mic The microphone.
+  * @param {Function} started Optional, called once it started.
+  *
+  * Returns the timer of the delayed start, or undefined if the microphone started right away.
+  */
+ TJBot.prototype._startMicrophone = function(mic, started) {
+     // capture 'this' context
+     var self = this;
+ 
+     var start = function() {
+         mic.start();
+ 
+         // hold the audio while TJBot speaks
+         if (self._listeningPaused) {
+             mic.pause();
+         }
+ 
+         if (started != undefined) {
+             started();
+         }
+     };
+ 
+     var delayMs = this._micClosedAt == undefined ? 0 : this._micClosedAt + 1000 - Date.now();
+     if (delayMs <= 0) {
+         start();
+         return undefined;
+     }
+ 
+     winston.debug("TJBot starting the microphone in " + delayMs + " ms, once the last one is closed");
+     return setTimeout(start, delayMs);
+ }
+ 
+ /**
+  * Internal method for getting the STT model for a language and the audio format it expects,
+  * following listen.model.
+  *
+  * @param {String} language The language, e.g. 'en-US'.
+  *
+  * Returns {name, rate}.
+  */
+ TJBot.prototype._sttModel = function(language) {
+     return recognition.resolveModel(language, this.configuration.listen.model || TJBot.prototype.defaultConfiguration.listen.model);
+ }
+ 
+ /**
+  * Internal method for getting the format of the audio sent to STT (see TJBot.prototype._sttModel).
+  */
+ TJBot.prototype._sttAudioFormat = function() {
+     return {
+         rate: this._sttModel(this.configuration.listen.language).rate,
+         channels: 1,
+         bitDepth: 16
+     };
  }
  
  /**
@@ -338,10 +668,23 @@
   * @param {Int} pin The pin number to which the servo is connected.
   */
  TJBot.prototype._setupServo = function(pin) {
-     var Gpio = require('pigpio').Gpio;
- 
      winston.verbose("TJBot initializing servo motor on PIN " + pin);
  
+     // fill in whatever the user left out of the wave configuration
+     var defaults = TJBot.prototype.defaultConfiguration.wave;
+     this.configuration.wave = Object.assign({}, defaults, this.configuration.wave);
+     this.configuration.wave.calibration = Object.assign({}, defaults.calibration, this.configuration.wave.calibration);
+ 
+     // the arm position is unknown until it is first moved
+     this._armPulseWidth = undefined;
+     this._armMove = undefined;
+ 
+     if (this._simulator) {
+         this._motor = this._simulator.createGpio('servo', pin);
+         return;
+     }
+ 
+     var Gpio = require('pigpio').Gpio;
      this._motor = new Gpio(pin, {
          mode: Gpio.OUTPUT
      });
@@ -351,15 +694,30 @@
   * Configure the speaker.
   */
  TJBot.prototype._setupSpeaker = function() {
+     winston.verbose("TJBot initializing speaker");
+ 
+     // utterances and sounds play one at a time
+     this._playbackQueue = new PlaybackQueue();
+ 
+     if (this._simulator) {
+         this._soundplayer = this._simulator.createSoundPlayer();
+         return;
+     }
+ 
      // lazily load the sound-player library . This lib is used as it allows specification of speakerDeviceId
      this._soundplayer = require('sound-player');
  }
  
  /**
-  * Configure the specified Watson service with the given credentials.
+  * Configure the specified service with the given credentials. The service is backed by the
+  * provider named in `credentials.provider`, or by the default provider for the service
+  * (see lib/providers).
   *
-  * @param {String} service The name of the service. Valid names are 'speech_to_text', 'text_to_speech', 'tone_analyzer' .
-  * @param {Object} credentials The credentials, with keys for '{service}_username' and '{service}_password'.
+  * The assistant credentials may also have a `fallback` key with the credentials of the local assistant
+  * (see lib/providers/local.js), e.g. {intentsFile}, which then answers whenever the assistant service can't be reached.
+  *
+  * @param {String} service The name of the service (see TJBot.prototype.services).
+  * @param {Object} credentials The credentials, e.g. with keys for 'iam_apikey' and 'url' for the Watson services.
   */
  TJBot.prototype._createServiceAPI = function(service, credentials) {
      winston.verbose("TJBot initializing " + service + " service");
@@ -369,125 +727,93 @@
      // capture 'this' context
      var self = this;
  
+     var adapter = providers.createProvider(service, credentials, this.configuration);
+ 
      switch (service) {
          case 'assistant':
-         assert(credentials.hasOwnProperty('iam_apikey'), "credentials for the " + service + " service missing");
-          
-             if (credentials['iam_apikey'] != undefined) {
-             var AssistantV2 = require('ibm-watson/assistant/v2');
-             var { IamAuthenticator } = require('ibm-watson/auth');
-             this._assistant = new AssistantV2({
-                 version: '2020-04-01',
-                 authenticator: new IamAuthenticator({
-                     apikey: credentials['iam_apikey'],
-                   }),
-                 serviceName: 'assistant',
-                 url: credentials['url']
+             this._assistant = adapter;
+
+             if (credentials.fallback != undefined) {
+                 var fallback = providers.createProvider('assistant', Object.assign({ provider: 'local' }, credentials.fallback), this.configuration);
+                 this._assistant = providers.withFallback(adapter, fallback, function(err) {
+                     winston.warn("TJBot can't reach the assistant service (" + err.message + "), answering with the local assistant");
+                     self._serviceError('assistant', err);
                  });
-             } else {
-                 throw new Error(
-                 'Missing authentication credentials for Watson Assistant service: apikey, service url & assistant ID are required.');
              }
-             // cache of conversation contexts. hash key is the workspaceId of the conversation,
-             // allowing TJ to run multiple conversations at once.
+ 
+             // fill in whatever the user left out of the converse configuration
+             this.configuration.converse = Object.assign({}, TJBot.prototype.defaultConfiguration.converse, this.configuration.converse);
+ 
+             // cache of conversations (session id and context). hash keys are the assistant id and
+             // the user id of the conversation, allowing TJ to run multiple conversations at once.
              this._assistantContext = {};
+
+             // handlers mapping dialog output to robot behaviour, starting with the built-in actions
+             this._dialogDispatcher = new Dispatcher();
+             Object.keys(dialogActions).forEach(function(action) {
+                 self._dialogDispatcher.add({ action: action }, dialogActions[action]);
+             });
              break;
  
          case 'language_translator':
-             assert(credentials.hasOwnProperty('iam_apikey'), "credentials for the " + service + " service missing");
-             if (credentials['iam_apikey'] != undefined) {
-             var LanguageTranslatorV3 = require('ibm-watson/language-translator/v3');
-             var { IamAuthenticator } = require('ibm-watson/auth');
-             this._languageTranslator = new LanguageTranslatorV3({
-                 authenticator: new IamAuthenticator({ 
-                     apikey: credentials['iam_apikey'],
-                     }),
-                 version: '2018-05-01',
-                 serviceUrl: credentials['url']
-                 });
-             } else {
-                 throw new Error(
-                 'Missing authentication credentials for translator service: apikey and url are required.');
-             }
+             this._languageTranslator = adapter;
+ 
              // load the list of language models
              this._loadLanguageTranslations().then(function(translations) {
                  self._translations = translations;
+             }).catch(function(err) {
+                 winston.error("unable to retrieve list of language models for translation", err);
              });
              break;
  
          case 'speech_to_text':
-         assert(credentials.hasOwnProperty('iam_apikey'), "credentials for the " + service + " service missing");
- 
-         var SpeechToTextV1 = require('ibm-watson/speech-to-text/v1');
-         var { IamAuthenticator } = require('ibm-watson/auth');
-         if (credentials['iam_apikey'] != undefined) {
-             this._stt = new SpeechToTextV1({
-                 authenticator: new IamAuthenticator({apikey: credentials['iam_apikey']}),
-                 serviceUrl: credentials['url']
-             });
-         } else {
-             throw new Error(
-             'Missing authentication credentials for text_to_speech service:  ' +
-             'apikey required.');
-         }
+             this._stt = adapter;
              break;
  
          case 'text_to_speech':
-         assert(credentials.hasOwnProperty('iam_apikey'), "credentials for the " + service + " service missing");
- 
-         var TextToSpeechV1 = require('ibm-watson/text-to-speech/v1');
-         var { IamAuthenticator } = require('ibm-watson/auth');
+             this._tts = adapter;
  
-                if (credentials['iam_apikey'] != undefined) {
-                     this._tts = new TextToSpeechV1({
-                         authenticator: new IamAuthenticator({apikey: credentials['iam_apikey']}),
-                         serviceUrl: credentials['url']
-                     });
-             } else {
-                     throw new Error(
-                     'Missing authentication credentials for text_to_speech service: username/password or ' +
-                     'apikey are required.');
-             }
- 
-             this._tts.listVoices(null, function(error, data) {
-                 if (error) {
-                     winston.error("unable to retrieve TTS voices", error);
-                     self._ttsVoices = [];
-                 } else {
-                     self._ttsVoices = data.voices;
-                 }
+             this._loadVoices().catch(function(err) {
+                 winston.error("unable to retrieve TTS voices", err);
+                 self._serviceError('text_to_speech', err);
+                 self._ttsVoices = [];
              });
              break;
  
          case 'tone_analyzer':
-         assert(credentials.hasOwnProperty('iam_apikey'), "credentials for the " + service + " service missing");
-             
-             if (credentials['iam_apikey'] != undefined) {
-             var ToneAnalyzerV3 = require('ibm-watson/tone-analyzer/v3');
-             this._toneAnalyzer = new ToneAnalyzerV3({
-                 version: '2017-09-21',
-                 authenticator: new IamAuthenticator({
-                    apikey: credentials['iam_apikey'],
-                  }),
-                  serviceUrl: credentials['url']
-                 });
- 
-            }  else {
-                 throw new Error('Missing authentication credentials for tone analyzer service: apikey are required.');
-             }
-             
+             this._toneAnalyzer = adapter;
              break;
-         
+ 
          case 'visual_recognition':
-             assert(credentials.hasOwnProperty('iam_apikey') && credentials.hasOwnProperty('apiSecret'), "credentials for the " + service + " service missing 'api_key' or 'iam_apikey'");
-
+             this._visualRecognition = adapter;
              break;
-         
+ 
          default:
              break;
      }
  }
  
+ /**
+  * Register a provider for one of TJBot's services. Select it by adding `provider: '<name>'`
+  * to the credentials of that service.
+  *
+  * @param {String} service The name of the service (see TJBot.prototype.services).
+  * @param {String} name The name of the provider.
+  * @param {Function} factory Function `(credentials, configuration)` returning an adapter for the service (see lib/providers).
+  */
+ TJBot.registerProvider = function(service, name, factory) {
+     providers.registerProvider(service, name, factory);
+ }
+ 
+ /**
+  * List the names of the providers registered for one of TJBot's services.
+  *
+  * @param {String} service The name of the service (see TJBot.prototype.services).
+  */
+ TJBot.providers = function(service) {
+     return providers.listProviders(service);
+ }
+
  /**
   * Assert that TJBot is able to perform a specified capability.
   *
@@ -511,6 +837,19 @@
              }
              break;
  
+         case 'customize_listen':
+             if (!this._stt) {
+                 throw new Error(
+                     'TJBot is not configured to customize listening. ' +
+                     'Please check that you included credentials for the Watson "speech_to_text" service in the TJBot constructor.');
+             }
+             if (typeof this._stt.createLanguageModel != 'function') {
+                 throw new Error(
+                     'TJBot can not customize listening: ' +
+                     'the speech_to_text provider does not support custom speech models.');
+             }
+             break;
+ 
          case 'listen':
              if (!this._mic) {
                  throw new Error(
@@ -524,6 +863,14 @@
              }
              break;
  
+         case 'record':
+             if (!this._mic) {
+                 throw new Error(
+                     'TJBot is not configured to record. ' +
+                     'Please check you included the "microphone" hardware in the TJBot constructor.');
+             }
+             break;
+ 
          case 'see':
              if (!this._camera) {
                  throw new Error(
@@ -541,6 +888,14 @@
              }
              break;
  
+         case 'shine_rgb':
+             if (!this._RGBLed) {
+                 throw new Error(
+                     'TJBot is not configured with an RGB LED. ' +
+                     'Please check you included the "rgb_led" hardware in the TJBot constructor.');
+             }
+             break;
+ 
          case 'speak':
              if (!this._soundplayer) {
                  throw new Error(
@@ -554,6 +909,14 @@
              }
              break;
  
+         case 'transcribe':
+             if (!this._stt) {
+                 throw new Error(
+                     'TJBot is not configured to transcribe. ' +
+                     'Please check that you included credentials for the Watson "speech_to_text" service in the TJBot constructor.');
+             }
+             break;
+ 
          case 'translate':
              if (!this._languageTranslator) {
                  throw new Error(
@@ -582,8 +945,54 @@
   * @param {Int} msec Number of milliseconds to sleep for (1000 msec == 1 sec).
   */
  TJBot.prototype.sleep = function(msec) {
+     // the native sleep module is not needed in simulation mode
+     if (this._simulator) {
+         Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, msec);
+         return;
+     }
+ 
      var usec = msec * 1000;
-     sleep.usleep(usec);
+     require('sleep').usleep(usec);
+ }
+ 
+ /**
+  * Report an error returned by one of the services. Emits TJBot.EVENTS.SERVICE_ERROR; unlike
+  * the 'error' event of an EventEmitter, this never throws when nobody is listening.
+  *
+  * @param {String} service The name of the service (see TJBot.prototype.services).
+  * @param {Error} err The error.
+  */
+ TJBot.prototype._serviceError = function(service, err) {
+     this.emit(TJBot.EVENTS.SERVICE_ERROR, {
+         service: service,
+         error: err
+     });
+ }
+ 
+ /**
+  * Get the log of hardware interactions recorded in simulation mode.
+  *
+  * @param {String} device Only return entries for this device (see TJBot.prototype.hardware). If omitted, all entries are returned.
+  *
+  * Returns a list of {device, action, value, timestamp} objects, oldest first.
+  */
+ TJBot.prototype.simulationLog = function(device) {
+     if (!this._simulator) {
+         throw new Error('TJBot is not running in simulation mode. Set "simulation.enabled" to true in the TJBot configuration.');
+     }
+ 
+     return this._simulator.entries(device);
+ }
+ 
+ /**
+  * Clear the log of hardware interactions recorded in simulation mode.
+  */
+ TJBot.prototype.clearSimulationLog = function() {
+     if (!this._simulator) {
+         throw new Error('TJBot is not running in simulation mode. Set "simulation.enabled" to true in the TJBot configuration.');
+     }
+ 
+     this._simulator.clear();
  }
  
  /** ------------------------------------------------------------------------ */
@@ -600,129 +1009,101 @@
  
      var self = this;
  
-     const toneParams = {
-         toneInput: mytext,
-         contentType: 'application/json',
-     }
- 
      try {
-         const body = await this._toneAnalyzer.tone(toneParams);
-         winston.silly(`response from _toneAnalyzer.tone(): ${body}`);
-         return body.result;
+         const result = await this._toneAnalyzer.tone(mytext);
+         winston.silly(`response from _toneAnalyzer.tone(): ${JSON.stringify(result)}`);
+         this.emit(TJBot.EVENTS.TONE_ANALYZED, {
+             text: mytext,
+             tone: result
+         });
+         return result;
  
      } catch (err) {
          winston.error(`the tone analyzer service returned an error.`, err);
+         this._serviceError('tone_analyzer', err);
          throw err;
  
      }
  
  }
  
- ///** ------------------------------------------------------------------------ */
- ///** CONVERSE                                                                 */
- ///** ------------------------------------------------------------------------ */
- //
- ///**
- // * Take a conversational turn in the given Watson conversation.
- // *//
- // * @param {String} workspaceId The id of the workspace to use in the Assistant service.
- // * @param {String} message The message to send to the Assistant service.
- // * 
- // * Returns a conversation response object.
- // *
- // */
- //TJBot.prototype.converse = function(workspaceId, message, callback) {
- //    this._assertCapability('converse');
- //
- //    // save the conversational context
- //    if (this._assistantContext[workspaceId] == undefined) {
- //        this._assistantContext[workspaceId] = {};
- //    }
- //
- //    var context = this._assistantContext[workspaceId];
- //
- //    // define the conversational turn
- //    var turn = {
- //        workspace_id: workspaceId,
- //        input: {
- //            'text': message
- //        },
- //        context: context
- //    };
- //
- //    // capture context
- //    var self = this;
- //
- //    // send to Conversation service
- //    this._assistant.message(turn, function(err, response) {
- //        if (err) {
- //            winston.error("the assistant service returned an error.", err);
- //        } else {
- //            // cache the returned context
- //            self._assistantContext[workspaceId] = response.context;
- //
- //            // return the response object and response text
- //            var responseText = response.output.text.length > 0 ? response.output.text[0] : "";
- //            var assistantResponse = {
- //                "object": response,
- //                "description": responseText
- //            };
- //
- //            // log response text
- //            winston.verbose("TJBot response from conversation workspace id " + workspaceId + " " + responseText + " :");
- //            callback(assistantResponse);
- //        }
- //    });
- //}
- 
  /** ------------------------------------------------------------------------ */
  /** CONVERSE - TJBOT CZ VERSION                                                                */
  /** ------------------------------------------------------------------------ */
  
  /**
-  * Take a conversational turn in the given Watson conversation.
+  * Create a new session with the given assistant. converse() manages sessions by itself, this
+  * is only needed for the deprecated converse(workspaceId, session, message, context) form.
   *
-  * @param {String} workspaceId The id of the workspace to use in the Assistant service.
-  * @param {String} message The message to send to the Assistant service.
-  * @param {String} context Adhoc context object  
-  * @param {String} session sessionId  
+  * @param {String} workspaceId The id of the assistant.
   *
-  * Returns a conversation api response object
+  * Returns the session id.
   */
  TJBot.prototype.sessionId = async function(workspaceId){
          
-         const sessionParams = {
-             assistantId: workspaceId
-         }
+         this._assertCapability('converse');
  
          try {
-             const body = await this._assistant.createSession(sessionParams)
-             const session = body.result.session_id;
-             //console.log (session);
+             const session = await this._assistant.createSession(workspaceId);
              return session;
  
          } catch (err) {
              winston.silly ('error creating session');
+             this._serviceError('assistant', err);
              throw err;
          }
             
  }
  
- TJBot.prototype.converse = async function(workspaceId, session, message, context) {
+ /**
+  * Take a conversational turn with the given assistant. TJBot keeps the session and the
+  * conversation context of every assistant and user: sessions are created on demand and
+  * recreated transparently when they expire, and the context returned by the assistant is
+  * sent back with the next message.
+  *
+  * Can be called as:
+  *      converse(assistantId, message, options)
+  *      converse(message, options), which uses the assistant in converse.assistantId
+  *      converse(workspaceId, session, message, context), deprecated: TJBot doesn't manage the session or context,
+  *          and doesn't call the dialog handlers
+  *
+  * @param {String} assistantId The id of the assistant to use in the Assistant service.
+  * @param {String} message The message to send to the Assistant service.
+  * @param {Object} options Optional settings: `userId` (default converse.userId), so each user has their own
+  *        conversation, `context`, a context object to send instead of the cached one, and `dispatch`, whether
+  *        to call the dialog handlers for the turn (default converse.dispatch).
+  *
+  * Returns a conversation response object {object, description, actions, context}, where `description` is
+  * all the text of the response and `actions` is the response as an ordered list of actions (see lib/assistant.js).
+  */
+ TJBot.prototype.converse = async function(assistantId, message, options) {
      this._assertCapability('converse');
  
-     /* save the conversational context
-     if (this._assistantContext[workspaceId] == undefined) {
-         this._assistantContext[workspaceId] = {};
+     // deprecated form: converse(workspaceId, session, message, context)
+     if (typeof arguments[2] == 'string') {
+         return this._converseStateless(arguments[0], arguments[1], arguments[2], arguments[3]);
      }
-     */
-     
-     //var context = this._assistantContext[workspaceId];
  
-     // define the conversational turn
+     // short form: converse(message, options)
+     if (typeof message != 'string') {
+         options = message;
+         message = assistantId;
+         assistantId = this.configuration.converse.assistantId;
+     }
+ 
+     if (assistantId == undefined || assistantId == '') {
+         throw new Error('TJBot does not know which assistant to converse with. Pass the assistant id to converse() or set converse.assistantId.');
+     }
+ 
+     options = options || {};
+     var userId = options.userId || this.configuration.converse.userId;
+     var conversation = await this._assistantConversation(assistantId, userId);
+     var previousContext = conversation.context;
+ 
      const turn = {
-         assistantId: workspaceId,
-         sessionId: session,
+         assistantId: assistantId,
+         sessionId: conversation.sessionId,
+         userId: userId,
          input: {
              'message_type': 'text',
              'text': message,
@@ -730,229 +1111,1107 @@
                  'return_context': true
              }
          },
-         context: context
+         context: options.context || conversation.context
      };
-     // capture context
-     var self = this;
-     
+ 
      try {
-         const body = await this._assistant.messageStateless(turn);
-         const responseText = body.result.output.generic.length > 0 ? body.result.output.generic[0].text : "";
+         let result;
+         try {
+             result = await this._assistant.message(turn);
+         } catch (err) {
+             if (!err.sessionExpired) {
+                 throw err;
+             }
+ 
+             // the session timed out; start a new one and replay the cached context so the conversation carries on
+             winston.verbose("TJBot assistant session for assistant id " + assistantId + " and user " + userId + " expired, creating a new one");
+             conversation.sessionId = await this._assistant.createSession(assistantId);
+             turn.sessionId = conversation.sessionId;
+             result = await this._assistant.message(turn);
+         }
+ 
+         conversation.context = result.context;
+         conversation.lastUsed = Date.now();
+ 
+         const actions = assistant.normalizeResponse(result);
+         const responseText = assistant.responseText(actions);
          var assistantResponse = {
-             "object": body.result,
-             "description": responseText
+             "object": result,
+             "description": responseText,
+             "actions": actions,
+             "context": result.context
          };
-         winston.info("TJBot response from assistant id " + workspaceId + ": " + responseText);
+         winston.info("TJBot response from assistant id " + assistantId + ": " + responseText);
+         this.emit(TJBot.EVENTS.CONVERSED, {
+             assistantId: assistantId,
+             message: message,
+             response: assistantResponse
+         });
+
+         var dispatch = options.dispatch != undefined ? options.dispatch : this.configuration.converse.dispatch;
+         if (dispatch) {
+             assistantResponse.dispatched = await this.dispatchDialog(assistantResponse, options.context || previousContext);
+         }
          return assistantResponse;
  
- 
      } catch (err) {
          winston.silly('the assistant service returned an error');
+         this._serviceError('assistant', err);
          throw err;
- 
      }
- 
- 
- 
- /*
-     // send to Conversation service
-     this._assistant.messageStateless(turn)
-     .then(response => {
-         //console.log(JSON.stringify(response.result, null, 2));
-         //self._assistantContext[workspaceId] = response.result.context.skills['main skill'].user_defined;
-             // return the response object and response text
-             var responseText = response.result.output.generic.length > 0 ? response.result.output.generic[0].text : "";
-             var assistantResponse = {
-                 "object": response.result,
-                 "description": responseText,
-                 //"context": response.result.context.skills['main skill'].user_defined
-             };
-             // log response text
-             winston.info("TJBot response from conversation workspace id " + workspaceId + ": " + responseText);
-             callback(assistantResponse);
-         })
-         .catch(err => {
-             winston.error("the assistant service returned an error.", err);
-         });
- 
-         */
-    
-     /* send to Conversation service
-     this._assistant.message(turn, function(err, response) {
-         console.log("odeslano na WA");
-         if (err) {
-             winston.error("the assistant service returned an error.", err);
-         } else {
-             //console.log(JSON.stringify(response));
-             // cache the returned context
-             self._assistantContext[workspaceId] = response.context;
- 
-             // return the response object and response text
-             var responseText = response.output.text.length > 0 ? response.output.text.values[0] : "";
-             var assistantResponse = {
-                 "object": response,
-                 "description": responseText
-             };
- 
-             // log response text
-             winston.verbose("TJBot response from conversation workspace id " + workspaceId + " " + responseText + " :");
-             callback(assistantResponse);
-         }
-     });
-     */
  }
  
- /** ------------------------------------------------------------------------ */
- /** LISTEN                                                                   */
- /** ------------------------------------------------------------------------ */
- 
  /**
-  * Listen for spoken utterances.
+  * Take a conversational turn and carry out the response: TJBot speaks each text, waits for
+  * pauses and reads options aloud, in the order the assistant returned them. Images and
+  * transfers to a human agent can't be carried out by TJBot, so only their text is spoken.
+  *
+  * Takes the same arguments as converse().
+  *
+  * Returns the conversation response object.
   */
+ TJBot.prototype.converseAndAct = async function() {
+     const response = await this.converse.apply(this, arguments);
+
+     for (const action of response.actions) {
+         switch (action.type) {
+             case 'say':
+                 if (action.text) {
+                     await this.speak(action.text);
+                 }
+                 break;
+
+             case 'pause':
+                 winston.verbose("TJBot pausing for " + action.durationMs + " ms");
+                 await new Promise(function(resolve) {
+                     setTimeout(resolve, action.durationMs);
+                 });
+                 break;
+
+             case 'options':
+                 if (action.options.length > 0) {
+                     await this.speak(assistant.optionsText(action));
+                 }
+                 break;
+
+             case 'image':
+                 winston.verbose("TJBot can't show the image " + action.url);
+                 if (action.title) {
+                     await this.speak(action.title);
+                 }
+                 break;
+
+             case 'transfer':
+                 winston.verbose("TJBot was asked to transfer the conversation to a human agent");
+                 if (action.agentAvailable) {
+                     await this.speak(action.agentAvailable);
+                 }
+                 break;
+
+             default:
+                 winston.verbose("TJBot ignoring the assistant response of type " + action.responseType);
+         }
+     }
+
+     return response;
+ }
+
+ /**
+  * Internal method for getting the cached conversation with an assistant and user, creating a
+  * session when there is none yet or when the session has been idle for longer than converse.sessionTimeoutMs.
+  *
+  * @param {String} assistantId The id of the assistant.
+  * @param {String} userId The id of the user.
+  *
+  * Returns the cached {sessionId, context, lastUsed} object.
+  */
+ TJBot.prototype._assistantConversation = async function(assistantId, userId) {
+     if (this._assistantContext[assistantId] == undefined) {
+         this._assistantContext[assistantId] = {};
+     }
+ 
+     var conversation = this._assistantContext[assistantId][userId];
+     if (conversation == undefined) {
+         conversation = {
+             sessionId: undefined,
+             context: undefined,
+             lastUsed: 0
+         };
+         this._assistantContext[assistantId][userId] = conversation;
+     }
+ 
+     var timeout = this.configuration.converse.sessionTimeoutMs;
+     var idle = conversation.sessionId != undefined && timeout > 0 && Date.now() - conversation.lastUsed > timeout;
+ 
+     if (conversation.sessionId == undefined || idle) {
+         winston.verbose("TJBot creating assistant session for assistant id " + assistantId + " and user " + userId);
+         try {
+             conversation.sessionId = await this._assistant.createSession(assistantId);
+             conversation.lastUsed = Date.now();
+         } catch (err) {
+             winston.error('unable to create an assistant session', err);
+             this._serviceError('assistant', err);
+             throw err;
+         }
+     }
+ 
+     return conversation;
+ }
+ 
+ /**
+  * Forget the conversation with an assistant: the cached context is dropped and the session is
+  * deleted, so the next converse() starts from the beginning of the dialog.
+  *
+  * @param {String} assistantId The id of the assistant (default converse.assistantId).
+  * @param {String} userId The id of the user. If omitted, the conversations of all users with the assistant are reset.
+  */
+ TJBot.prototype.resetConversation = async function(assistantId, userId) {
+     this._assertCapability('converse');
+ 
+     assistantId = assistantId || this.configuration.converse.assistantId;
+ 
+     var conversations = this._assistantContext[assistantId] || {};
+     var userIds = userId != undefined ? [userId] : Object.keys(conversations);
+ 
+     for (var i = 0; i < userIds.length; i++) {
+         var conversation = conversations[userIds[i]];
+         delete conversations[userIds[i]];
+ 
+         if (conversation != undefined && conversation.sessionId != undefined) {
+             try {
+                 await this._assistant.deleteSession(assistantId, conversation.sessionId);
+             } catch (err) {
+                 // the session may already have expired, which is as good as deleted
+                 winston.verbose('unable to delete assistant session ' + conversation.sessionId, err);
+             }
+         }
+     }
+ 
+     winston.verbose("TJBot reset the conversation with assistant id " + assistantId);
+ }
+ 
+ /**
+  * Internal method for the deprecated converse(workspaceId, session, message, context) form, in which
+  * the caller manages the session and the context.
+  */
+ TJBot.prototype._converseStateless = async function(workspaceId, session, message, context) {
+     if (typeof this._assistant.messageStateless != 'function') {
+         throw new Error('the assistant provider does not support stateless messages, use converse(assistantId, message) instead');
+     }
+ 
+     // define the conversational turn
+     const turn = {
+         assistantId: workspaceId,
+         sessionId: session,
+         input: {
+             'message_type': 'text',
+             'text': message,
+             'options': {
+                 'return_context': true
+             }
+         },
+         context: context
+     };
+     // capture context
+     var self = this;
+     
+     try {
+         const result = await this._assistant.messageStateless(turn);
+         const actions = assistant.normalizeResponse(result);
+         const responseText = assistant.responseText(actions);
+         var assistantResponse = {
+             "object": result,
+             "description": responseText,
+             "actions": actions
+         };
+         winston.info("TJBot response from assistant id " + workspaceId + ": " + responseText);
+         this.emit(TJBot.EVENTS.CONVERSED, {
+             assistantId: workspaceId,
+             message: message,
+             response: assistantResponse
+         });
+
+         return assistantResponse;
+ 
+ 
+     } catch (err) {
+         winston.silly('the assistant service returned an error');
+         this._serviceError('assistant', err);
+         throw err;
+ 
+     }
+ }
+ 
+ /** ------------------------------------------------------------------------ */
+ /** DIALOG                                                                   */
+ /** ------------------------------------------------------------------------ */
+
+ /**
+  * Built-in dialog actions, triggered by the `action` dialog variable. The parameters of an action
+  * are the dialog variables next to it, e.g. {action: 'shine', color: 'red'}. Handlers are called with
+  * the TJBot as `this`. An action missing a parameter it needs fails without doing anything, and the
+  * error is reported in the outcome of dispatchDialog().
+  */
+ const dialogActions = {
+     shine: function(params) {
+         requireParams('shine', params, ['color']);
+         if (this._led) {
+             return this.shine(params.color);
+         }
+         return this.changeColorRGBLed(params.color);
+     },
+
+     pulse: function(params) {
+         requireParams('pulse', params, ['color']);
+         if (this._led) {
+             return this.pulse(params.color, params.duration);
+         }
+         return this.breathe(params.color, {
+             led: 'rgb_led',
+             periodMs: (params.duration || 1.0) * 1000,
+             repeat: 1
+         });
+     },
+
+     wave: function() {
+         return this.performGesture('wave');
+     },
+
+     gesture: function(params) {
+         requireParams('gesture', params, ['gesture']);
+         return this.performGesture(params.gesture);
+     },
+
+     moveArm: function(params) {
+         requireParams('moveArm', params, ['position']);
+         return this.moveArm(params.position);
+     },
+
+     raiseArm: function() {
+         return this.raiseArm();
+     },
+
+     lowerArm: function() {
+         return this.lowerArm();
+     },
+
+     armBack: function() {
+         return this.armBack();
+     },
+
+     speak: function(params) {
+         requireParams('speak', params, ['text']);
+         return this.speak(params.text);
+     },
+
+     see: function() {
+         return this.see();
+     },
+
+     translate: async function(params) {
+         requireParams('translate', params, ['text', 'targetLanguage']);
+         var translation = await this.translate(params.text, params.sourceLanguage, params.targetLanguage);
+         if (this._soundplayer && translation && translation.translations) {
+             await this.speak(translation.translations[0].translation);
+         }
+         return translation;
+     },
+
+     analyzeTone: function(params) {
+         requireParams('analyzeTone', params, ['text']);
+         return this.analyzeTone(params.text);
+     }
+ };
+
+ /**
+  * Throw when a built-in dialog action is missing dialog variables it needs, e.g. when the @color
+  * entity of a shine request didn't match anything.
+  *
+  * @param {String} action The name of the action.
+  * @param {Object} params The dialog variables.
+  * @param {Array} names The names of the variables the action needs.
+  */
+ function requireParams(action, params, names) {
+     var missing = names.filter(function(name) {
+         return params[name] == undefined || params[name] === '';
+     });
+
+     if (missing.length > 0) {
+         throw new Error('the ' + action + ' dialog action needs the ' + missing.map(function(name) {
+             return '"' + name + '"';
+         }).join(' and ') + ' dialog variable' + (missing.length > 1 ? 's' : ''));
+     }
+ }
+
+ /**
+  * Register a handler that is called when an Assistant turn matches a trigger. Handlers run after
+  * every converse() turn (unless converse.dispatch is false), in the order they were registered,
+  * with the TJBot as `this`. Handlers for the built-in actions (shine, pulse, wave, gesture, moveArm,
+  * raiseArm, lowerArm, armBack, speak, see, translate, analyzeTone) are registered already.
+  *
+  * Example: tj.addDialogHandler({intent: 'greeting'}, function(params, response) { return this.wave(); });
+  *
+  * @param {Object} trigger {intent}, {entity, value}, {variable, value} or {action}; see lib/dispatcher.js.
+  * @param {Function} handler Called with the parameters of the trigger and the conversation response. May return a Promise.
+  */
+ TJBot.prototype.addDialogHandler = function(trigger, handler) {
+     this._assertCapability('converse');
+     this._dialogDispatcher.add(trigger, handler);
+ }
+
+ /**
+  * Remove dialog handlers, including built-in ones.
+  *
+  * @param {Object} trigger The trigger the handlers were registered with.
+  * @param {Function} handler The handler to remove. If omitted, all handlers of the trigger are removed.
+  *
+  * Returns the number of handlers removed.
+  */
+ TJBot.prototype.removeDialogHandler = function(trigger, handler) {
+     this._assertCapability('converse');
+     return this._dialogDispatcher.remove(trigger, handler);
+ }
+
+ /**
+  * Call the dialog handlers matching a conversation response. converse() does this by itself;
+  * call it directly when converse.dispatch is false. A failing handler doesn't stop the others.
+  *
+  * @param {Object} response The conversation response returned by converse().
+  * @param {Object} previousContext The context before the turn, so variables that didn't change aren't acted on again.
+  *
+  * Returns a list of {trigger, params, result, error}, one per handler called.
+  */
+ TJBot.prototype.dispatchDialog = async function(response, previousContext) {
+     this._assertCapability('converse');
+
+     var matches = this._dialogDispatcher.match(response.object, previousContext);
+     var dispatched = [];
+
+     for (const match of matches) {
+         var outcome = {
+             trigger: match.trigger,
+             params: match.params,
+             result: undefined,
+             error: undefined
+         };
+
+         try {
+             winston.verbose("TJBot handling dialog trigger " + JSON.stringify(match.trigger));
+             outcome.result = await match.handler.call(this, match.params, response);
+         } catch (err) {
+             winston.error("TJBot dialog handler for " + JSON.stringify(match.trigger) + " failed: " + err.message);
+             outcome.error = err;
+         }
+
+         dispatched.push(outcome);
+         this.emit(TJBot.EVENTS.DIALOG_HANDLED, outcome);
+     }
+
+     return dispatched;
+ }
+
+ /** ------------------------------------------------------------------------ */
+ /** LISTEN                                                                   */
+ /** ------------------------------------------------------------------------ */
+ 
+ /**
+  * Listen for spoken utterances.
+  *
+  * @param {Function} callback Called with the transcript of every utterance, or with a result object in object mode.
+  * @param {Object} options Optional settings:
+  *        `wakeWord`: true (or a phrase, instead of listen.wakeWord.phrase) to only pass on the utterance following
+  *            the wake phrase (see TJBot.prototype._wakeWordFilter),
+  *        `objectMode`: true to get result objects {final, transcript, confidence, alternatives, words, uncertain}
+  *            instead of transcripts (see lib/recognition.js). In object mode you can also set:
+  *        `interimResults`: also get interim results (default false),
+  *        `maxAlternatives`: number of alternative transcripts (default 3),
+  *        `timestamps`: get the start and end time of every word (default false),
+  *        `speakerLabels`: get the speaker of every word, implies `timestamps` (default false),
+  *        `minConfidence` and `lowConfidence`: see listen.minConfidence and listen.lowConfidence.
+  *        `vad`: true or false to turn voice activity detection on or off (default listen.vad.enabled), or settings
+  *            overriding listen.vad. With voice activity detection, audio is only streamed to STT while someone is
+  *            speaking: every utterance opens a recognize stream, which is closed after listen.vad.silenceMs of silence.
+  *        `saveAudio`: a directory to save every recognized utterance in (see listen.saveAudio), true to use
+  *            listen.saveAudio.directory, or false not to save anything even though it is set.
+  */
+ 
+ 
+  TJBot.prototype.listen =  function (callback, options) {
  
- 
-  TJBot.prototype.listen =  function (callback) {
- 
      // make sure we can listen
      this._assertCapability('listen');
  
      // capture 'this' context
      var self = this;
+     options = options || {};
+ 
+     // take over the microphone listenOnce() or record() opened, or (re)initialize the microphone
+     // because if stopListening() was called, we don't seem to be able to re-use the microphone twice
+     var microphone = this._sharedMic;
+     if (microphone != undefined) {
+         this._sharedMic = undefined;
+         this._mic = microphone.mic;
+         this._micInputStream = microphone.inputStream;
+         this._micAudioStream = microphone.audioStream;
+     } else {
+         this._setupMicrophone();
+     }
  
-     // (re)initialize the microphone because if stopListening() was called, we don't seem to
-     // be able to re-use the microphone twice
-     this._setupMicrophone();
+     // what gets through the wake word filter is heard
+     var deliver = function(heard) {
+         if (typeof heard != 'object') {
+             self.emit(TJBot.EVENTS.HEARD, heard);
+         } else if (heard.final) {
+             self.emit(TJBot.EVENTS.HEARD, heard.transcript);
+         }
  
-         // create the microphone -> STT recognizer stream
-     // see this page for additional documentation on the STT configuration parameters:
-     // https://www.ibm.com/watson/developercloud/speech-to-text/api/v1/#recognize_audio_websockets
-     if(this.configuration.listen.customization_id){
-         winston.debug("Customization_id is set.");
-         this._micRecognizeStream = this._stt.recognizeUsingWebSocket({
-             content_type: 'audio/l16; rate=16000; channels=1',
-             interimResults: true, // need 'true' for watson-developer-cloud 3.x, otherwise results don't come back
-             inactivityTimeout: this.configuration.listen.inactivityTimeout,
-             model: this.configuration.listen.language + "_NarrowbandModel",
-             backgroundAudioSuppression: this.configuration.listen.backgroundAudioSuppression || 0.0, // should be in the range [0.0, 1.0] indicating how much audio suppression to perform
-             customization_id: this.configuration.listen.customization_id
-         });
-       } else {
-         winston.debug("Customization_id is not set.");
-         this._micRecognizeStream = this._stt.recognizeUsingWebSocket({
-             content_type: 'audio/l16; rate=16000; channels=2',
-             interimResults: true, // need 'true' for watson-developer-cloud 3.x, otherwise results don't come back
-             inactivityTimeout: this.configuration.listen.inactivityTimeout,
-             model: this.configuration.listen.language + "_NarrowbandModel",
-             backgroundAudioSuppression: this.configuration.listen.backgroundAudioSuppression || 0.0 // should be in the range [0.0, 1.0] indicating how much audio suppression to perform
+         if (callback != undefined) {
+             callback(heard);
+         }
+     };
+     if (options.wakeWord) {
+         deliver = this._wakeWordFilter(options.wakeWord, deliver);
+     }
+ 
+     // the listening session outlives reconnects of the recognize stream, so the microphone,
+     // the wake word state and results held back in object mode carry over
+     var session = {
+         options: options,
+         language: this.configuration.listen.language,
+         retries: 0,
+         timer: undefined,
+         startTimer: undefined,
+         onData: undefined,
+         onEnd: undefined
+     };
+ 
+     // deliver STT data to the callback
+     if (options.objectMode) {
+         var assembler = new recognition.ResultAssembler({
+             interimResults: options.interimResults,
+             speakerLabels: options.speakerLabels,
+             minConfidence: options.minConfidence != undefined ? options.minConfidence : this.configuration.listen.minConfidence || 0,
+             lowConfidence: options.lowConfidence || this.configuration.listen.lowConfidence || 'drop'
+         }, function(result) {
+             if (result.final) {
+                 winston.info("TJBot heard: " + result.transcript + (result.uncertain ? " (uncertain)" : ""));
+ 
+                 if (session.recorder != undefined) {
+                     session.recorder.save(result.transcript);
+                 }
+             }
+             self.emit(TJBot.EVENTS.RECOGNIZED, result);
+ 
+             deliver(result);
          });
-       }
  
-       // create the mic -> STT recognizer -> text stream
-     this._sttTextStream = this._micInputStream.pipe(this._micRecognizeStream);
-     this._sttTextStream.setEncoding('utf8');
+         session.onData = function(message) {
+             assembler.push(message);
+         };
+         session.onEnd = function() {
+             assembler.flush();
+         };
+     } else {
+         session.onData = function(transcript) {
+             winston.info("TJBot heard: " + transcript);
  
-     // start the microphone
-     this._mic.start();
+             if (session.recorder != undefined) {
+                 session.recorder.save(transcript);
+             }
  
-     // handle errors in the text stream
+             deliver(transcript);
+         };
+     }
+ 
+     var saveAudio = Object.assign({}, TJBot.prototype.defaultConfiguration.listen.saveAudio, this.configuration.listen.saveAudio);
+     if (typeof options.saveAudio == 'string') {
+         saveAudio.directory = options.saveAudio;
+     } else if (options.saveAudio == false) {
+         saveAudio.directory = undefined;
+     } else if (options.saveAudio == true && !saveAudio.directory) {
+         throw new Error('TJBot does not know where to save the audio, set listen.saveAudio.directory or pass a directory');
+     }
  
+     var vadSettings = Object.assign({}, TJBot.prototype.defaultConfiguration.listen.vad, this.configuration.listen.vad);
+     if (typeof options.vad == 'object') {
+         Object.assign(vadSettings, { enabled: true }, options.vad);
+     } else if (options.vad != undefined) {
+         vadSettings.enabled = options.vad == true;
+     }
  
+     this._listenSession = session;
+     this._listenLanguage = session.language;
  
-     this._sttTextStream.on('error', function(err) {
-         if (err) {
-             winston.error("the speech_to_text service returned an error.", err);
+     // the listenOnce() calls waiting for an utterance hear it from this stream instead
+     var once = this._listenOnceSession;
+     if (once != undefined) {
+         once.close();
+         if (once.language != session.language) {
+             once.waiters.slice().forEach(function(waiter) {
+                 waiter(new Error('TJBot started listening in ' + session.language + ' while listening once in ' + once.language));
+             });
+         }
+     }
+ 
+     if (vadSettings.enabled) {
+         session.source = this._voiceActivityGate(session, vadSettings);
+     } else {
+         this._connectRecognizeStream(session);
+     }
  
-             // resume the microphone
-             self.resumeListening();
+     if (saveAudio.directory) {
+         session.recorder = this._utteranceRecorder(session.source || this._micAudioStream, saveAudio);
+     }
+ 
+     // start the microphone, unless it was taken over running (or about to start)
+     if (microphone == undefined) {
+         session.startTimer = this._startMicrophone(this._mic);
+     } else {
+         session.startTimer = microphone.startTimer;
+     }
+     this.emit(TJBot.EVENTS.LISTENING_STARTED);
+ }
+ 
+ /**
+  * Internal method for connecting the microphone of a listening session to a new recognize stream.
+  *
+  * @param {Object} session The listening session (see TJBot.prototype.listen).
+  */
+ TJBot.prototype._connectRecognizeStream = function(session) {
+     // capture 'this' context
+     var self = this;
+ 
+     // create the microphone -> STT recognizer stream
+     var recognizeStream = this._stt.recognizeStream(this._recognizeParams(session.language, session.options));
+     this._micRecognizeStream = recognizeStream;
+ 
+     // create the mic -> STT recognizer -> text stream
+     var source = session.source || this._micAudioStream;
+     this._sttTextStream = source.pipe(recognizeStream);
+     if (!session.options.objectMode) {
+         this._sttTextStream.setEncoding('utf8');
+     }
  
-             // attempt to reconnect
-             self.listen(callback);
+     this._sttTextStream.on('data', function(data) {
+         // the connection works, so a later error starts a fresh series of retries
+         session.retries = 0;
+         session.onData(data);
+     });
+ 
+     if (session.onEnd != undefined) {
+         this._sttTextStream.on('end', session.onEnd);
+     }
+ 
+     // handle errors in the text stream
+     this._sttTextStream.on('error', function(err) {
+         if (self._listenSession !== session || self._micRecognizeStream !== recognizeStream) {
+             return;
          }
+ 
+         winston.error("the speech_to_text service returned an error.", err);
+         self._serviceError('speech_to_text', err);
+ 
+         source.unpipe(recognizeStream);
+         self._reconnectRecognizeStream(session, err);
      });
+ }
  
+ /**
+  * Internal method for gating the microphone of a listening session with voice activity detection
+  * (see lib/vad.js): a recognize stream is connected when speech starts, and ended when it stops,
+  * so STT finalizes the utterance and nothing is streamed in between.
+  *
+  * @param {Object} session The listening session (see TJBot.prototype.listen).
+  * @param {Object} settings The voice activity detection settings (see listen.vad).
+  *
+  * Returns the gate, the audio source of the session.
+  */
+ TJBot.prototype._voiceActivityGate = function(session, settings) {
+     // capture 'this' context
+     var self = this;
  
+     var gate = new vad.VoiceActivityGate(Object.assign({ rate: this._sttAudioFormat().rate }, settings));
  
-     // deliver STT data to the callback
-     this._sttTextStream.on('data', function(transcript) {
-         winston.info("TJBot heard: " + transcript);
+     gate.on('speechStart', function() {
+         if (self._listenSession !== session) {
+             return;
+         }
  
-         if (callback != undefined) {
-             callback(transcript);
+         winston.debug("TJBot detected speech");
+         self.emit(TJBot.EVENTS.SPEECH_STARTED);
+ 
+         // while reconnecting, the reconnect connects
+         if (session.timer == undefined) {
+             self._connectRecognizeStream(session);
          }
      });
-  
  
-  }
+     gate.on('speechEnd', function(speech) {
+         winston.debug("TJBot detected the end of speech after " + speech.durationMs + " ms");
+         self.emit(TJBot.EVENTS.SPEECH_ENDED, speech);
  
+         var recognizeStream = self._micRecognizeStream;
+         if (self._listenSession !== session || recognizeStream == undefined) {
+             return;
+         }
  
- /*
+         // let the last audio through before ending the stream
+         setImmediate(function() {
+             gate.unpipe(recognizeStream);
+             if (!recognizeStream.destroyed && !recognizeStream.writableEnded) {
+                 recognizeStream.end();
+             }
+         });
+     });
  
- TJBot.prototype.listen = function(callback) {
-     // make sure we can listen
-     this._assertCapability('listen');
+     // keep the audio flowing while no recognize stream is connected
+     gate.on('data', function() {});
+ 
+     return this._micAudioStream.pipe(gate);
+ }
  
+ /**
+  * Internal method for saving the audio of recognized utterances (see listen.saveAudio). The audio sent
+  * to STT is kept until the next transcript arrives, and then saved with it: the audio of an utterance
+  * with voice activity detection, or everything heard since the previous transcript without it.
+  *
+  * @param {Stream} source The audio stream of the listening session.
+  * @param {Object} settings The settings (see listen.saveAudio).
+  *
+  * Returns {save, stop}: a function saving the kept audio with a transcript, and one to stop keeping audio.
+  */
+ TJBot.prototype._utteranceRecorder = function(source, settings) {
      // capture 'this' context
      var self = this;
  
-     // (re)initialize the microphone because if stopListening() was called, we don't seem to
-     // be able to re-use the microphone twice
-     this._setupMicrophone();
+     var format = this._sttAudioFormat();
+     var maxBytes = Math.round(format.rate * settings.maxUtteranceMs / 1000) * format.bitDepth / 8;
+     var chunks = [];
+     var bytes = 0;
  
-     // create the microphone -> STT recognizer stream
+     fs.mkdirSync(settings.directory, { recursive: true });
+ 
+     var keep = function(chunk) {
+         chunks.push(chunk);
+         bytes += chunk.length;
+ 
+         // only keep the most recent audio
+         while (bytes - chunks[0].length >= maxBytes) {
+             bytes -= chunks.shift().length;
+         }
+     };
+     source.on('data', keep);
+ 
+     var save = function(transcript) {
+         var data = Buffer.concat(chunks);
+         chunks = [];
+         bytes = 0;
+ 
+         if (data.length > maxBytes) {
+             data = data.subarray(data.length - maxBytes);
+         }
+ 
+         var name = 'utterance-' + new Date().toISOString().replace(/[:.]/g, '-');
+         var filePath = path.join(settings.directory, name + '.wav');
+         var transcriptPath = path.join(settings.directory, name + '.txt');
+ 
+         audio.writeWav(filePath, format, data, function(err) {
+             if (err) {
+                 winston.error("TJBot could not save the audio of an utterance to " + filePath, err);
+                 return;
+             }
+ 
+             fs.writeFile(transcriptPath, transcript.trim() + '\n', function(err) {
+                 if (err) {
+                     winston.error("TJBot could not save the transcript of an utterance to " + transcriptPath, err);
+                     return;
+                 }
+ 
+                 winston.verbose("TJBot saved an utterance to " + filePath);
+                 self.emit(TJBot.EVENTS.UTTERANCE_SAVED, {
+                     filePath: filePath,
+                     transcriptPath: transcriptPath,
+                     transcript: transcript
+                 });
+             });
+         });
+     };
+ 
+     // the audio kept so far can still be saved with the last transcript
+     var stop = function() {
+         source.removeListener('data', keep);
+     };
+ 
+     return {
+         save: save,
+         stop: stop
+     };
+ }
+ 
+ /**
+  * Internal method for recovering from an error of the recognize stream, following listen.reconnect:
+  * retryable errors are retried with exponential backoff, keeping the microphone paused in the
+  * meantime; fatal errors (e.g. wrong credentials) and too many retries in a row stop listening.
+  *
+  * @param {Object} session The listening session (see TJBot.prototype.listen).
+  * @param {Error} err The error of the recognize stream.
+  */
+ TJBot.prototype._reconnectRecognizeStream = function(session, err) {
+     var self = this;
+     var policy = Object.assign({}, TJBot.prototype.defaultConfiguration.listen.reconnect, this.configuration.listen.reconnect);
+     var retryable = typeof policy.retryable == 'function' ? policy.retryable(err) : recognition.isRetryableError(err);
+ 
+     if (!retryable || session.retries >= policy.maxRetries) {
+         winston.error("TJBot stopped listening: " + (retryable ? "the speech_to_text service failed " + session.retries + " times in a row" : "the error can't be recovered from"));
+         this.emit(TJBot.EVENTS.LISTENING_GAVE_UP, {
+             error: err,
+             retries: session.retries,
+             fatal: !retryable
+         });
+         this._stopListening();
+         return;
+     }
+ 
+     var delayMs = Math.min(policy.maxDelayMs, policy.initialDelayMs * Math.pow(policy.factor, session.retries));
+     session.retries++;
+ 
+     winston.warn("TJBot reconnecting to the speech_to_text service in " + delayMs + " ms (attempt " + session.retries + " of " + policy.maxRetries + ")");
+     this.emit(TJBot.EVENTS.LISTENING_RECONNECTING, {
+         attempt: session.retries,
+         delayMs: delayMs,
+         error: err
+     });
+ 
+     // hold the audio while there is nothing to send it to
+     this._mic.pause();
+ 
+     session.timer = setTimeout(function() {
+         session.timer = undefined;
+         if (self._listenSession !== session) {
+             return;
+         }
+ 
+         // with voice activity detection, the next utterance connects, unless one is going on
+         if (session.source == undefined || session.source.isSpeaking()) {
+             self._connectRecognizeStream(session);
+         }
+ 
+         // listening may have been paused meanwhile, e.g. while TJBot speaks
+         if (!self._listeningPaused) {
+             self._mic.resume();
+         }
+     }, delayMs);
+ }
+ 
+ 
+ /**
+  * Internal method for gating transcripts behind a wake phrase. TJBot is dormant at first and drops
+  * everything it hears until the phrase is heard (small mishearings are tolerated). The utterance after
+  * the phrase is passed on, or the rest of the same utterance ("hey Michael, wave"), and TJBot goes
+  * dormant again; it also goes dormant when nothing is said for listen.wakeWord.timeoutMs.
+  * While awake, the LED breathes in listen.wakeWord.indicatorColor if listen.wakeWord.indicator is set.
+  *
+  * In object mode only final results count; interim results are passed on while TJBot is awake.
+  *
+  * @param {Boolean|String} wakeWord true to use listen.wakeWord.phrase, or the phrase to use.
+  * @param {Function} deliver Called with the transcripts (or result objects) that get through.
+  *
+  * Returns the function to call with every transcript (or result object).
+  */
+ TJBot.prototype._wakeWordFilter = function(wakeWord, deliver) {
+     var settings = Object.assign({}, TJBot.prototype.defaultConfiguration.listen.wakeWord, this.configuration.listen.wakeWord);
+     var phrase = typeof wakeWord == 'string' ? wakeWord : settings.phrase || "hey " + this.configuration.robot.name;
+     var phraseTokens = tokenize(phrase);
+ 
+     if (phraseTokens.length == 0) {
+         throw new Error('the wake phrase "' + phrase + '" has no words');
+     }
+ 
+     // a reconnect replaces the filter, don't leave the previous one awake
+     this._sleepWakeWord(false);
+ 
+     var self = this;
+     var state = {
+         awake: false,
+         timer: undefined,
+         indicator: undefined
+     };
+     this._wakeWord = state;
+ 
+     winston.verbose("TJBot waiting for the wake phrase \"" + phrase + "\"");
+ 
+     return function(heard) {
+         if (self._wakeWord !== state) {
+             return;
+         }
+ 
+         var isResult = typeof heard == 'object';
+         var transcript = isResult ? heard.transcript : heard;
+ 
+         if (isResult && !heard.final) {
+             if (state.awake) {
+                 deliver(heard);
+             }
+             return;
+         }
+ 
+         if (state.awake) {
+             self._sleepWakeWord(false);
+             deliver(heard);
+             return;
+         }
+ 
+         var cut = recognition.afterPhrase(transcript, phraseTokens);
+         if (cut == undefined) {
+             winston.debug("TJBot is dormant, ignoring: " + transcript);
+             return;
+         }
+ 
+         winston.verbose("TJBot heard the wake phrase");
+         self.emit(TJBot.EVENTS.WAKE_WORD_HEARD, {
+             phrase: phrase,
+             transcript: transcript
+         });
+ 
+         if (cut.rest != '') {
+             deliver(isResult ? recognition.resultAfterPhrase(heard, cut, phraseTokens) : cut.rest);
+             return;
+         }
+ 
+         state.awake = true;
+         state.timer = setTimeout(function() {
+             winston.verbose("TJBot heard nothing after the wake phrase, going back to sleep");
+             self._sleepWakeWord(true);
+         }, settings.timeoutMs);
+ 
+         if (settings.indicator && (self._led || self._RGBLed)) {
+             var led = self._RGBLed ? 'rgb_led' : 'led';
+             state.indicator = {
+                 led: led,
+                 pixels: led == 'led' ? Uint32Array.from(self._pixels) : undefined,
+                 handle: self.breathe(settings.indicatorColor, { led: led, periodMs: 1500 })
+             };
+         }
+     };
+ }
+ 
+ /**
+  * Internal method for sending the wake word filter back to sleep: the timeout is cleared and the
+  * listening indicator is replaced by the colors the LED had before, unless something else took over the LED.
+  *
+  * @param {Boolean} timedOut Whether TJBot goes to sleep because nothing was said after the wake phrase.
+  */
+ TJBot.prototype._sleepWakeWord = function(timedOut) {
+     var state = this._wakeWord;
+     if (state == undefined || !state.awake) {
+         return;
+     }
+ 
+     state.awake = false;
+     clearTimeout(state.timer);
+     state.timer = undefined;
+ 
+     var indicator = state.indicator;
+     state.indicator = undefined;
+     if (indicator != undefined && indicator.handle.running) {
+         indicator.handle.cancel();
+         if (indicator.led == 'rgb_led') {
+             this._renderRGBLed(this._RGBLed.color || '#000000');
+         } else {
+             this._pixels.set(indicator.pixels);
+             this._led.render(this._pixels);
+         }
+     }
+ 
+     this.emit(TJBot.EVENTS.LISTENING_DORMANT, { timedOut: timedOut });
+ }
+ 
+ /**
+  * Internal method for getting the parameters of a recognize stream (see lib/providers) for a language.
+  * The customization model in listen.customization_id is only used for the configured language.
+  *
+  * @param {String} language The language to recognize, e.g. 'en-US'.
+  * @param {Object} options Optional listen() options, for object mode.
+  */
+ TJBot.prototype._recognizeParams = function(language, options) {
      // see this page for additional documentation on the STT configuration parameters:
      // https://www.ibm.com/watson/developercloud/speech-to-text/api/v1/#recognize_audio_websockets
-     if(this.configuration.listen.customization_id){
-       winston.debug("Customization_id is set.");
-       this._micRecognizeStream = this._stt.recognizeUsingWebSocket({
-           content_type: 'audio/l16; rate=16000; channels=1',
-           interimResults: true, // need 'true' for watson-developer-cloud 3.x, otherwise results don't come back
-           inactivityTimeout: this.configuration.listen.inactivityTimeout,
-           model: this.configuration.listen.language + "_NarrowbandModel",
-           backgroundAudioSuppression: this.configuration.listen.backgroundAudioSuppression || 0.0, // should be in the range [0.0, 1.0] indicating how much audio suppression to perform
-           customization_id: this.configuration.listen.customization_id
-       });
+     var model = this._sttModel(language);
+     var params = {
+         contentType: 'audio/l16; rate=' + model.rate + '; channels=1', // the microphone audio is converted to this (see TJBot.prototype._setupMicrophone)
+         interimResults: true, // need 'true' for watson-developer-cloud 3.x, otherwise results don't come back
+         inactivityTimeout: this.configuration.listen.inactivityTimeout,
+         model: model.name,
+         backgroundAudioSuppression: this.configuration.listen.backgroundAudioSuppression || 0.0 // should be in the range [0.0, 1.0] indicating how much audio suppression to perform
+     };
+ 
+     if (this.configuration.listen.customization_id && language == this.configuration.listen.language) {
+         winston.debug("Customization_id is set.");
+         params.customizationId = this.configuration.listen.customization_id;
      } else {
-       winston.debug("Customization_id is not set.");
-       this._micRecognizeStream = this._stt.recognizeUsingWebSocket({
-           content_type: 'audio/l16; rate=16000; channels=2',
-           interimResults: true, // need 'true' for watson-developer-cloud 3.x, otherwise results don't come back
-           inactivityTimeout: this.configuration.listen.inactivityTimeout,
-           model: this.configuration.listen.language + "_NarrowbandModel",
-           backgroundAudioSuppression: this.configuration.listen.backgroundAudioSuppression || 0.0 // should be in the range [0.0, 1.0] indicating how much audio suppression to perform
-       });
+         winston.debug("Customization_id is not set.");
      }
  
-     // create the mic -> STT recognizer -> text stream
-     this._sttTextStream = this._micInputStream.pipe(this._micRecognizeStream);
-     this._sttTextStream.setEncoding('utf8');
+     if (options != undefined && options.objectMode) {
+         params.objectMode = true;
+         params.maxAlternatives = options.maxAlternatives || 3;
+         params.timestamps = options.timestamps == true || options.speakerLabels == true;
+         params.speakerLabels = options.speakerLabels == true;
+     }
  
+     return params;
+ }
  
-     // handle errors in the text stream
-     this._sttTextStream.on('error', function(err) {
-         if (err) {
-             winston.error("the speech_to_text service returned an error.", err);
+ /**
+  * Listen for a single utterance.
+  *
+  * When TJBot is already listening (see TJBot.prototype.listen), the next transcript of that stream
+  * is used and the stream keeps running. Otherwise the microphone and a recognize stream are opened
+  * just for this utterance and closed again once it has been heard or the time is up; calls made
+  * meanwhile wait for the same utterance.
+  *
+  * @param {Object} options Optional settings: `timeoutMs` (how long to wait for an utterance, default 10000)
+  *        and `language` (default listen.language; must be the language of the running stream, if any).
+  *
+  * Returns a Promise that resolves with the transcript, or rejects when nothing was heard in time.
+  */
+ TJBot.prototype.listenOnce = function(options) {
+     this._assertCapability('listen');
+ 
+     options = Object.assign({
+         timeoutMs: 10000,
+         language: this.configuration.listen.language
+     }, options);
  
-             // resume the microphone
-             self.resumeListening();
+     // capture 'this' context
+     var self = this;
+ 
+     // share the running stream (with voice activity detection, there may be none between utterances),
+     // or the one opened for another call
+     var listening = this._sttTextStream != undefined || this._listenSession != undefined;
+     var language = options.language;
+     if (listening) {
+         language = this._listenLanguage;
+     } else if (this._listenOnceSession != undefined) {
+         language = this._listenOnceSession.language;
+     }
  
-             // attempt to reconnect
-             self.listen(callback);
+     if (options.language != language) {
+         return Promise.reject(new Error('TJBot is already listening in ' + language +
+             ', stop listening before listening once in ' + options.language));
+     }
+ 
+     var session = listening ? undefined : this._listenOnceSession || this._openListenOnce(language);
+ 
+     return new Promise(function(resolve, reject) {
+         var waiter = function(err, transcript) {
+             clearTimeout(timer);
+             self.removeListener(TJBot.EVENTS.HEARD, onHeard);
+             if (session != undefined) {
+                 session.leave(waiter);
+             }
+ 
+             if (err) {
+                 reject(err);
+             } else {
+                 resolve(transcript);
+             }
+         };
+ 
+         var onHeard = function(transcript) {
+             waiter(null, transcript);
+         };
+ 
+         var timer = setTimeout(function() {
+             waiter(new Error('TJBot did not hear anything within ' + options.timeoutMs + ' ms'));
+         }, options.timeoutMs);
+ 
+         self.on(TJBot.EVENTS.HEARD, onHeard);
+         if (session != undefined) {
+             session.waiters.push(waiter);
          }
      });
+ }
  
-     // deliver STT data to the callback
-     this._sttTextStream.on('data', function(transcript) {
-         winston.info("TJBot heard: " + transcript);
+ /**
+  * Internal method for opening the microphone and a recognize stream for listenOnce() while TJBot isn't
+  * listening. They are closed once an utterance has been heard, when the last call waiting for it gives up,
+  * or when listen() starts and takes over.
+  *
+  * @param {String} language The language to listen in.
+  *
+  * Returns the session: {language, waiters, leave, close}, where the waiters are called with (err, transcript).
+  */
+ TJBot.prototype._openListenOnce = function(language) {
+     // capture 'this' context
+     var self = this;
  
-         if (callback != undefined) {
-             callback(transcript);
+     var microphone = this._acquireMicrophone();
+     var recognizeStream = this._stt.recognizeStream(this._recognizeParams(language));
+     var textStream = microphone.audioStream.pipe(recognizeStream);
+     textStream.setEncoding('utf8');
+ 
+     var session = {
+         language: language,
+         waiters: [],
+ 
+         leave: function(waiter) {
+             var index = session.waiters.indexOf(waiter);
+             if (index == -1) {
+                 return;
+             }
+ 
+             session.waiters.splice(index, 1);
+             if (session.waiters.length == 0) {
+                 session.close();
+             }
+         },
+ 
+         close: function() {
+             if (self._listenOnceSession !== session) {
+                 return;
+             }
+             self._listenOnceSession = undefined;
+ 
+             // close the recognize stream (and its websocket) and the microphone
+             microphone.audioStream.unpipe(recognizeStream);
+             textStream.removeAllListeners('data');
+             textStream.on('error', function() {});
+             recognizeStream.end();
+             microphone.release();
+ 
+             // unless listen() took over
+             if (self._listenSession == undefined) {
+                 winston.debug("listening stopped");
+                 self.emit(TJBot.EVENTS.LISTENING_STOPPED);
+             }
+         }
+     };
+ 
+     // the waiting calls hear it
+     textStream.on('data', function(transcript) {
+         if (transcript.trim() == '') {
+             return;
          }
+         winston.info("TJBot heard: " + transcript);
+         self.emit(TJBot.EVENTS.HEARD, transcript);
+         session.close();
+     });
+ 
+     textStream.on('error', function(err) {
+         winston.error("the speech_to_text service returned an error.", err);
+         self._serviceError('speech_to_text', err);
+         session.waiters.slice().forEach(function(waiter) {
+             waiter(err);
+         });
+         session.close();
      });
  
-     // start the microphone
-     this._mic.start();
+     this._listenOnceSession = session;
+     this.emit(TJBot.EVENTS.LISTENING_STARTED);
+ 
+     return session;
  }
- */
  
  /**
   * Pause listening for spoken utterances
@@ -971,9 +2230,16 @@
   * the 'listen' capability.
   */
  TJBot.prototype._pauseListening = function() {
+     // and the microphone listenOnce() or record() opened
+     if (this._sharedMic != undefined) {
+         this._sharedMic.mic.pause();
+     }
+ 
      if (this._mic != undefined) {
          winston.debug("listening paused");
+         this._listeningPaused = true;
          this._mic.pause();
+         this.emit(TJBot.EVENTS.LISTENING_PAUSED);
      }
  }
  
@@ -994,9 +2260,21 @@
   * the 'listen' capability.
   */
  TJBot.prototype._resumeListening = function() {
+     if (this._sharedMic != undefined) {
+         this._sharedMic.mic.resume();
+     }
+ 
      if (this._mic != undefined) {
          winston.debug("listening resumed");
+         this._listeningPaused = false;
+ 
+         // while reconnecting there is nothing to send the audio to; the reconnect resumes the microphone
+         if (this._listenSession != undefined && this._listenSession.timer != undefined) {
+             return;
+         }
+ 
          this._mic.resume();
+         this.emit(TJBot.EVENTS.LISTENING_RESUMED);
      }
  }
  
@@ -1017,16 +2295,148 @@
   * the 'listen' capability.
   */
  TJBot.prototype._stopListening = function() {
+     if (this._listenSession != undefined) {
+         clearTimeout(this._listenSession.timer);
+         clearTimeout(this._listenSession.startTimer);
+         if (this._listenSession.recorder != undefined) {
+             this._listenSession.recorder.stop();
+         }
+         this._listenSession = undefined;
+     }
+ 
      if (this._mic != undefined) {
          winston.debug("listening stopped");
  
          // stop the mic
          this._mic.stop();
+         this._sttTextStream = undefined;
+         this._sleepWakeWord(false);
+         this._wakeWord = undefined;
+         this.emit(TJBot.EVENTS.LISTENING_STOPPED);
+ 
+         // the next microphone waits for this one to finish closing (see TJBot.prototype._startMicrophone),
+         // without blocking TJBot meanwhile
+         this._micClosedAt = Date.now();
+     }
+ }
+ 
+ /** ------------------------------------------------------------------------ */
+ /** RECORD                                                                   */
+ /** ------------------------------------------------------------------------ */
+ 
+ /**
+  * Record what the microphone hears to a WAV file, e.g. to collect audio for training a custom speech model.
+  * The audio is saved as it is sent to STT: mono, 16 bit, at the sample rate of listen.model.
+  * While TJBot is listening, the running microphone is recorded and listening goes on. Recordings and
+  * listenOnce() calls made at the same time otherwise share one microphone.
+  *
+  * @param {String} filePath Path of the WAV file.
+  * @param {Object} options Optional settings:
+  *        `durationMs`: how long to record (default 10000), or with `stopOnSilence` the longest recording,
+  *        `stopOnSilence`: true to stop once something was said, after listen.vad.silenceMs of silence, or
+  *            the milliseconds of silence to stop after. Speech is detected following listen.vad.
+  *
+  * Returns a Promise that resolves with {filePath, durationMs, bytes} once the file is written.
+  */
+ TJBot.prototype.record = function(filePath, options) {
+     // make sure we can record
+     this._assertCapability('record');
+ 
+     options = Object.assign({
+         durationMs: 10000,
+         stopOnSilence: false
+     }, options);
+ 
+     // capture 'this' context
+     var self = this;
  
-         // sleep for 1 second to wait for the mic to finish closing. this seems
-         // necessary for a subsequent call to listen() to work correctly.
-         this.sleep(1000);
+     var format = this._sttAudioFormat();
+ 
+     var writer;
+     try {
+         writer = new audio.WavWriter(filePath, format);
+     } catch (err) {
+         return Promise.reject(err);
+     }
+ 
+     // share the running microphone, or open one shared with listenOnce() and other recordings
+     var microphone;
+     var source = this._micAudioStream;
+     if (this._listenSession == undefined && this._sttTextStream == undefined) {
+         microphone = this._acquireMicrophone();
+         source = microphone.audioStream;
+     }
+ 
+     var gate;
+     if (options.stopOnSilence) {
+         var settings = Object.assign({}, TJBot.prototype.defaultConfiguration.listen.vad, this.configuration.listen.vad);
+         if (typeof options.stopOnSilence == 'number') {
+             settings.silenceMs = options.stopOnSilence;
+         }
+ 
+         gate = new vad.VoiceActivityGate(Object.assign({ rate: format.rate }, settings));
+         gate.resume();
      }
+ 
+     return new Promise(function(resolve, reject) {
+         var stopped = false;
+ 
+         var stop = function() {
+             if (stopped) {
+                 return;
+             }
+             stopped = true;
+             clearTimeout(timer);
+ 
+             source.unpipe(writer);
+             if (gate != undefined) {
+                 source.unpipe(gate);
+             }
+             if (!writer.writableEnded) {
+                 writer.end();
+             }
+ 
+             if (microphone != undefined) {
+                 microphone.release();
+             }
+         };
+ 
+         var timer = setTimeout(stop, options.durationMs);
+ 
+         if (gate != undefined) {
+             gate.on('speechEnd', stop);
+         }
+ 
+         // the writer also finishes when the microphone stops first
+         writer.on('finish', function() {
+             stop();
+ 
+             var recording = {
+                 filePath: filePath,
+                 durationMs: writer.durationMs(),
+                 bytes: writer.bytes
+             };
+ 
+             winston.verbose("TJBot recorded " + recording.durationMs + " ms to " + filePath);
+             self.emit(TJBot.EVENTS.RECORDING_STOPPED, recording);
+             resolve(recording);
+         });
+ 
+         writer.on('error', function(err) {
+             winston.error("TJBot could not record to " + filePath, err);
+             stop();
+             reject(err);
+         });
+ 
+         source.pipe(writer);
+         if (gate != undefined) {
+             source.pipe(gate);
+         }
+ 
+         self.emit(TJBot.EVENTS.RECORDING_STARTED, {
+             filePath: filePath
+         });
+     });
  }
  
  /** ------------------------------------------------------------------------ */
@@ -1035,9 +2445,7 @@
  
  /**
   * Take a picture and identify the objects present. *
-  * Returns a list of objects seen and their confidences.
-  * See VisualRecognitionV3.prototype.classify for more detail on the
-  * return object.
+  * Returns the response of the visual recognition provider, as recognizeObjectsInPhoto() does.
   */
  TJBot.prototype.see = function() {
      this._assertCapability('see');
@@ -1049,37 +2457,51 @@
          winston.verbose("TJBot taking a photo");
          self.takePhoto().then(function(filePath) {
              resolve(self.recognizeObjectsInPhoto(filePath))
-         });
+         }).catch(reject);
      });
  }
  
  /**
-  * Describe photo by sending it to the Watson Visual Recognition Service.
+  * Describe photo by sending it to the visual recognition provider (Imagga by default).
+  *
+  * @param {String} filePath The path of the photo.
+  * @param {Object} credentials Optional visual_recognition credentials to use instead of the ones given to the TJBot constructor.
+  *
+  * Returns the response of the provider as is; with Imagga, the HTTP response whose JSON body
+  * lists the tags and their confidences.
   */
  TJBot.prototype.recognizeObjectsInPhoto = async function(filePath, credentials) {
      this._assertCapability('see');
  
-     // capture 'this' context
-     var self = this;
+     var visualRecognition = this._visualRecognition;
+     if (credentials != undefined) {
+         visualRecognition = providers.createProvider('visual_recognition', credentials, this.configuration);
+     }
  
-     //return new Promise(function(resolve, reject) {
-         winston.info("Sending image to Imagga Visual Recognition...");
+     if (visualRecognition == undefined) {
+         throw new Error(
+             'TJBot is not configured to recognize objects. ' +
+             'Please check that you included credentials for the "visual_recognition" service in the TJBot constructor.');
+     }
  
-         const apiKey = credentials['iam_apikey'];
-         const apiSecret = credentials['apiSecret'];
-         const formData = new FormData();
+     winston.info("Sending image to visual recognition...");
  
-         formData.append('image', fs.createReadStream(filePath));
-         console.log (apiKey, apiSecret, filePath);
-        
-         try {
-             const response = await got.post('https://api.imagga.com/v2/tags', {body: formData, username:apiKey, password:apiSecret});
-             //console.log(response.body);
-             return response;
-             
-         } catch (error) {
-             console.log(error);
-         }       
+     try {
+         const response = await visualRecognition.classify(filePath, {
+             language: this.configuration.see.language
+         });
+         winston.silly(`response from _visualRecognition.classify(): ${JSON.stringify(response.body || response)}`);
+ 
+         this.emit(TJBot.EVENTS.OBJECTS_SEEN, {
+             filePath: filePath,
+             response: response
+         });
+         return response;
+     } catch (err) {
+         winston.error('the visual recognition service returned an error', err);
+         this._serviceError('visual_recognition', err);
+         throw err;
+     }
  }
  
  
@@ -1124,6 +2546,9 @@
      return new Promise(function(resolve, reject) {
          self._camera.takePhoto().then(function(photobuffer) {
              var returnPath = path == "" ? (name + "." + self._camera.getOptions().encoding) : (path + "/" + name + "." + self._camera.getOptions().encoding);
+             self.emit(TJBot.EVENTS.PHOTO_TAKEN, {
+                 filePath: returnPath
+             });
              resolve(returnPath);
          }).catch(function(error) {
              winston.error('Error taking picture.', error);
@@ -1137,13 +2562,44 @@
  /** ------------------------------------------------------------------------ */
  
  
- //helper
- function led_turn_on(led){
-   led.digitalWrite(1);
- }
- //helper
- function led_turn_off(led){
-   led.digitalWrite(0);
+ /**
+  * Drive a single channel of the RGB led, honoring the rgb_led calibration and polarity.
+  *
+  * @param {String} channel The channel ('R', 'G' or 'B').
+  * @param {Int} value The brightness of the channel, 0 (off) to 255 (full).
+  */
+ TJBot.prototype._writeRGBChannel = function(channel, value) {
+     var config = this.configuration.rgb_led;
+     var calibration = config.calibration[channel];
+     if (calibration == undefined) {
+         calibration = 1.0;
+     }
+ 
+     var dutyCycle = Math.round(Math.max(0, Math.min(255, value * calibration)));
+ 
+     // with a common anode the pin sinks current, so LOW means on
+     if (config.commonAnode) {
+         dutyCycle = 255 - dutyCycle;
+     }
+ 
+     this._RGBLed['pin' + channel].pwmWrite(dutyCycle);
+ }
+ 
+ /**
+  * Render a color on the RGB led by mixing the three channels with PWM. Channel values are
+  * gamma-corrected (rgb_led.gamma), so colors and brightness ramps look the way they do on a screen.
+  *
+  * @param {String} rgb The color in #RRGGBB format (see TJBot.prototype._normalizeColor).
+  * @param {Number} brightness Optional brightness in the range [0.0, 1.0] (default 1.0).
+  */
+ TJBot.prototype._renderRGBLed = function(rgb, brightness = 1.0) {
+     var gamma = this.configuration.rgb_led.gamma || 1.0;
+ 
+     var self = this;
+     ['R', 'G', 'B'].forEach(function(channel, i) {
+         var value = parseInt(rgb.substr(1 + i * 2, 2), 16) / 255 * brightness;
+         self._writeRGBChannel(channel, Math.round(255 * Math.pow(value, gamma)));
+     });
  }
  
  /**
@@ -1160,98 +2616,99 @@
   *
   */
  TJBot.prototype.turnOffRGBLed = function() {
-     led_turn_off(this._RGBLed.pinR);
-     led_turn_off(this._RGBLed.pinG);
-     led_turn_off(this._RGBLed.pinB);
+     this._assertCapability('shine_rgb');
+ 
+     this._rgbLedAnimator.stop();
+     this._renderRGBLed('#000000');
+     this._RGBLed.color = '#000000';
+ 
+     this.emit(TJBot.EVENTS.COLOR_CHANGED, {
+         led: 'rgb_led',
+         color: 'off'
+     });
  }
  
  /**
   * Change the color of the RGB led.
   *
-  * @param {String} color The color to use. Must be from list of _basic_colors.
+  * @param {String} color The color to use. Must be interpretable by TJBot.prototype._normalizeColor.
+  * @param {Function} callback Optional callback, called with the color (a random color is resolved to its name) or null if the color is unknown.
   */
  TJBot.prototype.changeColorRGBLed = function(color, callback) {
-     switch (color){
-      case "red":
-       led_turn_on(this._RGBLed.pinR);
-       led_turn_off(this._RGBLed.pinG);
-       led_turn_off(this._RGBLed.pinB);
-       break;
-      case "green":
-       led_turn_off(this._RGBLed.pinR);
-       led_turn_on(this._RGBLed.pinG);
-       led_turn_off(this._RGBLed.pinB);
-       break;
-      case "blue":
-       led_turn_off(this._RGBLed.pinR);
-       led_turn_off(this._RGBLed.pinG);
-       led_turn_on(this._RGBLed.pinB);
-       break;
-      case "yellow":
-       led_turn_on(this._RGBLed.pinR);
-       led_turn_on(this._RGBLed.pinG);
-       led_turn_off(this._RGBLed.pinB);
-       break;
-      case "magenta":
-       led_turn_on(this._RGBLed.pinR);
-       led_turn_off(this._RGBLed.pinG);
-       led_turn_on(this._RGBLed.pinB);
-       break;
-      case "cyan":
-       led_turn_off(this._RGBLed.pinR);
-       led_turn_on(this._RGBLed.pinG);
-       led_turn_on(this._RGBLed.pinB);
-       break;
-      case "white":
-       led_turn_on(this._RGBLed.pinR);
-       led_turn_on(this._RGBLed.pinG);
-       led_turn_on(this._RGBLed.pinB);
-       break;
-      case "random":
-       var randIdx = Math.floor(Math.random() * this._basic_colors.length);
-       color = this._basic_colors[randIdx];
-       this.changeColorRGBLed(color, function(color){});
-       break;
-      default:
-       winston.error("Unknowen color.");
-       callback(null);
+     this._assertCapability('shine_rgb');
+ 
+     if (callback == undefined) {
+         callback = function() {};
+     }
+ 
+     // pick the random color here, so we can tell the caller which one it was
+     if (color == "random") {
+         color = this.randomColor();
+     }
+ 
+     var rgb;
+     try {
+         rgb = this._normalizeColor(color);
+     } catch (err) {
+         winston.error(err.message);
+         callback(null);
+         return;
+     }
+ 
+     winston.verbose("TJBot shining my RGB led to RGB color " + rgb);
+ 
+     // a static color replaces any running animation
+     this._rgbLedAnimator.stop();
+     this._renderRGBLed(rgb);
+     this._RGBLed.color = rgb;
+ 
+     if (this._simulator) {
+         this._simulator.record('rgb_led', 'color', rgb);
      }
+     this.emit(TJBot.EVENTS.COLOR_CHANGED, {
+         led: 'rgb_led',
+         color: color
+     });
      callback(color);
  }
  
  /**
-  * Start pulsing led (if led is on).
+  * Start pulsing led (if led is on). The pulse runs as a breathe animation (see TJBot.prototype.breathe)
+  * and replaces any animation already running on the RGB led.
   *
-  * @param {context} is context object 
+  * @param {context} is context object with `ledOn` and `ledColor` (any color understood by TJBot.prototype._normalizeColor)
  */
  TJBot.prototype.pulseOnRGBLed = function(context, callback) {
-     if (context.ledPulsing) 
-         return  callback(null); // otherwise we would start several pulses...
+     this._assertCapability('shine_rgb');
+ 
+     if (callback == undefined) {
+         callback = function() {};
+     }
      if (!context.ledOn) {
          return  callback(null); //we have no color to pulse...
      }
  
-     var dutyCycle = 0;
-     var self = this;
-     self._RGBLed.pulseTimer = setInterval(function () {
-     var color = context.ledColor;
-     if (color == "red" || color == "yellow" || color == "magenta" || color == "white") self._RGBLed.pinR.pwmWrite(dutyCycle);
-     if (color == "green" || color == "yellow" || color == "cyan" || color == "white")  self._RGBLed.pinG.pwmWrite(dutyCycle);
-     if (color == "blue" || color == "magenta" || color == "cyan" || color == "white")  self._RGBLed.pinB.pwmWrite(dutyCycle);
- 
-     dutyCycle += 5;
-     if (dutyCycle > 255) {
-       dutyCycle = 0;
-     }
-   }, 20);
-   callback(true);
+     this._RGBLed.pulse = this.breathe(context.ledColor, {
+         led: 'rgb_led',
+         periodMs: 2000
+     });
+     callback(true);
  }
  
  /**
-  * Stop pulsing.
+  * Stop pulsing and return to the color the led had before.
   */
  TJBot.prototype.pulseOffRGBLed = function() {
-   clearInterval(this._RGBLed.pulseTimer);
+     this._assertCapability('shine_rgb');
+ 
+     var pulse = this._RGBLed.pulse;
+     this._RGBLed.pulse = undefined;
+ 
+     // leave the led alone if the pulse was already replaced by something else
+     if (pulse != undefined && pulse.running) {
+         pulse.cancel();
+         this._renderRGBLed(this._RGBLed.color || '#000000');
+     }
  }
  
  
@@ -1260,7 +2717,7 @@
  /** ------------------------------------------------------------------------ */
  
  /**
-  * Change the color of the LED.
+  * Change the color of the LED (all of its pixels).
   *
   * @param {String} color The color to use. Must be interpretable by TJBot.prototype._normalizeColor.
   */
@@ -1270,93 +2727,183 @@
      // convert to rgb
      var rgb = this._normalizeColor(color);
  
-     // convert hex to the 0xGGRRBB format for the LED
-     var grb = "0x" + rgb[3] + rgb[4] + rgb[1] + rgb[2] + rgb[5] + rgb[6];
- 
      // shine!
      winston.verbose("TJBot shining my LED to RGB color " + rgb);
  
-     // set the LED color
-     var colors = new Uint32Array(1);
-     colors[0] = parseInt(grb);
-     this._led.render(colors);
+     // a static color replaces any running animation
+     this._ledAnimator.stop();
+     this._renderLED(rgb);
+ 
+     this.emit(TJBot.EVENTS.COLOR_CHANGED, {
+         led: 'led',
+         color: rgb,
+         pixels: { start: 0, end: this._pixels.length }
+     });
  }
  
  /**
-  * Pulse the LED a single time.
-  * @param {String} color The color to pulse the LED.
-  * @param {Integer} duration The duration the pulse should last (default = 1 second, should be between 0.5 and 3 seconds)
+  * Internal method for setting the color of all pixels of the LED, used by shine() and by animations.
+  *
+  * @param {String} rgb The color in #RRGGBB format.
   */
- TJBot.prototype.pulse = function(color, duration = 1.0) {
+ TJBot.prototype._renderLED = function(rgb) {
+     this._pixels.fill(rgbToGrb(rgb));
+     this._led.render(this._pixels);
+ }
+ 
+ /**
+  * Set the color of a single pixel of the LED. The other pixels keep their colors.
+  *
+  * @param {Int} index The index of the pixel, starting at 0.
+  * @param {String} color The color to use. Must be interpretable by TJBot.prototype._normalizeColor.
+  */
+ TJBot.prototype.setPixel = function(index, color) {
+     this.setPixelRange(index, index + 1, color);
+ }
+ 
+ /**
+  * Set the color of a range of pixels of the LED. The other pixels keep their colors.
+  *
+  * @param {Int} start The index of the first pixel of the range.
+  * @param {Int} end The index after the last pixel of the range.
+  * @param {String} color The color to use. Must be interpretable by TJBot.prototype._normalizeColor.
+  */
+ TJBot.prototype.setPixelRange = function(start, end, color) {
      this._assertCapability('shine');
  
-     if (duration < 0.5) {
-         throw new Error("TJBot does not recommend pulsing for less than 0.5 seconds.");
-     }
-     if (duration > 2.0) {
-         throw new Error("TJBot does not recommend pulsing for more than 3 seconds.");
+     if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end > this._pixels.length || start >= end) {
+         throw new Error('TJBot cannot set pixels ' + start + ' to ' + end + ', the LED has pixels 0 to ' + (this._pixels.length - 1));
      }
  
-     // number of easing steps
-     var numSteps = 20;
+     var rgb = this._normalizeColor(color);
+     winston.verbose("TJBot shining pixels " + start + " to " + (end - 1) + " of my LED to RGB color " + rgb);
  
-     // quadratic in-out easing
-     var easeInOutQuad = function(t, b, c, d) {
-         if ((t /= d / 2) < 1) return c / 2 * t * t + b;
-         return -c / 2 * ((--t) * (t - 2) - 1) + b;
-     }
+     this._ledAnimator.stop();
+     this._pixels.fill(rgbToGrb(rgb), start, end);
+     this._led.render(this._pixels);
+ 
+     this.emit(TJBot.EVENTS.COLOR_CHANGED, {
+         led: 'led',
+         color: rgb,
+         pixels: { start: start, end: end }
+     });
+ }
+ 
+ /**
+  * Set the color of every pixel of the LED at once.
+  *
+  * @param {Array} colors One color per pixel, each interpretable by TJBot.prototype._normalizeColor.
+  */
+ TJBot.prototype.setPixels = function(colors) {
+     this._assertCapability('shine');
  
-     var ease = [];
-     for (var i = 0; i < numSteps; i++) {
-         ease.push(i);
+     if (!Array.isArray(colors) || colors.length != this._pixels.length) {
+         throw new Error('TJBot needs one color for each of the ' + this._pixels.length + ' pixels of the LED');
      }
  
-     ease = ease.map(function(x, i) {
-         return easeInOutQuad(i, 0, 1, ease.length);
+     var self = this;
+     var rgbs = colors.map(function(color) {
+         return self._normalizeColor(color);
+     });
+ 
+     this._ledAnimator.stop();
+     rgbs.forEach(function(rgb, i) {
+         self._pixels[i] = rgbToGrb(rgb);
      });
+     this._led.render(this._pixels);
  
-     // normalize to 'duration' msec
-     ease = ease.map(function(x) {
-         return Math.round(x * duration * 1000)
+     this.emit(TJBot.EVENTS.COLOR_CHANGED, {
+         led: 'led',
+         color: rgbs,
+         pixels: { start: 0, end: this._pixels.length }
      });
+ }
+ 
+ /**
+  * Get the colors of the pixels of the LED.
+  *
+  * Returns a list with the #RRGGBB color of each pixel.
+  */
+ TJBot.prototype.getPixels = function() {
+     this._assertCapability('shine');
+ 
+     return Array.from(this._pixels).map(grbToRgb);
+ }
+ 
+ /**
+  * Set the global brightness of the LED.
+  *
+  * @param {Number} brightness The brightness in the range [0.0, 1.0].
+  */
+ TJBot.prototype.setBrightness = function(brightness) {
+     this._assertCapability('shine');
  
-     // convert to deltas
-     var easeDelays = [];
-     for (var i = 0; i < ease.length - 1; i++) {
-         easeDelays[i] = ease[i + 1] - ease[i];
+     if (!(brightness >= 0.0 && brightness <= 1.0)) {
+         throw new Error('TJBot LED brightness must be in the range [0.0, 1.0]');
      }
  
-     // color ramp
-     var rgb = this._normalizeColor(color).slice(1); // remove the #
-     var hex = new cm.HexRgb(rgb);
+     this.configuration.shine.brightness = brightness;
+     this._setLEDBrightness(brightness);
+     this._led.render(this._pixels);
+ }
  
-     var colorRamp = [];
-     for (var i = 0; i < numSteps / 2; i++) {
-         var l = 0.0 + (i / (numSteps / 2)) * 0.5;
-         colorRamp[i] = hex.toHsl().lightness(l).toRgb().toHexString().replace('#', '0x');
+ /**
+  * Internal method for passing the brightness to the LED driver, which expects a value from 0 to 255.
+  *
+  * @param {Number} brightness The brightness in the range [0.0, 1.0].
+  */
+ TJBot.prototype._setLEDBrightness = function(brightness) {
+     if (typeof this._led.setBrightness == 'function') {
+         this._led.setBrightness(Math.round(Math.max(0, Math.min(1, brightness)) * 255));
      }
+ }
  
-     // capture context
-     var self = this;
+ //helper: convert #RRGGBB to the 0xGGRRBB format of the LED
+ function rgbToGrb(rgb) {
+     return parseInt(rgb.substr(3, 2) + rgb.substr(1, 2) + rgb.substr(5, 2), 16);
+ }
+ //helper: convert 0xGGRRBB to #RRGGBB
+ function grbToRgb(grb) {
+     var hex = ('000000' + grb.toString(16).toUpperCase()).slice(-6);
+     return '#' + hex.substr(2, 2) + hex.substr(0, 2) + hex.substr(4, 2);
+ }
  
-     // perform the ease
-     return new Promise(function(resolve, reject) {
-         for (var i = 0; i < easeDelays.length; i++) {
-             var color = i < colorRamp.length ?
-                 colorRamp[i] :
-                 colorRamp[colorRamp.length - 1 - (i - colorRamp.length) - 1];
-             self.shine(color);
-             self.sleep(easeDelays[i]);
-         }
-         resolve();
-     });
+ /**
+  * Pulse the LED a single time.
+  * @param {String} color The color to pulse the LED.
+  * @param {Integer} duration The duration the pulse should last (default = 1 second, should be between 0.5 and 3 seconds)
+  *
+  * Returns an animation handle (see TJBot.prototype.animate) that resolves when the pulse is over.
+  */
+ TJBot.prototype.pulse = function(color, duration = 1.0) {
+     this._assertCapability('shine');
+ 
+     if (duration < 0.5) {
+         throw new Error("TJBot does not recommend pulsing for less than 0.5 seconds.");
+     }
+     if (duration > 2.0) {
+         throw new Error("TJBot does not recommend pulsing for more than 3 seconds.");
+     }
+ 
+     // the pulse peaks at the fully saturated version of the color (50% lightness)
+     var hex = new cm.HexRgb(this._normalizeColor(color).slice(1));
+     var peak = hex.toHsl().lightness(0.5).toRgb().toHexString().toUpperCase();
+ 
+     var half = duration * 1000 / 2;
+     return this._playAnimation('led', 'pulse', [
+         { color: '#000000' },
+         { color: peak, durationMs: half, easing: 'easeInOutQuad' },
+         { color: '#000000', durationMs: half, easing: 'easeInOutQuad' }
+     ], {});
  }
  
  /**
-  * Get the list of colors recognized by TJBot.
+  * Get the list of colors recognized by TJBot. The same colors work for both the Neopixel and the RGB led.
   */
  TJBot.prototype.shineColors = function() {
-     this._assertCapability('shine');
+     if (!this._RGBLed) {
+         this._assertCapability('shine');
+     }
  
      return colorToHex.all().map(function(elt, i, array) {
          return elt['name'];
@@ -1367,7 +2914,9 @@
   * Get a random color.
   */
  TJBot.prototype.randomColor = function() {
-     this._assertCapability('shine');
+     if (!this._RGBLed) {
+         this._assertCapability('shine');
+     }
  
      var colors = this.shineColors();
      var randIdx = Math.floor(Math.random() * colors.length);
@@ -1425,46 +2974,379 @@
          rgb = '#' + rgb;
      }
  
-     // throw an error if we didn't understand this color
-     if (rgb.length != 7) {
-         throw new Error('TJBot did not understand the specified color "' + color + '"');
+     // throw an error if we didn't understand this color
+     if (rgb.length != 7) {
+         throw new Error('TJBot did not understand the specified color "' + color + '"');
+     }
+ 
+     return rgb;
+ }
+ 
+ /** ------------------------------------------------------------------------ */
+ /** ANIMATE                                                                  */
+ /** ------------------------------------------------------------------------ */
+ 
+ /**
+  * Play a custom keyframe animation on the LED.
+  *
+  * @param {Array} keyframes List of {color, durationMs, easing} objects. `color` is anything understood by
+  *        TJBot.prototype._normalizeColor, `durationMs` is the time to transition from the previous keyframe
+  *        (0 to jump) and `easing` is an easing name from lib/easing.js or a function.
+  * @param {Object} options Optional settings:
+  *        `led`: the LED to animate, 'rgb_led' or 'led' (default: the RGB led if fitted, otherwise the Neopixel),
+  *        `repeat`: number of times to play the keyframes (default 1, Infinity to loop),
+  *        `speed`: playback speed multiplier (default 1),
+  *        `easing`: easing for keyframes that don't specify one (default 'linear').
+  *
+  * Returns an animation handle. Awaiting it resolves to true when the animation completes, or to false when
+  * it is cancelled (`handle.cancel()`) or replaced by another animation or a static color on the same LED.
+  */
+ TJBot.prototype.animate = function(keyframes, options) {
+     options = options || {};
+ 
+     var self = this;
+     var normalized = (keyframes || []).map(function(keyframe) {
+         return Object.assign({}, keyframe, {
+             color: self._normalizeColor(keyframe.color)
+         });
+     });
+ 
+     return this._playAnimation(options.led, 'keyframes', normalized, options);
+ }
+ 
+ /**
+  * Breathe: fade in and out of a color, until cancelled.
+  *
+  * @param {String} color The color to use. Must be interpretable by TJBot.prototype._normalizeColor.
+  * @param {Object} options Optional settings: `periodMs` (duration of one breath, default 2000), plus the options of TJBot.prototype.animate.
+  */
+ TJBot.prototype.breathe = function(color, options) {
+     options = Object.assign({ repeat: Infinity }, options);
+     var keyframes = Animator.animations.breathe(this._normalizeColor(color), options);
+     return this._playAnimation(options.led, 'breathe', keyframes, options);
+ }
+ 
+ /**
+  * Blink a color on and off, until cancelled.
+  *
+  * @param {String} color The color to use. Must be interpretable by TJBot.prototype._normalizeColor.
+  * @param {Object} options Optional settings: `onMs` (default 500), `offMs` (default `onMs`), plus the options of TJBot.prototype.animate.
+  */
+ TJBot.prototype.blink = function(color, options) {
+     options = Object.assign({ repeat: Infinity }, options);
+     var keyframes = Animator.animations.blink(this._normalizeColor(color), options);
+     return this._playAnimation(options.led, 'blink', keyframes, options);
+ }
+ 
+ /**
+  * Fade from one color to another.
+  *
+  * @param {String} fromColor The starting color. Must be interpretable by TJBot.prototype._normalizeColor.
+  * @param {String} toColor The final color. Must be interpretable by TJBot.prototype._normalizeColor.
+  * @param {Object} options Optional settings: `durationMs` (default 1000), plus the options of TJBot.prototype.animate.
+  */
+ TJBot.prototype.fade = function(fromColor, toColor, options) {
+     options = Object.assign({}, options);
+     var keyframes = Animator.animations.fade(this._normalizeColor(fromColor), this._normalizeColor(toColor), options);
+     return this._playAnimation(options.led, 'fade', keyframes, options);
+ }
+ 
+ /**
+  * Cycle through the colors of the rainbow, until cancelled.
+  *
+  * @param {Object} options Optional settings: `periodMs` (duration of one cycle, default 6000), plus the options of TJBot.prototype.animate.
+  */
+ TJBot.prototype.rainbow = function(options) {
+     options = Object.assign({ repeat: Infinity }, options);
+     var keyframes = Animator.animations.rainbow(options);
+     return this._playAnimation(options.led, 'rainbow', keyframes, options);
+ }
+ 
+ /**
+  * Stop the animation running on an LED. The LED keeps its current color.
+  *
+  * @param {String} led The LED, 'rgb_led' or 'led'. If omitted, animations on all LEDs are stopped.
+  */
+ TJBot.prototype.stopAnimation = function(led) {
+     if ((led == undefined || led == 'led') && this._ledAnimator) {
+         this._ledAnimator.stop();
+     }
+     if ((led == undefined || led == 'rgb_led') && this._rgbLedAnimator) {
+         this._rgbLedAnimator.stop();
+     }
+ }
+ 
+ /**
+  * Internal method for playing an animation on one of the LEDs.
+  *
+  * @param {String} led The LED, 'rgb_led' or 'led'. If undefined, the RGB led is used if fitted, otherwise the Neopixel.
+  * @param {String} name The name of the animation.
+  * @param {Array} keyframes The keyframes, with colors in #RRGGBB format.
+  * @param {Object} options The animation options (see TJBot.prototype.animate).
+  */
+ TJBot.prototype._playAnimation = function(led, name, keyframes, options) {
+     if (led == undefined) {
+         led = this._RGBLed ? 'rgb_led' : 'led';
+     }
+ 
+     var animator;
+     if (led == 'rgb_led') {
+         this._assertCapability('shine_rgb');
+         animator = this._rgbLedAnimator;
+     } else if (led == 'led') {
+         this._assertCapability('shine');
+         animator = this._ledAnimator;
+     } else {
+         throw new Error('TJBot can only animate the "led" or the "rgb_led", not "' + led + '"');
+     }
+ 
+     winston.verbose("TJBot playing the " + name + " animation on the " + led);
+ 
+     var handle = animator.play(keyframes, {
+         name: name,
+         repeat: options.repeat,
+         speed: options.speed,
+         easing: options.easing
+     });
+ 
+     this.emit(TJBot.EVENTS.ANIMATION_STARTED, {
+         led: led,
+         name: name
+     });
+ 
+     var self = this;
+     handle.then(function(completed) {
+         self.emit(TJBot.EVENTS.ANIMATION_ENDED, {
+             led: led,
+             name: name,
+             completed: completed
+         });
+     });
+ 
+     return handle;
+ }
+ 
+ /** ------------------------------------------------------------------------ */
+ /** SPEAK                                                                    */
+ /** ------------------------------------------------------------------------ */
+ 
+ /**
+  * Speak the given message.
+  *
+  * @param {String|Array} message The message to speak: text, SSML starting with a <speak> element, or a list
+  *        of segments with pauses and settings of their own (see lib/ssml.js).
+  * @param {Object} options Optional settings: `rate`, `pitch`, `volume`, `emphasis`, `sayAs` and `format`
+  *        (see lib/ssml.js), which TJBot turns into SSML, or `ssml: true` to speak SSML without a <speak> element.
+  *        SSML is validated before it is sent. `priority` and `interrupt` place the utterance in the playback
+  *        queue (see TJBot.prototype.play).
+  *
+  * Returns a Promise that resolves when the utterance has been played: with true when it played to the end, or
+  * with false when it was stopped (see TJBot.prototype.stopSpeaking) or dropped (see TJBot.prototype.clearQueue).
+  */
+  TJBot.prototype.speak = async function (message, options) {
+     this._assertCapability('speak');
+ 
+     // make sure we're trying to say something
+     if (message == undefined || message == "") {
+         winston.error("TJBot tried to speak an empty message.");
+         return; // exit if theres nothing to say!
+     }
+ 
+     options = options || {};
+ 
+     const text = this._speechText(message, options);
+     if (typeof message != 'string') {
+         message = ssml.plainText(text);
+     }
+ 
+     // capture 'this' context
+     var self = this;
+ 
+     // synthesize right away, so the audio is ready by the time the utterance gets its turn
+     const prepared = (async function() {
+         const voice = await self._speechVoice();
+         winston.verbose("TJBot speaking with voice " + voice);
+ 
+         var utterance = {
+             text: text,
+             voice: voice,
+             accept: 'audio/mp3'
+         };
+ 
+         return {
+             voice: voice,
+             speech: await self._synthesize(utterance)
+         };
+     })();
+ 
+     // a failed synthesis is reported when the utterance gets its turn
+     prepared.catch(function() {});
+ 
+     var stopped = false;
+     var playback;
+ 
+     try {
+         return await this._playbackQueue.enqueue({
+             start: async function() {
+                 const ready = await prepared;
+                 if (stopped) {
+                     return false;
+                 }
+ 
+                 // now play it
+                 winston.info(`TJBot speaking: ${text == message ? message : ssml.plainText(text)}`);
+                 self.emit(TJBot.EVENTS.SPEAK_START, {
+                     message: message,
+                     voice: ready.voice
+                 });
+ 
+                 playback = self._playSound(ready.speech.filePath);
+                 const completed = await playback.done;
+ 
+                 self.emit(TJBot.EVENTS.SPEAK_END, {
+                     message: message,
+                     voice: ready.voice
+                 });
+                 return completed;
+             },
+             stop: function() {
+                 stopped = true;
+                 if (playback != undefined) {
+                     playback.stop();
+                 }
+             }
+         }, {
+             priority: options.priority,
+             interrupt: options.interrupt
+         });
+     } finally {
+         // remove a temp file once it has been played
+         prepared.then(function(ready) {
+             if (ready.speech.temporary) {
+                 fs.unlink(ready.speech.filePath, function() {});
+             }
+         }, function() {});
+     }
+ }
+ 
+ /**
+  * Stop the utterance or sound that is playing. What is queued after it plays next.
+  *
+  * Returns whether something was stopped.
+  */
+ TJBot.prototype.stopSpeaking = function() {
+     if (this._playbackQueue == undefined) {
+         return false;
+     }
+ 
+     var stopped = this._playbackQueue.stopCurrent();
+     if (stopped) {
+         winston.verbose("TJBot stopped speaking");
+     }
+     return stopped;
+ }
+ 
+ /**
+  * Drop the utterances and sounds waiting in the playback queue. What is playing goes on; call
+  * stopSpeaking() as well to go quiet right away.
+  *
+  * Returns the number of utterances and sounds dropped.
+  */
+ TJBot.prototype.clearQueue = function() {
+     if (this._playbackQueue == undefined) {
+         return 0;
+     }
+ 
+     var dropped = this._playbackQueue.clear();
+     winston.verbose("TJBot dropped " + dropped + " queued utterances and sounds");
+     return dropped;
+ }
+ 
+ /**
+  * Synthesize phrases ahead of time and keep them in the speech cache (see speak.cache), so speaking
+  * them later doesn't wait for text to speech and works offline.
+  *
+  * @param {Array} phrases The phrases, e.g. ['Hello!', 'Goodbye!'], as they are passed to speak().
+  * @param {Object} options The options they are spoken with (see TJBot.prototype.speak).
+  *
+  * Returns a list of {text, filePath, cached}, where cached tells whether the phrase was already in the cache.
+  */
+ TJBot.prototype.prewarmSpeech = async function(phrases, options) {
+     this._assertCapability('speak');
+ 
+     if (this._speechCache() == undefined) {
+         throw new Error('TJBot can only prewarm speech with the speech cache enabled, see speak.cache');
+     }
+ 
+     const voice = await this._speechVoice();
+     var prewarmed = [];
+ 
+     for (const phrase of [].concat(phrases)) {
+         if (phrase == undefined || phrase == "") {
+             continue;
+         }
+ 
+         const speech = await this._synthesize({
+             text: this._speechText(phrase, options),
+             voice: voice,
+             accept: 'audio/mp3'
+         });
+ 
+         prewarmed.push({
+             text: phrase,
+             filePath: speech.filePath,
+             cached: speech.cached
+         });
      }
  
-     return rgb;
+     winston.verbose("TJBot prewarmed " + prewarmed.length + " phrases");
+     return prewarmed;
  }
  
- /** ------------------------------------------------------------------------ */
- /** SPEAK                                                                    */
- /** ------------------------------------------------------------------------ */
- 
  /**
-  * Speak the given message.
+  * Internal method for getting the text to send to text to speech for a message: plain text as is,
+  * SSML validated, and the other messages turned into SSML (see lib/ssml.js).
   *
-  * @param {String} message The message to speak.
+  * @param {String|Array} message The message (see TJBot.prototype.speak).
+  * @param {Object} options The speak options.
   */
-  TJBot.prototype.speak = async function (message) {
-     this._assertCapability('speak');
+ TJBot.prototype._speechText = function(message, options) {
+     options = options || {};
  
-     // make sure we're trying to say something
-     if (message == undefined || message == "") {
-         winston.error("TJBot tried to speak an empty message.");
-         return; // exit if theres nothing to say!
+     if (typeof message == 'string' && (ssml.isSSML(message) || options.ssml == true)) {
+         if (ssml.needsSSML(message, options)) {
+             throw new Error('TJBot can not apply speak options to SSML, put the settings in the SSML instead');
+         }
+ 
+         var text = ssml.isSSML(message) ? message : '<speak>' + message + '</speak>';
+         ssml.validate(text);
+         return text;
+     }
+ 
+     if (ssml.needsSSML(message, options)) {
+         return ssml.build(message, options);
      }
  
+     return String(message);
+ }
+ 
+ /**
+  * Internal method for choosing the voice to speak with: speak.voice, or else a voice for speak.language
+  * and robot.gender.
+  */
+ TJBot.prototype._speechVoice = async function() {
      // load voices if they haven't been loaded yet
      if (!this._ttsVoices) {
          winston.verbose('loading TTS voices…');
-         const body = await this._tts.listVoices();
-         winston.silly(`response from _tts.listVoices(): ${JSON.stringify(body)}`);
-         this._ttsVoices = body.result.voices;
+         await this._loadVoices();
          winston.verbose('TTS voices loaded');
      }
  
      // default voice
      let voice = 'en-US_MichaelV3Voice';
  
-      // check to see if the user has specified a voice
-      if (this.configuration.speak.voice != undefined) {
+     // check to see if the user has specified a voice
+     if (this.configuration.speak.voice != undefined) {
          voice = this.configuration.speak.voice;
      } else {
          // choose a voice based on robot.gender and speak.language
@@ -1478,22 +3360,81 @@
              }
          }
      }
-     
-     winston.verbose("TJBot speaking with voice " + voice);
  
-     var utterance = {
-         text: message,
-         voice: voice,
-         accept: 'audio/mp3'
-     };
-     
+     return voice;
+ }
+ 
+ /**
+  * Internal method for loading the list of TTS voices. With the speech cache enabled, the list is
+  * kept in the cache and used when text to speech can't be reached.
+  *
+  * Returns the voices.
+  */
+ TJBot.prototype._loadVoices = async function() {
+     var cache = this._speechCache();
+ 
+     try {
+         const voices = await this._tts.listVoices();
+         winston.silly(`response from _tts.listVoices(): ${JSON.stringify(voices)}`);
+         this._ttsVoices = voices;
+ 
+         if (cache != undefined) {
+             cache.putDocument('voices', voices);
+         }
+     } catch (err) {
+         var cachedVoices = cache != undefined ? cache.getDocument('voices') : undefined;
+         if (cachedVoices == undefined) {
+             throw err;
+         }
+ 
+         winston.warn("TJBot could not load the TTS voices (" + err.message + "), using the cached list");
+         this._ttsVoices = cachedVoices;
+     }
+ 
+     return this._ttsVoices;
+ }
+ 
+ /**
+  * Internal method for getting the audio of an utterance: from the speech cache when it is enabled and has
+  * the utterance, else from text to speech, stored in the cache or in a temp file.
+  *
+  * @param {Object} utterance The synthesis parameters {text, voice, accept}.
+  *
+  * Returns {filePath, cached, temporary}: where the audio is, whether it came from the cache and
+  * whether it is a temp file to remove after use.
+  */
+ TJBot.prototype._synthesize = async function(utterance) {
+     var cache = this._speechCache();
+ 
+     if (cache != undefined) {
+         var cachedPath = cache.get(utterance);
+         if (cachedPath != undefined) {
+             winston.verbose("TJBot found the speech in the cache: " + cachedPath);
+             return {
+                 filePath: cachedPath,
+                 cached: true,
+                 temporary: false
+             };
+         }
+     }
+ 
+     const speechAudio = await this._tts.synthesize(utterance);
+ 
+     if (cache != undefined) {
+         return {
+             filePath: await cache.put(utterance, speechAudio),
+             cached: false,
+             temporary: false
+         };
+     }
+ 
      const info = temp.openSync('tjbot');
-     const response = await this._tts.synthesize(utterance);
+     fs.closeSync(info.fd);
  
      // pipe the audio buffer to a file
      winston.silly('writing audio buffer to temp file', info.path);
      const fd = fs.createWriteStream(info.path);
-     response.result.pipe(fd);
+     speechAudio.pipe(fd);
  
      // wait for the pipe to finish writing
      const end = new Promise((resolve, reject) => {
@@ -1502,10 +3443,35 @@
      });
      await end;
  
-     // now play it
-     winston.info(`TJBot speaking: ${message}`);
-     await this.play(info.path);
+     return {
+         filePath: info.path,
+         cached: false,
+         temporary: true
+     };
+ }
+ 
+ /**
+  * Internal method for getting the speech cache, following speak.cache.
+  *
+  * Returns the cache, or undefined when it is disabled.
+  */
+ TJBot.prototype._speechCache = function() {
+     var settings = Object.assign({}, TJBot.prototype.defaultConfiguration.speak.cache, this.configuration.speak.cache);
+     if (!settings.enabled) {
+         return undefined;
+     }
+ 
+     var directory = settings.directory || path.join(os.homedir(), '.tjbot', 'speech-cache');
+     if (this._ttsCache == undefined || this._ttsCache.options.directory != directory) {
+         winston.verbose("TJBot keeping synthesized speech in " + directory);
+         this._ttsCache = new SpeechCache({
+             directory: directory,
+             maxBytes: settings.maxBytes
+         });
+     }
+     this._ttsCache.options.maxBytes = settings.maxBytes;
  
+     return this._ttsCache;
  }
  
  
@@ -1571,13 +3537,60 @@
  */
  
  /**
-  * Play a given sound file.
+  * Play a given sound file. Sounds and utterances play one at a time, in the order they were queued:
+  * the highest priority first, and in the order of the calls within a priority.
   *
   * @param {String} soundFile The sound file to be played .
+  * @param {Object} options Optional settings:
+  *        `priority`: a number, higher plays first (default 0),
+  *        `interrupt`: true to stop what is playing if it has a lower priority.
+  *
+  * Returns a Promise that resolves when the sound has been played: with true when it played to the end, or
+  * with false when it was stopped (see TJBot.prototype.stopSpeaking) or dropped (see TJBot.prototype.clearQueue).
   */
+ TJBot.prototype.play = async function(soundFile, options) {
+     // if we don't have a speaker, throw an error
+     if (this._soundplayer === undefined) {
+         throw new Error('unable to play audio, TJBot hardware doesn\'t include a "speaker"');
+     }
+ 
+     options = options || {};
+ 
+     // capture 'this' context
+     var self = this;
+ 
+     var stopped = false;
+     var playback;
  
-  TJBot.prototype.play = async function(soundFile){
+     return this._playbackQueue.enqueue({
+         start: function() {
+             if (stopped) {
+                 return false;
+             }
+             playback = self._playSound(soundFile);
+             return playback.done;
+         },
+         stop: function() {
+             stopped = true;
+             if (playback != undefined) {
+                 playback.stop();
+             }
+         }
+     }, {
+         priority: options.priority,
+         interrupt: options.interrupt
+     });
+ }
  
+ /**
+  * Internal method for playing a sound file right away, bypassing the playback queue.
+  *
+  * @param {String} soundFile The sound file to be played.
+  *
+  * Returns {done, stop}: a Promise that resolves with true when playback completes (or with false when it
+  * is stopped) and rejects when it fails, and a function stopping playback.
+  */
+ TJBot.prototype._playSound = function(soundFile) {
      var self = this;
  
      // pause listening while we play a sound -- using the internal
@@ -1585,95 +3598,500 @@
      // isn't configured to listen)
      self._pauseListening();
  
-     // if we don't have a speaker, throw an error
-     if (this._soundplayer === undefined) {
-         throw new Error('unable to play audio, TJBot hardware doesn\'t include a "speaker"');
+     var speakerOptions = {
+         filename: soundFile,
+         //gain: 100,
+         debug: true,
+         player: "mpg123", // "afplay" "aplay" "mpg123" "mpg321"
+         device: self.configuration.speak.speakerDeviceId
+     }
+ 
+     var player = new self._soundplayer(speakerOptions);
+ 
+     winston.debug("Playing audio with parameters: ", speakerOptions);
+ 
+     var finished = false;
+     var finish;
+ 
+     // wait for the audio to finish playing, either by completing playback, by being stopped or by an error
+     var done = new Promise(function(resolve, reject) {
+         finish = function(err, completed) {
+             if (finished) {
+                 return;
+             }
+             finished = true;
+ 
+             // resume listening
+             self._resumeListening();
+             self.emit(TJBot.EVENTS.PLAY_END, {
+                 soundFile: soundFile
+             });
+ 
+             if (err) {
+                 reject(err);
+             } else {
+                 resolve(completed);
+             }
+         };
+     });
+ 
+     player.on('complete', () => {
+         winston.silly('audio playback finished');
+         finish(null, true);
+     });
+ 
+     player.on('error', (err) => {
+         winston.error('error occurred while playing audio', err);
+         finish(err);
+     });
+ 
+     // play the audio
+     player.play(soundFile);
+     self.emit(TJBot.EVENTS.PLAY_START, {
+         soundFile: soundFile
+     });
+ 
+     return {
+         done: done,
+         stop: function() {
+             winston.silly('audio playback stopped');
+             player.stop();
+             finish(null, false);
+         }
+     };
+ }
+ 
+ 
+ /*
+ TJBot.prototype.play = function(soundFile) {
+     // capture 'this' context
+     var self = this;
+ 
+     // pause listening while we play a sound -- using the internal
+     // method to avoid a capability check (and potential fail if the TJBot
+     // isn't configured to listen)
+     self._pauseListening();
+ 
+     return new Promise(function(resolve, reject) {
+         // if we don't have a speaker, throw an error
+         if (self._soundplayer == undefined) {
+             reject(new Error("unable to play audio, TJBot hardware doesn't include a \"speaker\""));
+             return;
+         }
+ 
+         // initialize soundplayer lib
+         var speakerOptions = {
+             filename: soundFile,
+             gain: 100,
+             debug: true,
+             player: "mpg123", // "afplay" "aplay" "mpg123" "mpg321"
+             device: self.configuration.speak.speakerDeviceId
+         }
+         var player = new self._soundplayer(speakerOptions);
+ 
+         winston.debug("Playing audio with parameters: ", speakerOptions);
+ 
+         player.on('complete', function() {
+             winston.debug("audio playback finished");
+ 
+             // resume listening
+             self._resumeListening();
+ 
+             // done
+             resolve();
+         });
+ 
+         player.on('error', function(err) {
+             winston.error('Error occurred while playing audio :', err);
+         });
+ 
+         // play the audio
+         player.play(soundFile);
+     });
+ }
+ 
+ */
+ 
+ 
+ /** ------------------------------------------------------------------------ */
+ /** TRANSCRIBE                                                               */
+ /** ------------------------------------------------------------------------ */
+ 
+ /**
+  * Transcribe an audio file with the speech to text service, e.g. a recording made with record() or
+  * fixture audio for testing recognition accuracy.
+  *
+  * @param {String|Buffer} input Path of the audio file, or its contents. WAV, MP3, FLAC and OGG are supported.
+  * @param {Object} options Optional settings:
+  *        `language`: the language spoken (default listen.language),
+  *        `customizationId`: the custom language model to use (default listen.customization_id for listen.language),
+  *        `model`: the model (default listen.model),
+  *        `maxAlternatives`, `timestamps`, `speakerLabels`, `minConfidence` and `lowConfidence`: as in listen() in object mode.
+  *
+  * Returns {transcript, results}: the transcripts of all utterances joined, and a result object per utterance
+  * (see lib/recognition.js), as delivered by listen() in object mode.
+  */
+ TJBot.prototype.transcribe = async function(input, options) {
+     this._assertCapability('transcribe');
+ 
+     // capture 'this' context
+     var self = this;
+ 
+     options = Object.assign({
+         language: this.configuration.listen.language
+     }, options);
+ 
+     var buffer = Buffer.isBuffer(input) ? input : await fs.promises.readFile(input);
+     var contentType = audio.detectContentType(buffer);
+     if (contentType == undefined) {
+         throw new Error('TJBot can only transcribe WAV, MP3, FLAC or OGG audio' + (Buffer.isBuffer(input) ? '' : ', not "' + input + '"'));
+     }
+ 
+     var params = this._recognizeParams(options.language, Object.assign({}, options, {
+         objectMode: true
+     }));
+     params.contentType = contentType;
+     delete params.interimResults;
+     delete params.inactivityTimeout;
+ 
+     if (options.model != undefined) {
+         params.model = recognition.resolveModel(options.language, options.model).name;
+     }
+     if (options.customizationId != undefined) {
+         params.customizationId = options.customizationId;
+     }
+     if (!params.customizationId) {
+         delete params.customizationId;
+     }
+ 
+     var results = [];
+     var assembler = new recognition.ResultAssembler({
+         speakerLabels: params.speakerLabels,
+         minConfidence: options.minConfidence != undefined ? options.minConfidence : this.configuration.listen.minConfidence || 0,
+         lowConfidence: options.lowConfidence || this.configuration.listen.lowConfidence || 'drop'
+     }, function(result) {
+         results.push(result);
+     });
+ 
+     try {
+         if (typeof this._stt.recognize == 'function') {
+             var batchParams = Object.assign({ audio: buffer }, params);
+             delete batchParams.objectMode;
+             assembler.push(await this._stt.recognize(batchParams));
+         } else {
+             // providers without batch recognition get the file through a recognize stream
+             await new Promise(function(resolve, reject) {
+                 var recognizeStream = self._stt.recognizeStream(params);
+                 recognizeStream.on('data', function(message) {
+                     assembler.push(message);
+                 });
+                 recognizeStream.on('end', resolve);
+                 recognizeStream.on('error', reject);
+                 recognizeStream.end(buffer);
+             });
+         }
+     } catch (err) {
+         winston.error("the speech_to_text service returned an error.", err);
+         this._serviceError('speech_to_text', err);
+         throw err;
+     }
+     assembler.flush();
+ 
+     var transcription = {
+         transcript: results.map(function(result) {
+             return result.transcript;
+         }).join(' '),
+         results: results
+     };
+ 
+     winston.verbose("TJBot transcribed: " + transcription.transcript);
+     this.emit(TJBot.EVENTS.TRANSCRIBED, transcription);
+ 
+     return transcription;
+ }
+ 
+ /** ------------------------------------------------------------------------ */
+ /** SPEECH MODELS                                                            */
+ /** ------------------------------------------------------------------------ */
+ 
+ /**
+  * Custom speech models teach speech to text the words of a recipe: names, jargon and how they are
+  * pronounced. A typical recipe creates a model, adds a corpus of example sentences and some words,
+  * and trains it; TJBot then listens with the trained model:
+  *
+  *      var model = await tj.createSpeechModel('kitchen');
+  *      await tj.addSpeechCorpus(model.customizationId, 'recipes', './recipes.txt');
+  *      await tj.addSpeechWords(model.customizationId, [{word: 'TJBot', soundsLike: ['tee jay bot']}]);
+  *      await tj.trainSpeechModel(model.customizationId);
+  *      tj.listen(callback);
+  *
+  * The methods return model objects {customizationId, name, language, baseModelName, description,
+  * status, progress, error}, where status is 'pending', 'ready', 'training', 'available', 'upgrading' or 'failed'.
+  */
+ 
+ /**
+  * Create a custom speech model.
+  *
+  * @param {String} name The name of the model.
+  * @param {Object} options Optional settings:
+  *        `language`: the language of the model (default listen.language),
+  *        `baseModel`: the model it customizes, a model family or a full model name (default listen.model),
+  *        `description`: a description of the model,
+  *        `dialect`: the dialect of the language, for Spanish models.
+  *
+  * Returns the model.
+  */
+ TJBot.prototype.createSpeechModel = async function(name, options) {
+     this._assertCapability('customize_listen');
+ 
+     options = options || {};
+     var language = options.language || this.configuration.listen.language;
+     var baseModel = options.baseModel != undefined ?
+         recognition.resolveModel(language, options.baseModel) : this._sttModel(language);
+ 
+     var model = await this._speechModelRequest('createLanguageModel', {
+         name: name,
+         baseModelName: baseModel.name,
+         description: options.description,
+         dialect: options.dialect
+     });
+ 
+     winston.info("TJBot created the custom speech model " + name + " (" + model.customizationId + ")");
+     return model;
+ }
+ 
+ /**
+  * Add a corpus to a custom speech model: text with sentences like the ones TJBot should recognize.
+  * The service picks the new words from it; the model is 'ready' to be trained once it is analyzed.
+  *
+  * @param {String} customizationId The id of the model.
+  * @param {String} corpusName The name of the corpus.
+  * @param {String|Buffer} corpus Path of a plain text file, or the text itself in a Buffer (a string is always a path).
+  * @param {Object} options Optional settings: `allowOverwrite` to replace a corpus with the same name (default false).
+  */
+ TJBot.prototype.addSpeechCorpus = async function(customizationId, corpusName, corpus, options) {
+     this._assertCapability('customize_listen');
+ 
+     options = options || {};
+     if (!Buffer.isBuffer(corpus)) {
+         await fs.promises.access(corpus, fs.constants.R_OK);
+         corpus = fs.createReadStream(corpus);
      }
  
-     var speakerOptions = {
-         filename: soundFile,
-         //gain: 100,
-         debug: true,
-         player: "mpg123", // "afplay" "aplay" "mpg123" "mpg321"
-         device: self.configuration.speak.speakerDeviceId
-     }
+     await this._speechModelRequest('addCorpus', {
+         customizationId: customizationId,
+         corpusName: corpusName,
+         corpusFile: corpus,
+         allowOverwrite: options.allowOverwrite == true
+     });
+ 
+     winston.verbose("TJBot added the corpus " + corpusName + " to the custom speech model " + customizationId);
+ }
+ 
+ /**
+  * Add words to a custom speech model, with how they sound and how to write them.
+  *
+  * @param {String} customizationId The id of the model.
+  * @param {Array} words The words: strings, or {word, soundsLike, displayAs} where soundsLike lists up to
+  *        five pronunciations spelled as words (e.g. ['tee jay bot']) and displayAs is how to write the word
+  *        in transcripts.
+  */
+ TJBot.prototype.addSpeechWords = async function(customizationId, words) {
+     this._assertCapability('customize_listen');
+ 
+     words = [].concat(words).map(function(word) {
+         if (typeof word == 'string') {
+             word = { word: word };
+         }
+         if (!word.word) {
+             throw new Error('a word added to a custom speech model needs a `word`');
+         }
+         return {
+             word: word.word,
+             soundsLike: word.soundsLike != undefined ? [].concat(word.soundsLike) : undefined,
+             displayAs: word.displayAs
+         };
+     });
+ 
+     await this._speechModelRequest('addWords', {
+         customizationId: customizationId,
+         words: words
+     });
  
-     var player = new self._soundplayer(speakerOptions);
+     winston.verbose("TJBot added " + words.length + " words to the custom speech model " + customizationId);
+ }
  
-     winston.debug("Playing audio with parameters: ", speakerOptions);
+ /**
+  * Train a custom speech model. TJBot waits for the corpora and words to be analyzed, starts training
+  * and by default waits for the training to finish and then listens with the model.
+  *
+  * @param {String} customizationId The id of the model.
+  * @param {Object} options Optional settings:
+  *        `wait`: wait for the training to finish (default true),
+  *        `use`: listen with the model once it is trained (default true; see TJBot.prototype.useSpeechModel),
+  *        `pollIntervalMs` and `timeoutMs`: see TJBot.prototype.waitForSpeechModel.
+  *
+  * Returns the model; trained, unless `wait` is false.
+  */
+ TJBot.prototype.trainSpeechModel = async function(customizationId, options) {
+     this._assertCapability('customize_listen');
  
-     // capture 'this' context
-     player.on('complete', () => {
-         winston.silly('audio playback finished');
+     options = Object.assign({
+         wait: true,
+         use: true
+     }, options);
  
-         // resume listening
-         self._resumeListening();
-     });
+     // the service only trains once everything that was added is analyzed
+     await this.waitForSpeechModel(customizationId, Object.assign({}, options, {
+         status: ['ready', 'available']
+     }));
  
-     player.on('error', (err) => {
-         winston.error('error occurred while playing audio', err);
+     await this._speechModelRequest('trainLanguageModel', {
+         customizationId: customizationId
      });
+     winston.info("TJBot started training the custom speech model " + customizationId);
  
-     // play the audio
-     player.play(soundFile);
+     if (!options.wait) {
+         return this.getSpeechModel(customizationId);
+     }
  
-     // wait for the audio to finish playing, either by completing playback or by throwing an error
-     //await Promise.race([once(player, 'complete'), once(player, 'error')]);
+     var model = await this.waitForSpeechModel(customizationId, Object.assign({}, options, {
+         status: 'available'
+     }));
  
+     winston.info("TJBot trained the custom speech model " + customizationId);
+     this.emit(TJBot.EVENTS.SPEECH_MODEL_TRAINED, model);
  
- }
+     if (options.use) {
+         var listenModel = this._sttModel(this.configuration.listen.language).name;
+         if (model.baseModelName != undefined && model.baseModelName != listenModel) {
+             winston.warn("the custom speech model " + customizationId + " customizes " + model.baseModelName +
+                 ", but TJBot listens with " + listenModel + "; set listen.language and listen.model to match");
+         }
+         this.useSpeechModel(customizationId);
+     }
  
+     return model;
+ }
  
- /*
- TJBot.prototype.play = function(soundFile) {
-     // capture 'this' context
-     var self = this;
+ /**
+  * Get a custom speech model, e.g. to check its status.
+  *
+  * @param {String} customizationId The id of the model.
+  *
+  * Returns the model.
+  */
+ TJBot.prototype.getSpeechModel = async function(customizationId) {
+     this._assertCapability('customize_listen');
  
-     // pause listening while we play a sound -- using the internal
-     // method to avoid a capability check (and potential fail if the TJBot
-     // isn't configured to listen)
-     self._pauseListening();
+     return this._speechModelRequest('getLanguageModel', customizationId);
+ }
  
-     return new Promise(function(resolve, reject) {
-         // if we don't have a speaker, throw an error
-         if (self._soundplayer == undefined) {
-             reject(new Error("unable to play audio, TJBot hardware doesn't include a \"speaker\""));
-             return;
+ /**
+  * Wait for a custom speech model to get a status, polling the service.
+  *
+  * @param {String} customizationId The id of the model.
+  * @param {Object} options Optional settings:
+  *        `status`: the status to wait for, or a list of them (default 'available'),
+  *        `pollIntervalMs`: how often to check the status (default 10000),
+  *        `timeoutMs`: how long to wait at most (default 1800000, training can take a while).
+  *
+  * Returns the model; rejects when it failed or the time is up.
+  */
+ TJBot.prototype.waitForSpeechModel = async function(customizationId, options) {
+     this._assertCapability('customize_listen');
+ 
+     options = Object.assign({
+         status: 'available',
+         pollIntervalMs: 10000,
+         timeoutMs: 1800000
+     }, options);
+ 
+     var statuses = [].concat(options.status);
+     var deadline = Date.now() + options.timeoutMs;
+ 
+     for (;;) {
+         var model = await this.getSpeechModel(customizationId);
+         winston.verbose("the custom speech model " + customizationId + " is " + model.status +
+             (model.progress ? " (" + model.progress + "%)" : ""));
+         this.emit(TJBot.EVENTS.SPEECH_MODEL_STATUS, model);
+ 
+         if (statuses.indexOf(model.status) != -1) {
+             return model;
          }
- 
-         // initialize soundplayer lib
-         var speakerOptions = {
-             filename: soundFile,
-             gain: 100,
-             debug: true,
-             player: "mpg123", // "afplay" "aplay" "mpg123" "mpg321"
-             device: self.configuration.speak.speakerDeviceId
+         if (model.status == 'failed') {
+             throw new Error('the custom speech model ' + customizationId + ' failed' + (model.error ? ': ' + model.error : ''));
+         }
+         if (Date.now() + options.pollIntervalMs > deadline) {
+             throw new Error('the custom speech model ' + customizationId + ' is still ' + model.status +
+                 ' after ' + options.timeoutMs + ' ms');
          }
-         var player = new self._soundplayer(speakerOptions);
  
-         winston.debug("Playing audio with parameters: ", speakerOptions);
+         await Promise.delay(options.pollIntervalMs);
+     }
+ }
  
-         player.on('complete', function() {
-             winston.debug("audio playback finished");
+ /**
+  * List the custom speech models.
+  *
+  * @param {String} language Only list the models of this language (optional).
+  *
+  * Returns a list of models.
+  */
+ TJBot.prototype.listSpeechModels = async function(language) {
+     this._assertCapability('customize_listen');
  
-             // resume listening
-             self._resumeListening();
+     return this._speechModelRequest('listLanguageModels', language);
+ }
  
-             // done
-             resolve();
-         });
+ /**
+  * Delete a custom speech model. If TJBot listens with it, it goes back to the base model.
+  *
+  * @param {String} customizationId The id of the model.
+  */
+ TJBot.prototype.deleteSpeechModel = async function(customizationId) {
+     this._assertCapability('customize_listen');
  
-         player.on('error', function(err) {
-             winston.error('Error occurred while playing audio :', err);
-         });
+     await this._speechModelRequest('deleteLanguageModel', customizationId);
+     winston.info("TJBot deleted the custom speech model " + customizationId);
  
-         // play the audio
-         player.play(soundFile);
-     });
+     if (this.configuration.listen.customization_id == customizationId) {
+         this.useSpeechModel('');
+     }
  }
  
- */
+ /**
+  * Listen with a custom speech model (sets listen.customization_id). A running listen() switches
+  * to it with its next recognize stream; call listen() again to switch right away.
+  *
+  * @param {String} customizationId The id of the model, or '' to listen with the base model.
+  */
+ TJBot.prototype.useSpeechModel = function(customizationId) {
+     // the listen section may be the default configuration, or the one passed in, shared with other TJBots
+     this.configuration.listen = Object.assign({}, this.configuration.listen, {
+         customization_id: customizationId || ''
+     });
+     winston.verbose("TJBot listens with " + (customizationId ? "the custom speech model " + customizationId : "the base speech model"));
+ }
  
+ /**
+  * Internal method for calling a custom speech model method of the speech_to_text adapter,
+  * reporting errors like the other service calls.
+  *
+  * @param {String} method The adapter method.
+  * @param {Object} params Its parameters.
+  */
+ TJBot.prototype._speechModelRequest = async function(method, params) {
+     try {
+         var result = await this._stt[method](params);
+         winston.silly(`response from _stt.${method}(): ${JSON.stringify(result)}`);
+         return result;
+     } catch (err) {
+         winston.error("the speech_to_text service returned an error.", err);
+         this._serviceError('speech_to_text', err);
+         throw err;
+     }
+ }
  
  /** ------------------------------------------------------------------------ */
  /** TRANSLATE                                                                */
@@ -1698,15 +4116,23 @@
          target: targetLanguage
      }
  
+     let translation;
      try {
-         const body = await this._languageTranslator.translate(translateParams);
-         winston.silly(`response from _languageTranslator.translate(): ${JSON.stringify(body)}`);
-         translation = body.result;
+         translation = await this._languageTranslator.translate(translateParams);
+         winston.silly(`response from _languageTranslator.translate(): ${JSON.stringify(translation)}`);
      } catch (err) {
          winston.error('the language translator service returned an error', err);
+         this._serviceError('language_translator', err);
          throw err;
      }
  
+     this.emit(TJBot.EVENTS.TRANSLATED, {
+         text: mytext,
+         sourceLanguage: sourceLanguage,
+         targetLanguage: targetLanguage,
+         translation: translation
+     });
+ 
      return translation;
  }
  
@@ -1722,17 +4148,15 @@
  
      // capture 'this' context
      var self = this;
-     const identifyParams = {
-         text: mytext
-       };
  
+     let identifiedLanguages;
      try {
-         const body = await this._languageTranslator.identify(identifyParams);
-         winston.silly(`response from _langaugeTranslator.identify(): ${JSON.stringify(body)}`);
-         identifiedLanguages = body.result;
+         identifiedLanguages = await this._languageTranslator.identify(mytext);
+         winston.silly(`response from _langaugeTranslator.identify(): ${JSON.stringify(identifiedLanguages)}`);
  
      } catch (err) {
-         winston.error(`the ${TJBot.SERVICES.LANGUAGE_TRANSLATOR} service returned an error`, err);
+         winston.error('the language translator service returned an error', err);
+         this._serviceError('language_translator', err);
          throw err;
      }
  
@@ -1777,15 +4201,27 @@
      var self = this;
      let models;
      try {
-         const body = await this._languageTranslator.listModels({});
-         winston.silly(`response from _languageTranslator.listModels(): ${JSON.stringify(body)}`);
-         models = body.result;
+         models = await this._languageTranslator.listModels();
+         winston.silly(`response from _languageTranslator.listModels(): ${JSON.stringify(models)}`);
      } catch (err) {
-         winston.error(`the ${TJBot.SERVICES.LANGUAGE_TRANSLATOR} service returned an error`, err);
+         winston.error('the language translator service returned an error', err);
+         this._serviceError('language_translator', err);
          throw err;
  
      }
  
+     var translations = {};
+     models.forEach((model) => {
+         if (translations[model.source] == undefined) {
+             translations[model.source] = [];
+         }
+         if (!translations[model.source].includes(model.target)) {
+             translations[model.source].push(model.target);
+         }
+     });
+ 
+     return translations;
+ 
  
  
  /*
@@ -1844,55 +4280,397 @@
  /** WAVE                                                                     */
  /** ------------------------------------------------------------------------ */
  
- TJBot.prototype._SERVO_ARM_BACK = 500;
- TJBot.prototype._SERVO_ARM_UP = 1400;
- TJBot.prototype._SERVO_ARM_DOWN = 2300;
+ // time between two servo updates while the arm is moving
+ TJBot.prototype._SERVO_STEP_MSEC = 20;
+ 
+ // range of pulse widths accepted by the servo
+ TJBot.prototype._SERVO_MIN_PULSE = 500;
+ TJBot.prototype._SERVO_MAX_PULSE = 2500;
  
  /**
-  * Move TJ's arm all the way back.
+  * Move TJ's arm to a position, smoothly if a duration is given. The event loop is not blocked while the arm moves.
+  * Starting a new movement stops the one in progress.
+  *
+  * @param {Number|String} position An angle in degrees (0 = down, 90 = up, 180 = back), a percentage string
+  *        of the full travel (e.g. "25%"), or one of the named positions 'down', 'up' and 'back'.
+  * @param {Object} options Optional settings: `durationMs` (time the movement takes, default 0 to move at once)
+  *        and `easing` (see lib/easing.js, default 'easeInOutQuad').
+  *
+  * Returns a Promise that resolves to true when the arm reaches the position, or to false when the movement
+  * is interrupted by another one.
   */
- TJBot.prototype.armBack = function() {
+ TJBot.prototype.moveArm = function(position, options) {
      // make sure we have an arm
      this._assertCapability('wave');
-     this._motor.servoWrite(TJBot.prototype._SERVO_ARM_BACK);
+ 
+     options = Object.assign({
+         durationMs: 0,
+         easing: 'easeInOutQuad'
+     }, options);
+ 
+     var angle = this._armAngle(position);
+     var target = this._armAngleToPulseWidth(angle);
+     var ease = easing.getEasing(options.easing);
+ 
+     // stop the movement in progress
+     if (this._armMove != undefined) {
+         this._armMove.finish(false);
+     }
+ 
+     var self = this;
+     var start = this._armPulseWidth;
+ 
+     var arrived = function() {
+         self.emit(TJBot.EVENTS.ARM_MOVED, {
+             position: typeof position == 'string' && self.configuration.wave.calibration.hasOwnProperty(position) ? position : undefined,
+             angle: angle,
+             pulseWidth: target
+         });
+     };
+ 
+     // move at once if there's no time to move or we don't know where the arm is
+     if (!(options.durationMs > 0) || start == undefined) {
+         this._writeServo(target);
+         arrived();
+         return Promise.resolve(true);
+     }
+ 
+     return new Promise(function(resolve) {
+         var begin = Date.now();
+         var move = {
+             finish: function(reached) {
+                 clearInterval(move.timer);
+                 if (self._armMove === move) {
+                     self._armMove = undefined;
+                 }
+                 if (reached) {
+                     arrived();
+                 }
+                 resolve(reached);
+             }
+         };
+ 
+         move.timer = setInterval(function() {
+             var t = Math.min(1, (Date.now() - begin) / options.durationMs);
+             self._writeServo(start + (target - start) * ease(t));
+             if (t >= 1) {
+                 move.finish(true);
+             }
+         }, TJBot.prototype._SERVO_STEP_MSEC);
+ 
+         self._armMove = move;
+     });
  }
  
  /**
-  * Raise TJ's arm.
+  * Get the current position of TJ's arm.
+  *
+  * Returns {angle, percent, pulseWidth}, or undefined if the arm hasn't been moved yet.
   */
- TJBot.prototype.raiseArm = function() {
+ TJBot.prototype.getArmPosition = function() {
      // make sure we have an arm
      this._assertCapability('wave');
-     this._motor.servoWrite(TJBot.prototype._SERVO_ARM_UP);
+ 
+     if (this._armPulseWidth == undefined) {
+         return undefined;
+     }
+ 
+     var angle = this._armPulseWidthToAngle(this._armPulseWidth);
+     return {
+         angle: angle,
+         percent: angle / 180 * 100,
+         pulseWidth: this._armPulseWidth
+     };
+ }
+ 
+ /**
+  * Internal method for driving the servo.
+  *
+  * @param {Number} pulseWidth The servo pulse width in microseconds.
+  */
+ TJBot.prototype._writeServo = function(pulseWidth) {
+     pulseWidth = Math.round(Math.max(TJBot.prototype._SERVO_MIN_PULSE, Math.min(TJBot.prototype._SERVO_MAX_PULSE, pulseWidth)));
+     this._motor.servoWrite(pulseWidth);
+     this._armPulseWidth = pulseWidth;
+ }
+ 
+ /**
+  * Convert the position argument of moveArm() to an angle.
+  *
+  * @param {Number|String} position An angle, a percentage string or a named position.
+  */
+ TJBot.prototype._armAngle = function(position) {
+     var angle = undefined;
+     var named = { down: 0, up: 90, back: 180 };
+ 
+     if (typeof position == 'number') {
+         angle = position;
+     } else if (typeof position == 'string' && named.hasOwnProperty(position)) {
+         angle = named[position];
+     } else if (typeof position == 'string' && /^\s*-?[0-9.]+\s*%\s*$/.test(position)) {
+         angle = parseFloat(position) / 100 * 180;
+     }
+ 
+     if (angle == undefined || isNaN(angle) || angle < 0 || angle > 180) {
+         throw new Error('TJBot cannot move its arm to "' + position + '". ' +
+             'Use an angle from 0 to 180, a percentage from "0%" to "100%", or "down", "up" or "back".');
+     }
+ 
+     return angle;
+ }
+ 
+ /**
+  * Map an angle to a pulse width using the wave.calibration positions: 0 degrees is `down`,
+  * 90 degrees is `up` and 180 degrees is `back`, with linear interpolation in between.
+  *
+  * @param {Number} angle The angle, from 0 to 180.
+  */
+ TJBot.prototype._armAngleToPulseWidth = function(angle) {
+     var calibration = this.configuration.wave.calibration;
+ 
+     if (angle <= 90) {
+         return calibration.down + (calibration.up - calibration.down) * (angle / 90);
+     }
+     return calibration.up + (calibration.back - calibration.up) * ((angle - 90) / 90);
+ }
+ 
+ /**
+  * Map a pulse width back to an angle (see TJBot.prototype._armAngleToPulseWidth).
+  *
+  * @param {Number} pulseWidth The servo pulse width.
+  */
+ TJBot.prototype._armPulseWidthToAngle = function(pulseWidth) {
+     var calibration = this.configuration.wave.calibration;
+ 
+     // which half of the travel are we in? (works whichever way the servo is mounted)
+     var lower = (pulseWidth - calibration.down) / (calibration.up - calibration.down);
+     if (lower <= 1) {
+         return Math.max(0, lower * 90);
+     }
+     var upper = (pulseWidth - calibration.up) / (calibration.back - calibration.up);
+     return Math.min(180, 90 + upper * 90);
+ }
+ 
+ /**
+  * Move TJ's arm all the way back.
+  *
+  * @param {Object} options Optional movement settings (see TJBot.prototype.moveArm).
+  */
+ TJBot.prototype.armBack = function(options) {
+     return this.moveArm('back', options);
+ }
+ 
+ /**
+  * Raise TJ's arm.
+  *
+  * @param {Object} options Optional movement settings (see TJBot.prototype.moveArm).
+  */
+ TJBot.prototype.raiseArm = function(options) {
+     return this.moveArm('up', options);
  }
  
  /**
   * Lower TJ's arm.
+  *
+  * @param {Object} options Optional movement settings (see TJBot.prototype.moveArm).
   */
- TJBot.prototype.lowerArm = function() {
-     // make sure we have an arm
-     this._assertCapability('wave');
-     this._motor.servoWrite(TJBot.prototype._SERVO_ARM_DOWN);
+ TJBot.prototype.lowerArm = function(options) {
+     return this.moveArm('down', options);
  }
  
  /**
-  * Wave TJ's arm.
+  * Wave TJ's arm. The wave goes on in the background; use performGesture('wave') to wait until it is over.
+  *
+  * Returns true.
   */
  TJBot.prototype.wave = function() {
      this._assertCapability('wave');
  
-     var delay = 200;
+     this.performGesture('wave').catch(function(err) {
+         winston.error('TJBot could not wave', err);
+     });
+ 
+     return true;
+ }
+ 
+ /** ------------------------------------------------------------------------ */
+ /** GESTURES                                                                 */
+ /** ------------------------------------------------------------------------ */
+ 
+ /**
+  * Register a gesture that any TJBot can perform. Built-in gestures are 'wave', 'salute', 'shrug',
+  * 'excited-flap' and 'point-back'; registering one of these names replaces the built-in.
+  *
+  * @param {String} name The name of the gesture.
+  * @param {Array} keyframes List of {arm, durationMs, easing, holdMs, led} keyframes (see lib/gestures.js).
+  */
+ TJBot.registerGesture = function(name, keyframes) {
+     gestures.registerGesture(name, keyframes);
+ }
+ 
+ /**
+  * List the names of the gestures TJBot can perform.
+  */
+ TJBot.gestures = function() {
+     return gestures.listGestures();
+ }
+ 
+ /**
+  * Perform a gesture with the arm, together with its LED cues, which end with it. Starting a gesture stops
+  * the one in progress.
+  *
+  * @param {String} name The name of the gesture (see TJBot.gestures).
+  * @param {Object} options Optional settings: `repeat` (number of times to perform the gesture, default 1)
+  *        and `speed` (speed multiplier, default 1, 2 is twice as fast).
+  *
+  * Returns a Promise that resolves to true when the gesture is over, or to false when it was interrupted.
+  */
+ TJBot.prototype.performGesture = async function(name, options) {
+     this._assertCapability('wave');
+ 
+     var keyframes = gestures.getGesture(name);
+     options = Object.assign({
+         repeat: 1,
+         speed: 1
+     }, options);
+ 
+     if (!(options.speed > 0)) {
+         throw new Error('gesture speed must be greater than 0');
+     }
+     if (!Number.isInteger(options.repeat) || options.repeat < 1) {
+         throw new Error('gestures must be repeated a whole number of times, at least once');
+     }
+ 
+     // replace the gesture in progress
+     this.stopGesture();
+     var performance = {
+         name: name,
+         cancelled: false,
+         cues: [],
+         release: undefined
+     };
+     this._gesture = performance;
+ 
+     winston.verbose("TJBot performing the " + name + " gesture");
+     this.emit(TJBot.EVENTS.GESTURE_STARTED, {
+         name: name
+     });
  
-     this._motor.servoWrite(TJBot.prototype._SERVO_ARM_UP);
-     this.sleep(delay);
+     for (var r = 0; r < options.repeat && !performance.cancelled; r++) {
+         for (var i = 0; i < keyframes.length && !performance.cancelled; i++) {
+             var keyframe = keyframes[i];
  
-     this._motor.servoWrite(TJBot.prototype._SERVO_ARM_DOWN);
-     this.sleep(delay);
+             if (keyframe.led != undefined) {
+                 this._gestureCue(performance, keyframe.led, options.speed);
+             }
  
-     this._motor.servoWrite(TJBot.prototype._SERVO_ARM_UP);
-     this.sleep(delay);
+             if (keyframe.arm != undefined) {
+                 var move = {
+                     durationMs: (keyframe.durationMs || 0) / options.speed
+                 };
+                 // keep moveArm's default easing for keyframes without one
+                 if (keyframe.easing != undefined) {
+                     move.easing = keyframe.easing;
+                 }
  
-     return true;
+                 var reached = await this.moveArm(keyframe.arm, move);
+                 if (!reached) {
+                     performance.cancelled = true;
+                 }
+             }
+ 
+             if (keyframe.holdMs > 0 && !performance.cancelled) {
+                 await new Promise(function(resolve) {
+                     var timer = setTimeout(resolve, keyframe.holdMs / options.speed);
+ 
+                     // stopGesture ends the hold early
+                     performance.release = function() {
+                         clearTimeout(timer);
+                         resolve();
+                     };
+                 });
+                 performance.release = undefined;
+             }
+         }
+     }
+ 
+     var completed = !performance.cancelled;
+     if (this._gesture === performance) {
+         this._gesture = undefined;
+     }
+ 
+     // the LED cues end with the gesture, even those that would loop forever
+     performance.cues.forEach(function(handle) {
+         handle.cancel();
+     });
+ 
+     this.emit(TJBot.EVENTS.GESTURE_ENDED, {
+         name: name,
+         completed: completed
+     });
+ 
+     return completed;
+ }
+ 
+ /**
+  * Stop the gesture in progress, along with the LED animations it started. The arm stays where it is.
+  */
+ TJBot.prototype.stopGesture = function() {
+     var performance = this._gesture;
+     if (performance == undefined) {
+         return;
+     }
+ 
+     performance.cancelled = true;
+     this._gesture = undefined;
+ 
+     if (this._armMove != undefined) {
+         this._armMove.finish(false);
+     }
+     if (performance.release != undefined) {
+         performance.release();
+     }
+     performance.cues.forEach(function(handle) {
+         handle.cancel();
+     });
+ }
+ 
+ /**
+  * Internal method for starting the LED cue of a gesture keyframe. Cues are shown on the RGB led if
+  * fitted, otherwise on the Neopixel, and skipped when TJBot has no LED.
+  *
+  * @param {Object} performance The gesture in progress.
+  * @param {String|Object} cue A color, or {color, animation, ...} (see lib/gestures.js).
+  * @param {Number} speed The speed of the gesture.
+  */
+ TJBot.prototype._gestureCue = function(performance, cue, speed) {
+     if (!this._RGBLed && !this._led) {
+         return;
+     }
+ 
+     if (typeof cue == 'string') {
+         cue = { color: cue };
+     }
+ 
+     if (cue.animation == undefined) {
+         if (this._RGBLed) {
+             this.changeColorRGBLed(cue.color);
+         } else {
+             this.shine(cue.color);
+         }
+         return;
+     }
+ 
+     var animationOptions = Object.assign({}, cue, {
+         speed: (cue.speed || 1) * speed
+     });
+     delete animationOptions.animation;
+     delete animationOptions.color;
+ 
+     var handle = cue.animation == 'rainbow' ?
+         this.rainbow(animationOptions) :
+         this[cue.animation](cue.color, animationOptions);
+     performance.cues.push(handle);
  }
  
  /** ------------------------------------------------------------------------ */
@@ -0,0 +1,177 @@
+/**
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const util = require('util');
+const Transform = require('stream').Transform;
+
+/**
+ * VoiceActivityGate
+ *
+ * Energy based voice activity detection on mono 16 bit audio. The gate is a Transform stream that only
+ * lets speech through: audio is cut in frames, and a frame louder than `thresholdDb` counts as speech.
+ * Speech starts after `minSpeechMs` of consecutive speech frames; those frames and the `preRollMs` of audio
+ * before them are let through first, so the start of the first word isn't lost. Speech ends after `silenceMs`
+ * of consecutive quiet frames.
+ *
+ * Emits 'speechStart' before the first audio of an utterance is pushed, and 'speechEnd' ({durationMs})
+ * after the last one.
+ *
+ * @param {Object} options Settings:
+ *      `rate`: the sample rate of the audio (required),
+ *      `thresholdDb`: loudness of speech, in dB relative to full scale (default -40),
+ *      `minSpeechMs`: how long it must be loud before speech starts (default 100),
+ *      `silenceMs`: how long it must be quiet before speech ends (default 1000),
+ *      `preRollMs`: audio let through from before speech started (default 300),
+ *      `frameMs`: length of the frames the loudness is measured on (default 20).
+ * @constructor
+ */
+function VoiceActivityGate(options) {
+    Transform.call(this);
+
+    this.options = Object.assign({
+        thresholdDb: -40,
+        minSpeechMs: 100,
+        silenceMs: 1000,
+        preRollMs: 300,
+        frameMs: 20
+    }, options);
+
+    if (!(this.options.rate > 0)) {
+        throw new Error('voice activity detection needs the sample rate of the audio');
+    }
+
+    this._frameBytes = Math.max(1, Math.round(this.options.rate * this.options.frameMs / 1000)) * 2;
+    this._leftover = Buffer.alloc(0);
+
+    this._speaking = false;
+    this._loudMs = 0;
+    this._quietMs = 0;
+    this._speechMs = 0;
+    this._preRoll = [];
+}
+
+util.inherits(VoiceActivityGate, Transform);
+
+/**
+ * Whether speech is going on.
+ */
+VoiceActivityGate.prototype.isSpeaking = function() {
+    return this._speaking;
+}
+
+VoiceActivityGate.prototype._transform = function(chunk, encoding, callback) {
+    var buffer = this._leftover.length > 0 ? Buffer.concat([this._leftover, chunk]) : chunk;
+    var offset = 0;
+
+    for (; offset + this._frameBytes <= buffer.length; offset += this._frameBytes) {
+        this._frame(Buffer.from(buffer.subarray(offset, offset + this._frameBytes)));
+    }
+
+    this._leftover = Buffer.from(buffer.subarray(offset));
+    callback();
+}
+
+VoiceActivityGate.prototype._flush = function(callback) {
+    if (this._speaking) {
+        this._endSpeech();
+    }
+    callback();
+}
+
+VoiceActivityGate.prototype._frame = function(frame) {
+    var loud = loudness(frame) >= this.options.thresholdDb;
+    var frameMs = this.options.frameMs;
+
+    if (this._speaking) {
+        this.push(frame);
+        this._speechMs += frameMs;
+        this._quietMs = loud ? 0 : this._quietMs + frameMs;
+
+        if (this._quietMs >= this.options.silenceMs) {
+            this._endSpeech();
+        }
+        return;
+    }
+
+    // remember the recent audio, so it can be let through when speech starts
+    this._preRoll.push(frame);
+    var keep = Math.max(1, Math.ceil((this.options.preRollMs + this.options.minSpeechMs) / frameMs));
+    if (this._preRoll.length > keep) {
+        this._preRoll.shift();
+    }
+
+    this._loudMs = loud ? this._loudMs + frameMs : 0;
+    if (this._loudMs >= this.options.minSpeechMs) {
+        this._startSpeech();
+    }
+}
+
+VoiceActivityGate.prototype._startSpeech = function() {
+    var preRoll = this._preRoll;
+
+    this._speaking = true;
+    this._quietMs = 0;
+    this._speechMs = preRoll.length * this.options.frameMs;
+    this._preRoll = [];
+
+    this.emit('speechStart');
+
+    var self = this;
+    preRoll.forEach(function(frame) {
+        self.push(frame);
+    });
+}
+
+VoiceActivityGate.prototype._endSpeech = function() {
+    var durationMs = this._speechMs;
+
+    this._speaking = false;
+    this._loudMs = 0;
+    this._quietMs = 0;
+    this._speechMs = 0;
+
+    this.emit('speechEnd', {
+        durationMs: durationMs
+    });
+}
+
+/**
+ * Loudness of a frame of mono 16 bit audio: its RMS level in dB relative to full scale.
+ *
+ * @param {Buffer} frame The audio.
+ */
+function loudness(frame) {
+    var samples = Math.floor(frame.length / 2);
+    if (samples == 0) {
+        return -Infinity;
+    }
+
+    var sum = 0;
+    for (var i = 0; i < samples; i++) {
+        var value = frame.readInt16LE(i * 2) / 32768;
+        sum += value * value;
+    }
+
+    var rms = Math.sqrt(sum / samples);
+    return rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+}
+
+module.exports = {
+    VoiceActivityGate: VoiceActivityGate,
+    loudness: loudness
+};
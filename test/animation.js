@@ -0,0 +1,250 @@
+/**
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const assert = require('assert');
+const FakeTimers = require('@sinonjs/fake-timers');
+const Animator = require('../lib/animation');
+const easing = require('../lib/easing');
+
+describe('easing', function() {
+    it('starts at 0 and ends at 1', function() {
+        Object.keys(easing.easings).forEach(function(name) {
+            var ease = easing.easings[name];
+            assert.ok(ease(0) == 0, name);
+            assert.strictEqual(ease(1), 1, name);
+        });
+    });
+
+    it('eases the progress in between', function() {
+        assert.strictEqual(easing.easings.linear(0.25), 0.25);
+        assert.strictEqual(easing.easings.easeInQuad(0.5), 0.25);
+        assert.strictEqual(easing.easings.easeOutQuad(0.5), 0.75);
+        assert.strictEqual(easing.easings.easeInOutQuad(0.25), 0.125);
+        assert.strictEqual(easing.easings.easeInOutQuad(0.5), 0.5);
+        assert.ok(Math.abs(easing.easings.easeInOutSine(0.5) - 0.5) < 1e-9);
+        assert.strictEqual(easing.easings.step(0.99), 0);
+    });
+
+    it('gets an easing by name or as a function', function() {
+        var custom = function(t) {
+            return t;
+        };
+
+        assert.strictEqual(easing.getEasing('easeInCubic'), easing.easings.easeInCubic);
+        assert.strictEqual(easing.getEasing(undefined), easing.easings.linear);
+        assert.strictEqual(easing.getEasing(custom), custom);
+        assert.throws(function() {
+            easing.getEasing('bounce');
+        }, /does not know the "bounce" easing/);
+    });
+});
+
+describe('Animator', function() {
+    var clock;
+    var colors;
+    var animator;
+
+    beforeEach(function() {
+        clock = FakeTimers.install({ toFake: ['setInterval', 'clearInterval', 'Date'] });
+        colors = [];
+        animator = new Animator(function(color) {
+            colors.push(color);
+        }, { frameMsec: 10 });
+    });
+
+    afterEach(function() {
+        clock.uninstall();
+    });
+
+    function last() {
+        return colors[colors.length - 1];
+    }
+
+    it('shows the first keyframe at once and interpolates to the next', async function() {
+        var handle = animator.play([
+            { color: '#000000' },
+            { color: '#FF0000', durationMs: 100 }
+        ]);
+
+        assert.strictEqual(last(), '#000000');
+        assert.strictEqual(animator.isRunning(), true);
+
+        clock.tick(50);
+        assert.strictEqual(last(), '#800000');
+
+        clock.tick(50);
+        assert.strictEqual(last(), '#FF0000');
+        assert.strictEqual(await handle, true);
+        assert.strictEqual(handle.running, false);
+        assert.strictEqual(handle.completed, true);
+        assert.strictEqual(animator.isRunning(), false);
+    });
+
+    it('eases the transitions', function() {
+        animator.play([
+            { color: '#000000' },
+            { color: '#C80000', durationMs: 100, easing: 'easeInQuad' }
+        ]);
+
+        clock.tick(50);
+        assert.strictEqual(last(), '#320000');
+    });
+
+    it('uses the easing of the options for keyframes without one', function() {
+        animator.play([
+            { color: '#000000' },
+            { color: '#C80000', durationMs: 100 }
+        ], { easing: 'step' });
+
+        clock.tick(90);
+        assert.strictEqual(last(), '#000000');
+    });
+
+    it('finishes at once when there is nothing to animate', async function() {
+        var handle = animator.play([{ color: '#00FF00' }], { repeat: Infinity });
+
+        assert.deepStrictEqual(colors, ['#00FF00', '#00FF00']);
+        assert.strictEqual(await handle, true);
+        assert.strictEqual(clock.countTimers(), 0);
+    });
+
+    it('repeats the keyframes', async function() {
+        var handle = animator.play([
+            { color: '#000000' },
+            { color: '#FF0000', durationMs: 100 }
+        ], { repeat: 2 });
+
+        clock.tick(150);
+        assert.strictEqual(last(), '#800000');
+        assert.strictEqual(handle.running, true);
+
+        clock.tick(50);
+        assert.strictEqual(await handle, true);
+    });
+
+    it('loops until it is cancelled', async function() {
+        var handle = animator.play([
+            { color: '#000000' },
+            { color: '#FF0000', durationMs: 100 }
+        ], { repeat: Infinity });
+
+        clock.tick(10000);
+        assert.strictEqual(handle.running, true);
+
+        handle.cancel();
+        var rendered = colors.length;
+        clock.tick(1000);
+
+        assert.strictEqual(await handle, false);
+        assert.strictEqual(handle.completed, false);
+        assert.strictEqual(colors.length, rendered);
+        assert.strictEqual(clock.countTimers(), 0);
+    });
+
+    it('plays faster with a higher speed', async function() {
+        var handle = animator.play([
+            { color: '#000000' },
+            { color: '#FF0000', durationMs: 100 }
+        ], { speed: 2 });
+
+        clock.tick(50);
+        assert.strictEqual(await handle, true);
+        assert.strictEqual(last(), '#FF0000');
+    });
+
+    it('keeps the last rendered color when stopped', async function() {
+        var handle = animator.play([
+            { color: '#000000' },
+            { color: '#FF0000', durationMs: 100 }
+        ]);
+        clock.tick(50);
+
+        animator.stop();
+        clock.tick(100);
+
+        assert.strictEqual(await handle, false);
+        assert.strictEqual(last(), '#800000');
+        assert.strictEqual(animator.isRunning(), false);
+    });
+
+    it('replaces the running animation', async function() {
+        var first = animator.play([{ color: '#000000' }, { color: '#FF0000', durationMs: 100 }]);
+        var second = animator.play([{ color: '#0000FF' }, { color: '#00FF00', durationMs: 100 }], { name: 'second' });
+
+        clock.tick(100);
+
+        assert.strictEqual(await first, false);
+        assert.strictEqual(await second, true);
+        assert.strictEqual(second.name, 'second');
+        assert.strictEqual(last(), '#00FF00');
+    });
+
+    it('does nothing when a finished animation is cancelled', async function() {
+        var handle = animator.play([{ color: '#000000' }, { color: '#FF0000', durationMs: 10 }]);
+        clock.tick(10);
+
+        handle.cancel();
+        assert.strictEqual(await handle, true);
+    });
+
+    it('rejects invalid animations', function() {
+        assert.throws(function() {
+            animator.play([]);
+        }, /at least one keyframe/);
+        assert.throws(function() {
+            animator.play([{ color: 'red' }]);
+        }, /#RRGGBB format, got "red"/);
+        assert.throws(function() {
+            animator.play([{ color: '#000000' }], { speed: 0 });
+        }, /speed must be greater than 0/);
+        assert.throws(function() {
+            animator.play([{ color: '#000000' }, { color: '#FFFFFF', durationMs: 10, easing: 'wobble' }]);
+        }, /wobble/);
+    });
+
+    describe('built-in animations', function() {
+        it('breathes in and out once per period', function() {
+            var keyframes = Animator.animations.breathe('#FF0000', { periodMs: 1000 });
+
+            assert.deepStrictEqual(keyframes.map(function(keyframe) {
+                return [keyframe.color, keyframe.durationMs || 0];
+            }), [['#000000', 0], ['#FF0000', 500], ['#000000', 500]]);
+        });
+
+        it('blinks on and off', function() {
+            animator.play(Animator.animations.blink('#FF0000', { onMs: 100, offMs: 200 }), { repeat: Infinity });
+
+            clock.tick(50);
+            assert.strictEqual(last(), '#FF0000');
+            clock.tick(100);
+            assert.strictEqual(last(), '#000000');
+            clock.tick(200);
+            assert.strictEqual(last(), '#FF0000');
+        });
+
+        it('cycles through the rainbow', function() {
+            animator.play(Animator.animations.rainbow({ periodMs: 600 }));
+
+            clock.tick(100);
+            assert.strictEqual(last(), '#FFFF00');
+            clock.tick(300);
+            assert.strictEqual(last(), '#0000FF');
+        });
+    });
+});
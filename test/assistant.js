@@ -0,0 +1,158 @@
+/**
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const assert = require('assert');
+const assistant = require('../lib/assistant');
+
+// a message response with the given generic output
+function response(generic) {
+    return { output: { generic: generic } };
+}
+
+describe('assistant', function() {
+    describe('normalizeResponse', function() {
+        it('turns text into say actions', function() {
+            assert.deepStrictEqual(assistant.normalizeResponse(response([
+                { response_type: 'text', text: 'Hello.' },
+                { response_type: 'text', text: 'How are you?' }
+            ])), [
+                { type: 'say', text: 'Hello.' },
+                { type: 'say', text: 'How are you?' }
+            ]);
+        });
+
+        it('turns options and suggestions into options actions', function() {
+            assert.deepStrictEqual(assistant.normalizeResponse(response([{
+                response_type: 'option',
+                title: 'Pick a color',
+                options: [
+                    { label: 'Red', value: { input: { text: 'red' } } },
+                    { label: 'Blue' }
+                ]
+            }, {
+                response_type: 'suggestion',
+                title: 'Did you mean:',
+                suggestions: [{ label: 'Wave', value: 'wave' }]
+            }])), [{
+                type: 'options',
+                title: 'Pick a color',
+                description: '',
+                options: [{ label: 'Red', value: 'red' }, { label: 'Blue', value: 'Blue' }]
+            }, {
+                type: 'options',
+                title: 'Did you mean:',
+                description: '',
+                options: [{ label: 'Wave', value: 'wave' }]
+            }]);
+        });
+
+        it('turns pauses into pause actions', function() {
+            assert.deepStrictEqual(assistant.normalizeResponse(response([
+                { response_type: 'pause', time: 1500, typing: true },
+                { response_type: 'pause' }
+            ])), [
+                { type: 'pause', durationMs: 1500, typing: true },
+                { type: 'pause', durationMs: 0, typing: false }
+            ]);
+        });
+
+        it('turns images into image actions', function() {
+            assert.deepStrictEqual(assistant.normalizeResponse(response([
+                { response_type: 'image', source: 'https://example.com/tjbot.png', title: 'TJBot' }
+            ])), [
+                { type: 'image', url: 'https://example.com/tjbot.png', title: 'TJBot', description: '' }
+            ]);
+        });
+
+        it('turns a connection to a human agent into a transfer action', function() {
+            assert.deepStrictEqual(assistant.normalizeResponse(response([{
+                response_type: 'connect_to_agent',
+                message_to_human_agent: 'The user wants a human',
+                agent_available: { message: 'Connecting you now.' },
+                agent_unavailable: { message: 'Nobody is around.' }
+            }, {
+                response_type: 'connect_to_agent'
+            }])), [{
+                type: 'transfer',
+                message: 'The user wants a human',
+                agentAvailable: 'Connecting you now.',
+                agentUnavailable: 'Nobody is around.'
+            }, {
+                type: 'transfer',
+                message: '',
+                agentAvailable: '',
+                agentUnavailable: ''
+            }]);
+        });
+
+        it('keeps unknown response types as they are', function() {
+            var item = { response_type: 'iframe', source: 'https://example.com' };
+
+            assert.deepStrictEqual(assistant.normalizeResponse(response([item])), [
+                { type: 'other', responseType: 'iframe', raw: item }
+            ]);
+        });
+
+        it('has no actions for a response without output', function() {
+            assert.deepStrictEqual(assistant.normalizeResponse(undefined), []);
+            assert.deepStrictEqual(assistant.normalizeResponse({}), []);
+            assert.deepStrictEqual(assistant.normalizeResponse({ output: {} }), []);
+        });
+    });
+
+    describe('responseText', function() {
+        it('joins the text of the say actions', function() {
+            var actions = assistant.normalizeResponse(response([
+                { response_type: 'text', text: 'Hello.' },
+                { response_type: 'pause', time: 500 },
+                { response_type: 'text', text: '' },
+                { response_type: 'option', title: 'Pick one', options: [{ label: 'A' }] },
+                { response_type: 'text', text: 'Bye.' }
+            ]));
+
+            assert.strictEqual(assistant.responseText(actions), 'Hello. Bye.');
+            assert.strictEqual(assistant.responseText([]), '');
+        });
+    });
+
+    describe('optionsText', function() {
+        function options(title, description, labels) {
+            return {
+                type: 'options',
+                title: title,
+                description: description,
+                options: labels.map(function(label) {
+                    return { label: label, value: label };
+                })
+            };
+        }
+
+        it('reads the options out as a list', function() {
+            assert.strictEqual(assistant.optionsText(options('Pick a color', '', ['red', 'green', 'blue'])),
+                'Pick a color: red, green or blue');
+            assert.strictEqual(assistant.optionsText(options('', '', ['red', 'green'])), 'red or green');
+            assert.strictEqual(assistant.optionsText(options('', '', ['red'])), 'red');
+        });
+
+        it('does not add a colon after punctuation', function() {
+            assert.strictEqual(assistant.optionsText(options('Which one?', '', ['this', 'that'])), 'Which one? this or that');
+            assert.strictEqual(assistant.optionsText(options('Colors.', 'Pick one:', ['red', 'blue'])), 'Colors. Pick one: red or blue');
+        });
+    });
+});
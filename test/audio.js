@@ -0,0 +1,204 @@
+/**
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const audio = require('../lib/audio');
+const readWav = require('../lib/simulator').readWav;
+
+const MONO_16 = { rate: 16000, channels: 1, bitDepth: 16 };
+
+// 16 bit samples in a buffer, and back
+function pcm16(samples) {
+    var buffer = Buffer.alloc(samples.length * 2);
+    samples.forEach(function(sample, i) {
+        buffer.writeInt16LE(sample, i * 2);
+    });
+    return buffer;
+}
+
+function samples16(buffer) {
+    var samples = [];
+    for (var i = 0; i + 1 < buffer.length; i += 2) {
+        samples.push(buffer.readInt16LE(i));
+    }
+    return samples;
+}
+
+describe('audio', function() {
+    describe('assertFormat', function() {
+        it('accepts the supported formats and rejects others', function() {
+            audio.assertFormat(MONO_16, 'test');
+            audio.assertFormat({ rate: 44100, channels: 2, bitDepth: 24 }, 'test');
+
+            assert.throws(function() {
+                audio.assertFormat({ rate: 16000, channels: 1, bitDepth: 12 }, 'microphone');
+            }, /unsupported microphone audio format/);
+            assert.throws(function() {
+                audio.assertFormat({ rate: 0, channels: 1, bitDepth: 16 }, 'microphone');
+            }, /unsupported/);
+        });
+    });
+
+    describe('AudioConverter', function() {
+        it('passes audio in the output format through', function() {
+            var converter = new audio.AudioConverter(MONO_16, MONO_16);
+            var input = pcm16([1, 2, 3]);
+
+            assert.strictEqual(converter.isPassThrough(), true);
+            assert.deepStrictEqual(audio.convert(input, MONO_16, MONO_16), input);
+        });
+
+        it('mixes stereo down to mono', function() {
+            var stereo = { rate: 16000, channels: 2, bitDepth: 16 };
+
+            assert.deepStrictEqual(samples16(audio.convert(pcm16([1000, 3000, -2000, 0]), stereo, MONO_16)), [2000, -1000]);
+        });
+
+        it('halves the samples when downsampling to half the rate', function() {
+            var input = [];
+            for (var i = 0; i < 1600; i++) {
+                input.push(8000);
+            }
+
+            var output = samples16(audio.convert(pcm16(input), MONO_16, { rate: 8000, channels: 1, bitDepth: 16 }));
+            assert.strictEqual(output.length, 800);
+            // a constant signal stays the same through the low-pass filter
+            assert.ok(output.every(function(sample) {
+                return sample == 8000;
+            }));
+        });
+
+        it('doubles the samples when upsampling to twice the rate', function() {
+            var output = samples16(audio.convert(pcm16([0, 1000, 2000]), { rate: 8000, channels: 1, bitDepth: 16 }, MONO_16));
+
+            assert.deepStrictEqual(output, [0, 500, 1000, 1500, 2000]);
+        });
+
+        it('reads unsigned 8 bit samples', function() {
+            var input = Buffer.from([128, 255, 0]);
+            var output = samples16(audio.convert(input, { rate: 16000, channels: 1, bitDepth: 8 }, MONO_16));
+
+            assert.deepStrictEqual(output, [0, 32512, -32768]);
+        });
+
+        it('writes the samples to every output channel', function() {
+            var output = samples16(audio.convert(pcm16([1000, -1000]), MONO_16, { rate: 16000, channels: 2, bitDepth: 16 }));
+
+            assert.deepStrictEqual(output, [1000, 1000, -1000, -1000]);
+        });
+
+        it('keeps frames split over chunks together', function(done) {
+            var stereo = { rate: 16000, channels: 2, bitDepth: 16 };
+            var converter = new audio.AudioConverter(stereo, MONO_16);
+            var input = pcm16([1000, 3000, 5000, 7000]);
+            var chunks = [];
+
+            converter.on('data', function(chunk) {
+                chunks.push(chunk);
+            });
+            converter.on('end', function() {
+                assert.deepStrictEqual(samples16(Buffer.concat(chunks)), [2000, 6000]);
+                done();
+            });
+
+            converter.write(input.subarray(0, 3));
+            converter.write(input.subarray(3));
+            converter.end();
+        });
+    });
+
+    describe('WavWriter', function() {
+        var directory;
+
+        beforeEach(function() {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tjbot-audio-'));
+        });
+
+        afterEach(function() {
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+
+        it('writes the audio with the sizes filled in', function(done) {
+            var filePath = path.join(directory, 'recording.wav');
+            var writer = new audio.WavWriter(filePath, MONO_16);
+
+            writer.on('finish', function() {
+                var wav = readWav(filePath);
+                assert.deepStrictEqual(wav.format, MONO_16);
+                assert.deepStrictEqual(samples16(wav.data), [1, 2, 3, 4]);
+                assert.strictEqual(fs.readFileSync(filePath).readUInt32LE(4), 36 + 8);
+                assert.strictEqual(writer.bytes, 8);
+                done();
+            });
+
+            writer.write(pcm16([1, 2]));
+            writer.end(pcm16([3, 4]));
+        });
+
+        it('measures the duration of the audio', function(done) {
+            var writer = new audio.WavWriter(path.join(directory, 'recording.wav'), { rate: 8000, channels: 2, bitDepth: 16 });
+
+            writer.on('finish', function() {
+                // 8000 stereo frames of 4 bytes
+                assert.strictEqual(writer.durationMs(), 1000);
+                done();
+            });
+            writer.end(Buffer.alloc(32000));
+        });
+
+        it('throws when the file can not be created', function() {
+            assert.throws(function() {
+                new audio.WavWriter(path.join(directory, 'missing', 'recording.wav'), MONO_16);
+            }, /ENOENT/);
+        });
+    });
+
+    describe('writeWav', function() {
+        it('saves a buffer as a WAV file', function(done) {
+            var filePath = path.join(os.tmpdir(), 'tjbot-audio-' + process.pid + '.wav');
+
+            audio.writeWav(filePath, MONO_16, pcm16([5, -5]), function(err) {
+                assert.ifError(err);
+                var wav = readWav(filePath);
+                fs.unlinkSync(filePath);
+
+                assert.deepStrictEqual(wav.format, MONO_16);
+                assert.deepStrictEqual(samples16(wav.data), [5, -5]);
+                done();
+            });
+        });
+    });
+
+    describe('detectContentType', function() {
+        it('tells the audio formats transcribe() accepts apart', function() {
+            assert.strictEqual(audio.detectContentType(Buffer.concat([audio.wavHeader(MONO_16, 0), Buffer.alloc(4)])), 'audio/wav');
+            assert.strictEqual(audio.detectContentType(Buffer.from('fLaC\0\0\0\x22\0\0\0\0', 'binary')), 'audio/flac');
+            assert.strictEqual(audio.detectContentType(Buffer.from('OggS\0\x02\0\0\0\0\0\0', 'binary')), 'audio/ogg');
+            assert.strictEqual(audio.detectContentType(Buffer.from('ID3\x04\0\0\0\0\0\0\0\0', 'binary')), 'audio/mp3');
+            assert.strictEqual(audio.detectContentType(Buffer.from([0xff, 0xfb, 0x90, 0x64, 0, 0, 0, 0, 0, 0, 0, 0])), 'audio/mp3');
+        });
+
+        it('knows nothing of other files', function() {
+            assert.strictEqual(audio.detectContentType(Buffer.from('just some text here')), undefined);
+            assert.strictEqual(audio.detectContentType(Buffer.from('RIFF')), undefined);
+        });
+    });
+});
@@ -0,0 +1,306 @@
+/**
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const assert = require('assert');
+const TJBot = require('../index');
+
+// an assistant that answers every message with a turn counter kept in the context, and
+// can be made to expire sessions or fail; `calls` lists what TJBot asked of it
+var fake;
+
+TJBot.registerProvider('assistant', 'test-converse', function() {
+    return {
+        createSession: async function(assistantId) {
+            var sessionId = 'session-' + (++fake.sessions);
+            fake.calls.push('create ' + assistantId + ' ' + sessionId);
+            fake.live.push(sessionId);
+            return sessionId;
+        },
+
+        deleteSession: async function(assistantId, sessionId) {
+            fake.calls.push('delete ' + assistantId + ' ' + sessionId);
+            if (fake.live.indexOf(sessionId) == -1) {
+                throw new Error('session not found');
+            }
+            fake.live.splice(fake.live.indexOf(sessionId), 1);
+        },
+
+        message: async function(turn) {
+            fake.calls.push('message ' + turn.sessionId + ' ' + turn.userId + ' ' + turn.input.text);
+            if (fake.live.indexOf(turn.sessionId) == -1) {
+                throw Object.assign(new Error('Invalid Session'), { sessionExpired: true });
+            }
+            return fake.answer(turn);
+        },
+
+        messageStateless: async function(turn) {
+            fake.calls.push('stateless ' + turn.assistantId + ' ' + turn.input.text);
+            return fake.answer(turn);
+        }
+    };
+});
+
+// a TJBot conversing with the fake assistant
+function conversingBot(converse, hardware) {
+    return new TJBot(hardware || [], {
+        log: { level: 'error' },
+        simulation: { enabled: true },
+        converse: converse || {}
+    }, {
+        assistant: { provider: 'test-converse' }
+    });
+}
+
+describe('converse', function() {
+    beforeEach(function() {
+        fake = {
+            sessions: 0,
+            live: [],
+            calls: [],
+            answer: function(turn) {
+                var turns = ((turn.context && turn.context.turns) || 0) + 1;
+                return {
+                    output: {
+                        generic: [{ response_type: 'text', text: 'turn ' + turns }],
+                        user_defined: turn.input.text == 'greet me' ? { action: 'greet' } : undefined
+                    },
+                    context: { turns: turns }
+                };
+            }
+        };
+    });
+
+    it('creates a session on the first turn and keeps it and the context', async function() {
+        var tj = conversingBot();
+
+        var first = await tj.converse('a1', 'hello');
+        var second = await tj.converse('a1', 'hello again');
+
+        assert.strictEqual(first.description, 'turn 1');
+        assert.deepStrictEqual(first.actions, [{ type: 'say', text: 'turn 1' }]);
+        assert.strictEqual(second.description, 'turn 2');
+        assert.deepStrictEqual(second.context, { turns: 2 });
+        assert.deepStrictEqual(fake.calls, [
+            'create a1 session-1',
+            'message session-1 tjbot hello',
+            'message session-1 tjbot hello again'
+        ]);
+    });
+
+    it('keeps a conversation per user', async function() {
+        var tj = conversingBot();
+
+        await tj.converse('a1', 'hi', { userId: 'anna' });
+        await tj.converse('a1', 'hi', { userId: 'ben' });
+        var anna = await tj.converse('a1', 'hi', { userId: 'anna' });
+
+        assert.strictEqual(anna.description, 'turn 2');
+        assert.strictEqual(fake.sessions, 2);
+    });
+
+    it('uses converse.assistantId when no assistant is given', async function() {
+        var tj = conversingBot({ assistantId: 'default-assistant' });
+
+        await tj.converse('hello', { userId: 'anna' });
+
+        assert.deepStrictEqual(fake.calls, [
+            'create default-assistant session-1',
+            'message session-1 anna hello'
+        ]);
+        await assert.rejects(conversingBot().converse('hello'), /does not know which assistant/);
+    });
+
+    it('sends the context of the options instead of the cached one', async function() {
+        var tj = conversingBot();
+        await tj.converse('a1', 'hello');
+
+        var response = await tj.converse('a1', 'hello', { context: { turns: 10 } });
+
+        assert.strictEqual(response.description, 'turn 11');
+    });
+
+    it('replaces a session the service let expire and carries on the conversation', async function() {
+        var tj = conversingBot();
+        await tj.converse('a1', 'hello');
+        fake.live = [];
+
+        var response = await tj.converse('a1', 'still there?');
+
+        assert.strictEqual(response.description, 'turn 2');
+        assert.deepStrictEqual(fake.calls.slice(2), [
+            'message session-1 tjbot still there?',
+            'create a1 session-2',
+            'message session-2 tjbot still there?'
+        ]);
+    });
+
+    it('replaces a session that was idle for too long', async function() {
+        var tj = conversingBot({ sessionTimeoutMs: 5 });
+        await tj.converse('a1', 'hello');
+
+        await new Promise(function(resolve) {
+            setTimeout(resolve, 20);
+        });
+        var response = await tj.converse('a1', 'hello again');
+
+        assert.strictEqual(response.description, 'turn 2');
+        assert.deepStrictEqual(fake.calls.slice(2), [
+            'create a1 session-2',
+            'message session-2 tjbot hello again'
+        ]);
+    });
+
+    it('passes on errors other than an expired session', async function() {
+        var tj = conversingBot();
+        fake.answer = function() {
+            throw new Error('Forbidden');
+        };
+
+        await assert.rejects(tj.converse('a1', 'hello'), /Forbidden/);
+        assert.strictEqual(fake.sessions, 1);
+    });
+
+    describe('resetConversation', function() {
+        it('deletes the session and starts the dialog over', async function() {
+            var tj = conversingBot();
+            await tj.converse('a1', 'hello');
+
+            await tj.resetConversation('a1', 'tjbot');
+            var response = await tj.converse('a1', 'hello');
+
+            assert.strictEqual(response.description, 'turn 1');
+            assert.deepStrictEqual(fake.calls.slice(2), [
+                'delete a1 session-1',
+                'create a1 session-2',
+                'message session-2 tjbot hello'
+            ]);
+        });
+
+        it('resets the conversations of all users of converse.assistantId', async function() {
+            var tj = conversingBot({ assistantId: 'a1' });
+            await tj.converse('hi', { userId: 'anna' });
+            await tj.converse('hi', { userId: 'ben' });
+            await tj.converse('a2', 'hi', { userId: 'anna' });
+
+            await tj.resetConversation();
+
+            assert.deepStrictEqual(fake.live, ['session-3']);
+            assert.strictEqual((await tj.converse('hi', { userId: 'ben' })).description, 'turn 1');
+            assert.strictEqual((await tj.converse('a2', 'hi', { userId: 'anna' })).description, 'turn 2');
+        });
+
+        it('does not mind a session that is already gone', async function() {
+            var tj = conversingBot();
+            await tj.converse('a1', 'hello');
+            fake.live = [];
+
+            await tj.resetConversation('a1');
+            assert.strictEqual((await tj.converse('a1', 'hello')).description, 'turn 1');
+        });
+    });
+
+    describe('dialog handlers', function() {
+        it('are called after every turn', async function() {
+            var tj = conversingBot();
+            var greeted = [];
+            tj.addDialogHandler({ action: 'greet' }, function(params, response) {
+                greeted.push(response.description);
+                return 'greeted';
+            });
+
+            var response = await tj.converse('a1', 'greet me');
+
+            assert.deepStrictEqual(greeted, ['turn 1']);
+            assert.strictEqual(response.dispatched.length, 1);
+            assert.strictEqual(response.dispatched[0].result, 'greeted');
+        });
+
+        it('are not called when dispatch is turned off', async function() {
+            var greeted = 0;
+            var greet = function() {
+                greeted++;
+            };
+            var configured = conversingBot({ dispatch: false });
+            var perTurn = conversingBot();
+            configured.addDialogHandler({ action: 'greet' }, greet);
+            perTurn.addDialogHandler({ action: 'greet' }, greet);
+
+            var response = await configured.converse('a1', 'greet me');
+            await perTurn.converse('a1', 'greet me', { dispatch: false });
+
+            assert.strictEqual(greeted, 0);
+            assert.strictEqual(response.dispatched, undefined);
+        });
+    });
+
+    describe('built-in dialog actions', function() {
+        function shineTurn(userDefined) {
+            return function() {
+                return {
+                    output: { generic: [], user_defined: userDefined },
+                    context: {}
+                };
+            };
+        }
+
+        it('carry out the action with its parameters', async function() {
+            var tj = conversingBot({}, ['led']);
+            fake.answer = shineTurn({ action: 'shine', color: 'green' });
+
+            var response = await tj.converse('a1', 'make it green');
+
+            assert.strictEqual(response.dispatched[0].error, undefined);
+            assert.deepStrictEqual(tj.getPixels(), ['#008000']);
+        });
+
+        it('fail without doing anything when a parameter is missing', async function() {
+            var tj = conversingBot({}, ['led']);
+            var handled = [];
+            tj.on(TJBot.EVENTS.DIALOG_HANDLED, function(outcome) {
+                handled.push(outcome.error.message);
+            });
+            fake.answer = shineTurn({ action: 'shine' });
+
+            var response = await tj.converse('a1', 'make it crimsonish');
+
+            assert.deepStrictEqual(handled, ['the shine dialog action needs the "color" dialog variable']);
+            assert.strictEqual(response.dispatched[0].error.message, handled[0]);
+            assert.strictEqual(tj.simulationLog('led').filter(function(entry) {
+                return entry.action == 'render';
+            }).length, 0);
+        });
+    });
+
+    describe('the deprecated form', function() {
+        it('sends the session and context it is given, without handling the dialog', async function() {
+            var tj = conversingBot();
+            var greeted = 0;
+            tj.addDialogHandler({ action: 'greet' }, function() {
+                greeted++;
+            });
+
+            var response = await tj.converse('w1', 'my-session', 'greet me', { turns: 4 });
+
+            assert.strictEqual(response.description, 'turn 5');
+            assert.strictEqual(response.dispatched, undefined);
+            assert.strictEqual(greeted, 0);
+            assert.deepStrictEqual(fake.calls, ['stateless w1 greet me']);
+        });
+    });
+});
@@ -0,0 +1,181 @@
+/**
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const Dispatcher = require('../lib/dispatcher');
+
+// an Assistant response whose output sets `userDefined`, with `skillVariables` in the context
+function turn(options) {
+    return {
+        output: {
+            generic: [],
+            intents: options.intents || [],
+            entities: options.entities || [],
+            user_defined: options.userDefined
+        },
+        context: {
+            skills: {
+                'main skill': {
+                    user_defined: options.skillVariables || {}
+                }
+            }
+        }
+    };
+}
+
+function noop() {}
+
+describe('Dispatcher', function() {
+    describe('add', function() {
+        it('needs exactly one trigger kind', function() {
+            var dispatcher = new Dispatcher();
+
+            assert.throws(function() {
+                dispatcher.add({}, noop);
+            }, /exactly one/);
+            assert.throws(function() {
+                dispatcher.add({ intent: 'hello', action: 'wave' }, noop);
+            }, /exactly one/);
+            assert.throws(function() {
+                dispatcher.add({ intent: 'hello' }, 'wave');
+            }, /must be a function/);
+        });
+    });
+
+    describe('remove', function() {
+        it('removes one handler or all handlers of a trigger', function() {
+            var dispatcher = new Dispatcher();
+            var other = function() {};
+            dispatcher.add({ intent: 'hello' }, noop);
+            dispatcher.add({ intent: 'hello' }, other);
+            dispatcher.add({ action: 'wave' }, noop);
+
+            assert.strictEqual(dispatcher.remove({ intent: 'hello' }, other), 1);
+            assert.strictEqual(dispatcher.remove({ intent: 'hello' }), 1);
+            assert.strictEqual(dispatcher.remove({ intent: 'hello' }), 0);
+            assert.strictEqual(dispatcher.match(turn({ userDefined: { action: 'wave' } })).length, 1);
+        });
+    });
+
+    describe('match', function() {
+        it('matches the top intent above the minimum confidence', function() {
+            var dispatcher = new Dispatcher();
+            dispatcher.add({ intent: 'hello', minConfidence: 0.5 }, noop);
+            dispatcher.add({ intent: 'goodbye' }, noop);
+
+            var matches = dispatcher.match(turn({
+                intents: [{ intent: 'hello', confidence: 0.8 }, { intent: 'goodbye', confidence: 0.1 }]
+            }));
+            assert.strictEqual(matches.length, 1);
+            assert.strictEqual(matches[0].params.intent, 'hello');
+            assert.strictEqual(matches[0].params.confidence, 0.8);
+
+            assert.strictEqual(dispatcher.match(turn({
+                intents: [{ intent: 'hello', confidence: 0.4 }]
+            })).length, 0);
+        });
+
+        it('matches entities, with or without a value', function() {
+            var dispatcher = new Dispatcher();
+            dispatcher.add({ entity: 'color' }, noop);
+            dispatcher.add({ entity: 'color', value: 'blue' }, noop);
+
+            var matches = dispatcher.match(turn({
+                entities: [{ entity: 'color', value: 'red', confidence: 1 }]
+            }));
+            assert.strictEqual(matches.length, 1);
+            assert.deepStrictEqual(matches[0].params, {
+                entity: 'color',
+                value: 'red',
+                confidence: 1,
+                variables: {}
+            });
+        });
+
+        it('matches a context variable only in the turn that changes it', function() {
+            var dispatcher = new Dispatcher();
+            dispatcher.add({ variable: 'mood', value: 'happy' }, noop);
+
+            var first = turn({ skillVariables: { mood: 'happy' } });
+            assert.strictEqual(dispatcher.match(first, {}).length, 1);
+
+            var second = turn({ skillVariables: { mood: 'happy' } });
+            assert.strictEqual(dispatcher.match(second, first.context).length, 0);
+        });
+
+        it('passes the dialog variables to action handlers', function() {
+            var dispatcher = new Dispatcher();
+            dispatcher.add({ action: 'shine' }, noop);
+            dispatcher.add({ action: 'wave' }, noop);
+
+            var matches = dispatcher.match(turn({
+                skillVariables: { name: 'Michael' },
+                userDefined: { action: 'shine', color: 'red' }
+            }));
+            assert.strictEqual(matches.length, 1);
+            assert.deepStrictEqual(matches[0].params, { name: 'Michael', action: 'shine', color: 'red' });
+        });
+
+        it('fires an action set by the output in consecutive turns', function() {
+            var dispatcher = new Dispatcher();
+            dispatcher.add({ action: 'shine' }, noop);
+
+            var first = turn({ userDefined: { action: 'shine', color: 'red' } });
+            var matches = dispatcher.match(first, {});
+            assert.strictEqual(matches.length, 1);
+            assert.strictEqual(matches[0].params.color, 'red');
+
+            var second = turn({ userDefined: { action: 'shine', color: 'blue' } });
+            matches = dispatcher.match(second, first.context);
+            assert.strictEqual(matches.length, 1);
+            assert.strictEqual(matches[0].params.color, 'blue');
+
+            var third = turn({ userDefined: { action: 'shine', color: 'blue' } });
+            assert.strictEqual(dispatcher.match(third, second.context).length, 1);
+        });
+
+        it('fires an action kept in the context only in the turn that sets it', function() {
+            var dispatcher = new Dispatcher();
+            dispatcher.add({ action: 'shine' }, noop);
+            dispatcher.add({ action: 'wave' }, noop);
+
+            var first = turn({ skillVariables: { action: 'shine', color: 'red' } });
+            var matches = dispatcher.match(first, {});
+            assert.strictEqual(matches.length, 1);
+            assert.strictEqual(matches[0].params.color, 'red');
+
+            // filling in an unrelated slot doesn't shine again
+            var second = turn({ skillVariables: { action: 'shine', color: 'red', user_name: 'Anna' } });
+            assert.strictEqual(dispatcher.match(second, first.context).length, 0);
+
+            var third = turn({ skillVariables: { action: 'wave', color: 'red', user_name: 'Anna' } });
+            matches = dispatcher.match(third, second.context);
+            assert.strictEqual(matches.length, 1);
+            assert.strictEqual(matches[0].params.action, 'wave');
+        });
+    });
+
+    describe('dialogVariables', function() {
+        it('lets the output override the skill variables', function() {
+            assert.deepStrictEqual(Dispatcher.dialogVariables(turn({
+                skillVariables: { color: 'red', name: 'Michael' },
+                userDefined: { color: 'blue' }
+            })), { color: 'blue', name: 'Michael' });
+        });
+    });
+});
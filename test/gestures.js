@@ -0,0 +1,210 @@
+/**
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const assert = require('assert');
+const FakeTimers = require('@sinonjs/fake-timers');
+const gestures = require('../lib/gestures');
+const TJBot = require('../index');
+
+// pulse widths the simulated servo was set to
+function pulseWidths(tj) {
+    return tj.simulationLog('servo').map(function(entry) {
+        return entry.value.pulseWidth;
+    });
+}
+
+// advance a fake clock one frame at a time until a gesture is over; TJBot continues after its awaits on
+// the real event loop, so one long tick would run past moves that haven't started yet
+async function settle(clock, promise) {
+    var settled = false;
+    promise.then(function() {
+        settled = true;
+    }, function() {
+        settled = true;
+    });
+
+    for (var i = 0; i < 1000 && !settled; i++) {
+        await clock.tickAsync(20);
+    }
+    return promise;
+}
+
+// number of times the simulated LED was rendered
+function renders(tj) {
+    return tj.simulationLog('led').filter(function(entry) {
+        return entry.action == 'render';
+    }).length;
+}
+
+describe('gestures', function() {
+    it('has the built-in gestures', function() {
+        ['wave', 'salute', 'shrug', 'excited-flap', 'point-back'].forEach(function(name) {
+            assert.ok(gestures.listGestures().includes(name), name);
+            assert.ok(gestures.getGesture(name).length > 0, name);
+        });
+        assert.throws(function() {
+            gestures.getGesture('moonwalk');
+        }, /does not know the "moonwalk" gesture. Known gestures are: wave/);
+    });
+
+    it('registers a copy of the keyframes', function() {
+        var keyframes = [{ arm: 'up', durationMs: 100 }, { arm: '50%' }, { arm: 45, holdMs: 10 }];
+        gestures.registerGesture('test-copy', keyframes);
+        keyframes[0].arm = 'back';
+
+        assert.strictEqual(gestures.getGesture('test-copy')[0].arm, 'up');
+    });
+
+    it('rejects gestures without keyframes', function() {
+        assert.throws(function() {
+            gestures.registerGesture('', [{ arm: 'up' }]);
+        }, /needs a name/);
+        assert.throws(function() {
+            gestures.registerGesture('test-empty', []);
+        }, /needs at least one keyframe/);
+        assert.throws(function() {
+            gestures.registerGesture('test-empty', [{ durationMs: 100 }]);
+        }, /keyframe 0 of the "test-empty" gesture has no `arm`, `led` or `holdMs`/);
+    });
+
+    it('rejects arm positions the arm can not reach', function() {
+        [200, -5, NaN, '150%', 'sideways', '', true, {}].forEach(function(arm) {
+            assert.throws(function() {
+                gestures.registerGesture('test-arm', [{ arm: 'up' }, { arm: arm }]);
+            }, /keyframe 1 of the "test-arm" gesture moves the arm to/, String(arm));
+        });
+        assert.ok(!gestures.listGestures().includes('test-arm'));
+    });
+
+    it('rejects unknown LED animations', function() {
+        assert.throws(function() {
+            gestures.registerGesture('test-led', [{ led: { animation: 'sparkle', color: 'red' } }]);
+        }, /unknown "sparkle" animation. Valid animations are: breathe, blink, rainbow/);
+    });
+});
+
+describe('TJBot gestures', function() {
+    var clock;
+    var tj;
+
+    beforeEach(function() {
+        clock = FakeTimers.install({ toFake: ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'Date'] });
+        tj = new TJBot(['servo', 'led'], {
+            log: { level: 'error' },
+            simulation: { enabled: true }
+        });
+    });
+
+    afterEach(function() {
+        tj.stopGesture();
+        clock.uninstall();
+    });
+
+    it('moves the arm through the keyframes', async function() {
+        var events = [];
+        tj.on(TJBot.EVENTS.GESTURE_STARTED, function(gesture) {
+            events.push('started ' + gesture.name);
+        });
+        tj.on(TJBot.EVENTS.GESTURE_ENDED, function(gesture) {
+            events.push('ended ' + gesture.name + ' ' + gesture.completed);
+        });
+
+        assert.strictEqual(await settle(clock, tj.performGesture('wave')), true);
+        assert.deepStrictEqual(tj.getArmPosition().angle, 90);
+        assert.deepStrictEqual(events, ['started wave', 'ended wave true']);
+    });
+
+    it('eases keyframes without an easing like moveArm does', async function() {
+        gestures.registerGesture('test-ease', [{ arm: 'up', durationMs: 100 }]);
+        await tj.moveArm('down');
+        var down = tj.getArmPosition().pulseWidth;
+
+        var performed = tj.performGesture('test-ease');
+        await clock.tickAsync(20);
+        var up = pulseWidths(tj).length;
+        await settle(clock, performed);
+
+        // easeInOutQuad has covered 8% of the way after a fifth of the time; linear would have covered 20%
+        var travel = tj.getArmPosition().pulseWidth - down;
+        assert.strictEqual(pulseWidths(tj)[up - 1], Math.round(down + travel * 0.08));
+    });
+
+    it('waits for holdMs, and stopGesture ends the wait', async function() {
+        gestures.registerGesture('test-hold', [{ arm: 'up', holdMs: 10000 }, { arm: 'down' }]);
+
+        var performed = tj.performGesture('test-hold');
+        await clock.tickAsync(5000);
+        assert.strictEqual(tj.getArmPosition().angle, 90);
+
+        tj.stopGesture();
+        assert.strictEqual(await performed, false);
+        assert.strictEqual(clock.countTimers(), 0);
+        assert.strictEqual(tj.getArmPosition().angle, 90);
+    });
+
+    it('stops its LED cues when it is over', async function() {
+        gestures.registerGesture('test-cue', [
+            { arm: 'up', durationMs: 100, led: { animation: 'breathe', color: 'red', periodMs: 200 } },
+            { arm: 'down', durationMs: 100 }
+        ]);
+
+        assert.strictEqual(await settle(clock, tj.performGesture('test-cue')), true);
+
+        var rendered = renders(tj);
+        await clock.tickAsync(1000);
+        assert.strictEqual(renders(tj), rendered);
+    });
+
+    it('is replaced by the next gesture', async function() {
+        var first = tj.performGesture('point-back');
+        await clock.tickAsync(100);
+        var second = tj.performGesture('wave');
+
+        assert.strictEqual(await first, false);
+        assert.strictEqual(await settle(clock, second), true);
+    });
+
+    it('waves in the background', async function() {
+        var ended = new Promise(function(resolve) {
+            tj.once(TJBot.EVENTS.GESTURE_ENDED, resolve);
+        });
+
+        assert.strictEqual(tj.wave(), true);
+        assert.strictEqual((await settle(clock, ended)).completed, true);
+        assert.strictEqual(tj.getArmPosition().angle, 90);
+    });
+
+    it('checks the repeat and speed options', async function() {
+        await assert.rejects(tj.performGesture('wave', { repeat: 0 }), /whole number of times/);
+        await assert.rejects(tj.performGesture('wave', { speed: -1 }), /speed must be greater than 0/);
+    });
+
+    it('rejects arm positions out of reach', function() {
+        assert.throws(function() {
+            tj.moveArm(270);
+        }, /cannot move its arm to "270"/);
+        assert.strictEqual(tj.getArmPosition(), undefined);
+    });
+
+    it('moves the arm to percentages of its travel', async function() {
+        await tj.moveArm('25%');
+
+        assert.strictEqual(tj.getArmPosition().angle, 45);
+    });
+});
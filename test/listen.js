@@ -0,0 +1,462 @@
+/**
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Transform } = require('stream');
+const TJBot = require('../index');
+
+// a speech_to_text service whose recognize streams swallow the audio and say what the test pushes
+var streams;
+
+TJBot.registerProvider('speech_to_text', 'test-listen', function() {
+    return {
+        recognizeStream: function(params) {
+            var stream = new Transform({
+                transform: function(chunk, encoding, callback) {
+                    callback();
+                }
+            });
+            stream.params = params;
+            streams.push(stream);
+            return stream;
+        }
+    };
+});
+
+// a TJBot listening with the fake service and the simulated microphone
+function listeningBot(listen, hardware) {
+    return new TJBot(hardware || ['microphone'], {
+        log: { level: 'error' },
+        simulation: { enabled: true },
+        listen: Object.assign({}, TJBot.prototype.defaultConfiguration.listen, listen)
+    }, {
+        speech_to_text: { provider: 'test-listen' }
+    });
+}
+
+function micActions(bot) {
+    return bot.simulationLog('microphone').map(function(entry) {
+        return entry.action;
+    });
+}
+
+// let the recognize stream say something, and TJBot hear it
+function say(stream, transcript) {
+    stream.push(transcript);
+    return wait(5);
+}
+
+function wait(ms) {
+    return new Promise(function(resolve) {
+        setTimeout(resolve, ms);
+    });
+}
+
+describe('listen', function() {
+    var bot;
+
+    beforeEach(function() {
+        streams = [];
+    });
+
+    it('stops listening without waiting for the microphone to close, and starts the next one once it is', async function() {
+        bot = listeningBot();
+        bot.listen(function() {});
+
+        var stopping = Date.now();
+        bot.stopListening();
+        assert.ok(Date.now() - stopping < 500);
+        assert.deepStrictEqual(micActions(bot), ['start', 'stop']);
+
+        bot.listen(function() {});
+        assert.deepStrictEqual(micActions(bot), ['start', 'stop']);
+
+        await wait(1100);
+        assert.deepStrictEqual(micActions(bot), ['start', 'stop', 'start']);
+        bot.stopListening();
+    });
+
+    it('does not start a microphone still waiting when listening stops', async function() {
+        bot = listeningBot();
+        bot.listen(function() {});
+        bot.stopListening();
+        bot.listen(function() {});
+        bot.stopListening();
+
+        await wait(1100);
+        assert.deepStrictEqual(micActions(bot), ['start', 'stop']);
+    });
+
+    it('gives up without waiting for the microphone to close', async function() {
+        bot = listeningBot({ reconnect: { maxRetries: 0 } });
+        var gaveUp = [];
+        bot.on(TJBot.EVENTS.LISTENING_GAVE_UP, function(event) {
+            gaveUp.push(event.error.message);
+        });
+        bot.listen(function() {});
+
+        var failing = Date.now();
+        streams[0].emit('error', new Error('connection lost'));
+        assert.ok(Date.now() - failing < 500);
+
+        assert.deepStrictEqual(gaveUp, ['connection lost']);
+        assert.deepStrictEqual(micActions(bot), ['start', 'stop']);
+    });
+});
+
+describe('wake word', function() {
+    var bot;
+    var heard;
+    var events;
+
+    function wakeWordBot(wakeWord, hardware) {
+        bot = listeningBot({ wakeWord: Object.assign({}, TJBot.prototype.defaultConfiguration.listen.wakeWord, wakeWord) }, hardware);
+        [TJBot.EVENTS.WAKE_WORD_HEARD, TJBot.EVENTS.LISTENING_DORMANT].forEach(function(name) {
+            bot.on(name, function(value) {
+                events.push(name + ' ' + JSON.stringify(value));
+            });
+        });
+        return bot;
+    }
+
+    beforeEach(function() {
+        streams = [];
+        heard = [];
+        events = [];
+    });
+
+    afterEach(function() {
+        bot.stopListening();
+    });
+
+    it('ignores everything until the phrase, then passes on the next utterance and goes dormant again', async function() {
+        wakeWordBot().listen(function(transcript) {
+            heard.push(transcript);
+        }, { wakeWord: true });
+
+        await say(streams[0], 'turn on the light');
+        await say(streams[0], 'hey Michael');
+        await say(streams[0], 'turn on the light');
+        await say(streams[0], 'and wave');
+
+        assert.deepStrictEqual(heard, ['turn on the light']);
+        assert.deepStrictEqual(events, [
+            TJBot.EVENTS.WAKE_WORD_HEARD + ' {"phrase":"hey Michael","transcript":"hey Michael"}',
+            TJBot.EVENTS.LISTENING_DORMANT + ' {"timedOut":false}'
+        ]);
+    });
+
+    it('tolerates mishearing the phrase', async function() {
+        wakeWordBot({ phrase: 'okay robot' }).listen(function(transcript) {
+            heard.push(transcript);
+        }, { wakeWord: true });
+
+        await say(streams[0], 'hey Michael');
+        await say(streams[0], 'okay robbot');
+        await say(streams[0], 'wave');
+
+        assert.deepStrictEqual(heard, ['wave']);
+    });
+
+    it('passes on the rest of the utterance with the phrase, and stays dormant', async function() {
+        wakeWordBot().listen(function(transcript) {
+            heard.push(transcript);
+        }, { wakeWord: true });
+
+        await say(streams[0], 'hey Michael, wave');
+        await say(streams[0], 'lights on');
+
+        assert.deepStrictEqual(heard, ['wave']);
+        assert.strictEqual(events.length, 1);
+    });
+
+    it('goes dormant when nothing is said after the phrase', async function() {
+        wakeWordBot({ timeoutMs: 30 }).listen(function(transcript) {
+            heard.push(transcript);
+        }, { wakeWord: true });
+
+        await say(streams[0], 'hey Michael');
+        await wait(60);
+        await say(streams[0], 'wave');
+
+        assert.deepStrictEqual(heard, []);
+        assert.strictEqual(events[1], TJBot.EVENTS.LISTENING_DORMANT + ' {"timedOut":true}');
+    });
+
+    it('breathes the LED while awake, and gives the LED its colors back', async function() {
+        wakeWordBot({ timeoutMs: 30 }, ['microphone', 'led']).listen(function(transcript) {
+            heard.push(transcript);
+        }, { wakeWord: true });
+        bot.shine('red');
+
+        await say(streams[0], 'hey Michael');
+        var indicator = bot._wakeWord.indicator.handle;
+        assert.ok(indicator.running);
+
+        await say(streams[0], 'wave');
+        assert.ok(!indicator.running);
+        assert.deepStrictEqual(bot.getPixels(), ['#FF0000']);
+
+        // and when it times out
+        await say(streams[0], 'hey Michael');
+        indicator = bot._wakeWord.indicator.handle;
+        await wait(60);
+        assert.ok(!indicator.running);
+        assert.deepStrictEqual(bot.getPixels(), ['#FF0000']);
+    });
+
+    it('leaves the LED to whatever took it over while awake', async function() {
+        wakeWordBot({}, ['microphone', 'led']).listen(function() {}, { wakeWord: true });
+        bot.shine('red');
+
+        await say(streams[0], 'hey Michael');
+        bot.shine('#00ff00');
+        await say(streams[0], 'wave');
+
+        assert.deepStrictEqual(bot.getPixels(), ['#00FF00']);
+    });
+
+    it('does not breathe the LED when the indicator is off', async function() {
+        wakeWordBot({ indicator: false }, ['microphone', 'led']).listen(function() {}, { wakeWord: true });
+
+        await say(streams[0], 'hey Michael');
+        assert.strictEqual(bot._wakeWord.indicator, undefined);
+    });
+});
+
+describe('listenOnce', function() {
+    var bot;
+    var events;
+
+    beforeEach(function() {
+        streams = [];
+        bot = listeningBot();
+        events = [];
+        [TJBot.EVENTS.LISTENING_STARTED, TJBot.EVENTS.LISTENING_STOPPED, TJBot.EVENTS.HEARD].forEach(function(name) {
+            bot.on(name, function(value) {
+                events.push(value == undefined ? name : name + ' ' + value);
+            });
+        });
+    });
+
+    it('resolves with the utterance and closes the stream and the microphone', async function() {
+        var heard = bot.listenOnce({ timeoutMs: 1000 });
+        assert.strictEqual(streams.length, 1);
+        streams[0].push('hello there');
+
+        assert.strictEqual(await heard, 'hello there');
+        assert.ok(streams[0].writableEnded);
+        assert.deepStrictEqual(micActions(bot), ['start', 'stop']);
+        assert.deepStrictEqual(events, [
+            TJBot.EVENTS.LISTENING_STARTED,
+            TJBot.EVENTS.HEARD + ' hello there',
+            TJBot.EVENTS.LISTENING_STOPPED
+        ]);
+    });
+
+    it('ignores empty transcripts', async function() {
+        var heard = bot.listenOnce({ timeoutMs: 1000 });
+        streams[0].push('  ');
+        streams[0].push('hello');
+
+        assert.strictEqual(await heard, 'hello');
+    });
+
+    it('gives up when nothing is heard in time, and closes the stream and the microphone', async function() {
+        await assert.rejects(bot.listenOnce({ timeoutMs: 30 }), /did not hear anything within 30 ms/);
+
+        assert.ok(streams[0].writableEnded);
+        assert.deepStrictEqual(micActions(bot), ['start', 'stop']);
+        assert.deepStrictEqual(events, [TJBot.EVENTS.LISTENING_STARTED, TJBot.EVENTS.LISTENING_STOPPED]);
+        assert.strictEqual(bot.listenerCount(TJBot.EVENTS.HEARD), 1);
+    });
+
+    it('rejects when the service fails, and closes the stream and the microphone', async function() {
+        var errors = [];
+        bot.on(TJBot.EVENTS.SERVICE_ERROR, function(error) {
+            errors.push(error.service);
+        });
+
+        var heard = bot.listenOnce({ timeoutMs: 1000 });
+        streams[0].emit('error', new Error('connection lost'));
+
+        await assert.rejects(heard, /connection lost/);
+        assert.deepStrictEqual(errors, ['speech_to_text']);
+        assert.ok(streams[0].writableEnded);
+        assert.deepStrictEqual(micActions(bot), ['start', 'stop']);
+    });
+
+    it('keeps the microphone set up for listen()', async function() {
+        var mic = bot._mic;
+        var audioStream = bot._micAudioStream;
+
+        var heard = bot.listenOnce({ timeoutMs: 1000 });
+        streams[0].push('hello');
+        await heard;
+
+        assert.strictEqual(bot._mic, mic);
+        assert.strictEqual(bot._micAudioStream, audioStream);
+    });
+
+    it('shares the microphone and the stream between calls waiting at the same time', async function() {
+        var first = bot.listenOnce({ timeoutMs: 1000 });
+        var second = bot.listenOnce({ timeoutMs: 1000 });
+        assert.strictEqual(streams.length, 1);
+        streams[0].push('hello');
+
+        assert.deepStrictEqual(await Promise.all([first, second]), ['hello', 'hello']);
+        assert.deepStrictEqual(micActions(bot), ['start', 'stop']);
+        assert.deepStrictEqual(events, [
+            TJBot.EVENTS.LISTENING_STARTED,
+            TJBot.EVENTS.HEARD + ' hello',
+            TJBot.EVENTS.LISTENING_STOPPED
+        ]);
+    });
+
+    it('keeps listening while another call still waits', async function() {
+        var first = bot.listenOnce({ timeoutMs: 20 });
+        var second = bot.listenOnce({ timeoutMs: 1000 });
+
+        await assert.rejects(first, /within 20 ms/);
+        assert.ok(!streams[0].writableEnded);
+        assert.deepStrictEqual(micActions(bot), ['start']);
+
+        streams[0].push('hello');
+        assert.strictEqual(await second, 'hello');
+        assert.deepStrictEqual(micActions(bot), ['start', 'stop']);
+    });
+
+    it('opens a new stream for the next utterance, once the microphone is closed', async function() {
+        var first = bot.listenOnce({ timeoutMs: 1000 });
+        streams[0].push('one');
+        await first;
+
+        var second = bot.listenOnce({ timeoutMs: 2000 });
+        assert.strictEqual(streams.length, 2);
+        assert.deepStrictEqual(micActions(bot), ['start', 'stop']);
+
+        await wait(1100);
+        assert.deepStrictEqual(micActions(bot), ['start', 'stop', 'start']);
+
+        streams[1].push('two');
+        assert.strictEqual(await second, 'two');
+        assert.deepStrictEqual(micActions(bot), ['start', 'stop', 'start', 'stop']);
+    });
+
+    it('only waits for the utterance in the language already listened in', async function() {
+        var heard = bot.listenOnce({ timeoutMs: 1000 });
+
+        await assert.rejects(bot.listenOnce({ language: 'de-DE' }), /already listening in en-US/);
+
+        streams[0].push('hello');
+        await heard;
+    });
+
+    it('hands the waiting calls over to listen(), which takes over the microphone', async function() {
+        var heard = bot.listenOnce({ timeoutMs: 1000 });
+        var mic = bot._sharedMic.mic;
+
+        bot.listen(function() {});
+        assert.strictEqual(bot._mic, mic);
+        assert.ok(streams[0].writableEnded);
+        assert.strictEqual(streams.length, 2);
+
+        streams[1].push('hello');
+        assert.strictEqual(await heard, 'hello');
+
+        // listening goes on
+        await wait(10);
+        assert.deepStrictEqual(micActions(bot), ['start']);
+        assert.deepStrictEqual(events, [
+            TJBot.EVENTS.LISTENING_STARTED,
+            TJBot.EVENTS.LISTENING_STARTED,
+            TJBot.EVENTS.HEARD + ' hello'
+        ]);
+
+        bot.stopListening();
+        assert.deepStrictEqual(micActions(bot), ['start', 'stop']);
+    });
+
+    it('shares the stream listen() runs', async function() {
+        bot.listen(function() {});
+        var heard = bot.listenOnce({ timeoutMs: 1000 });
+        assert.strictEqual(streams.length, 1);
+
+        streams[0].push('hello');
+        assert.strictEqual(await heard, 'hello');
+        assert.ok(!streams[0].writableEnded);
+
+        bot.stopListening();
+    });
+});
+
+describe('record', function() {
+    var bot;
+    var dir;
+
+    beforeEach(function() {
+        streams = [];
+        bot = listeningBot();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tjbot-record-'));
+    });
+
+    afterEach(function() {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('records the microphone to a WAV file and closes it', async function() {
+        var mic = bot._mic;
+        var recording = await bot.record(path.join(dir, 'one.wav'), { durationMs: 250 });
+
+        assert.ok(recording.bytes > 0);
+        assert.strictEqual(fs.statSync(recording.filePath).size, 44 + recording.bytes);
+        assert.deepStrictEqual(micActions(bot), ['start', 'stop']);
+        assert.strictEqual(bot._mic, mic);
+    });
+
+    it('shares the microphone between recordings made at the same time', async function() {
+        var recordings = await Promise.all([
+            bot.record(path.join(dir, 'one.wav'), { durationMs: 150 }),
+            bot.record(path.join(dir, 'two.wav'), { durationMs: 250 })
+        ]);
+
+        assert.ok(recordings[1].bytes > 0);
+        assert.deepStrictEqual(micActions(bot), ['start', 'stop']);
+    });
+
+    it('shares the microphone with listenOnce()', async function() {
+        var recording = bot.record(path.join(dir, 'one.wav'), { durationMs: 250 });
+        var heard = bot.listenOnce({ timeoutMs: 1000 });
+        streams[0].push('hello');
+
+        assert.strictEqual(await heard, 'hello');
+        assert.deepStrictEqual(micActions(bot), ['start']);
+
+        assert.ok((await recording).bytes > 0);
+        assert.deepStrictEqual(micActions(bot), ['start', 'stop']);
+    });
+
+    it('does not open the microphone when the file cannot be written', async function() {
+        await assert.rejects(bot.record(path.join(dir, 'missing', 'one.wav')), /ENOENT/);
+        assert.deepStrictEqual(micActions(bot), []);
+    });
+});
@@ -0,0 +1,324 @@
+/**
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const local = require('../lib/providers/local');
+
+const INTENTS = {
+    intents: [{
+        intent: 'greeting',
+        examples: ['hello there', 'good morning'],
+        keywords: ['hello', 'hi'],
+        responses: ['Hello!', 'Hi there.'],
+        variables: { action: 'wave' }
+    }, {
+        intent: 'shine',
+        examples: ['turn the light red', 'shine blue'],
+        responses: ['Sure.'],
+        variables: { action: 'shine', color: '@color' }
+    }, {
+        intent: 'weather',
+        examples: ['what is the weather like today'],
+        responses: [[{ response_type: 'text', text: 'Sunny.' }, { response_type: 'pause', time: 500 }]]
+    }],
+    entities: {
+        color: { red: ['crimson'], blue: [], 'light blue': ['sky blue'] }
+    },
+    anythingElse: ["Sorry, I didn't get that."]
+};
+
+// the answer of a local assistant to a message
+async function ask(assistant, text) {
+    var result = await assistant.messageStateless({ input: { text: text } });
+    return {
+        intent: result.output.intents.length > 0 ? result.output.intents[0].intent : undefined,
+        confidence: result.output.intents.length > 0 ? result.output.intents[0].confidence : 0,
+        text: result.output.generic.length > 0 ? result.output.generic[0].text : undefined,
+        variables: result.output.user_defined,
+        entities: result.output.entities
+    };
+}
+
+// an error as the Watson SDK reports it
+function serviceError(code) {
+    return Object.assign(new Error('status ' + code), { code: code });
+}
+
+describe('local assistant', function() {
+    describe('tokenize', function() {
+        it('splits text into lowercase words without accents or punctuation', function() {
+            assert.deepStrictEqual(local.tokenize('Hello, TJBot! Dobrý den... it\'s 3pm'),
+                ['hello', 'tjbot', 'dobry', 'den', 'it\'s', '3pm']);
+            assert.deepStrictEqual(local.tokenize('  ?! '), []);
+        });
+    });
+
+    describe('findSequence', function() {
+        it('finds words exactly', function() {
+            assert.strictEqual(local.findSequence(['please', 'shine', 'blue'], ['shine', 'blue']), 'exact');
+            assert.strictEqual(local.findSequence(['shine', 'blue'], ['blue', 'shine']), undefined);
+            assert.strictEqual(local.findSequence(['shine'], ['shine', 'blue']), undefined);
+        });
+
+        it('allows one typo per four letters', function() {
+            // a wrong letter, a missing letter and two swapped letters
+            assert.strictEqual(local.findSequence(['shime', 'blue'], ['shine', 'blue']), 'fuzzy');
+            assert.strictEqual(local.findSequence(['wether'], ['weather']), 'fuzzy');
+            assert.strictEqual(local.findSequence(['waether'], ['weather']), 'fuzzy');
+            // two typos in a seven letter word are too many
+            assert.strictEqual(local.findSequence(['wxathxr'], ['weather']), undefined);
+        });
+
+        it('needs short words to be exact', function() {
+            assert.strictEqual(local.findSequence(['hu'], ['hi']), undefined);
+            assert.strictEqual(local.findSequence(['red'], ['rod']), undefined);
+        });
+
+        it('prefers an exact match further on', function() {
+            assert.strictEqual(local.findSequence(['shime', 'and', 'shine'], ['shine']), 'exact');
+        });
+    });
+
+    describe('intents', function() {
+        it('needs intents with a name and examples or keywords', function() {
+            assert.throws(function() {
+                local.assistant({});
+            }, /needs `intentsFile` or `intents`/);
+            assert.throws(function() {
+                local.assistant({ intents: { intents: [] } });
+            }, /at least one intent/);
+            assert.throws(function() {
+                local.assistant({ intents: { intents: [{ examples: ['hi'] }] } });
+            }, /intent 0 of the local assistant has no name/);
+            assert.throws(function() {
+                local.assistant({ intents: { intents: [{ intent: 'empty' }] } });
+            }, /the "empty" intent of the local assistant needs `examples` or `keywords`/);
+        });
+
+        it('reads the intents from a file', async function() {
+            var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tjbot-local-'));
+            var intentsFile = path.join(directory, 'intents.json');
+
+            try {
+                fs.writeFileSync(intentsFile, JSON.stringify(INTENTS));
+                assert.strictEqual((await ask(local.assistant({ intentsFile: intentsFile }), 'hello')).intent, 'greeting');
+
+                fs.writeFileSync(intentsFile, '{ not json');
+                assert.throws(function() {
+                    local.assistant({ intentsFile: intentsFile });
+                }, /unable to read the local assistant intents from/);
+            } finally {
+                fs.rmSync(directory, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe('matching', function() {
+        var assistant;
+
+        beforeEach(function() {
+            assistant = local.assistant({ intents: INTENTS });
+        });
+
+        it('is sure of messages with a keyword', async function() {
+            var answer = await ask(assistant, 'oh hi robot');
+
+            assert.strictEqual(answer.intent, 'greeting');
+            assert.strictEqual(answer.confidence, 1);
+            assert.deepStrictEqual(answer.variables, { action: 'wave' });
+        });
+
+        it('is nearly sure of a keyword with a typo', async function() {
+            var answer = await ask(assistant, 'helo robot');
+
+            assert.strictEqual(answer.intent, 'greeting');
+            assert.strictEqual(answer.confidence, 0.9);
+        });
+
+        it('scores messages by the words they share with the examples', async function() {
+            var answer = await ask(assistant, "what's the wether like today");
+
+            assert.strictEqual(answer.intent, 'weather');
+            assert.ok(answer.confidence >= 0.5 && answer.confidence < 1, String(answer.confidence));
+            assert.strictEqual(answer.text, 'Sunny.');
+        });
+
+        it('answers with anythingElse below the threshold', async function() {
+            var answer = await ask(assistant, 'what time is it in Prague');
+
+            assert.strictEqual(answer.text, "Sorry, I didn't get that.");
+            assert.strictEqual(answer.variables, undefined);
+        });
+
+        it('uses the threshold of the intents', async function() {
+            var strict = local.assistant({ intents: Object.assign({}, INTENTS, { threshold: 0.95 }) });
+
+            assert.strictEqual((await ask(strict, 'helo robot')).text, "Sorry, I didn't get that.");
+            assert.strictEqual((await ask(strict, 'hello robot')).text, 'Hello!');
+        });
+
+        it('takes the responses of an intent in turn', async function() {
+            var texts = [];
+            for (var i = 0; i < 3; i++) {
+                texts.push((await ask(assistant, 'hello')).text);
+            }
+
+            assert.deepStrictEqual(texts, ['Hello!', 'Hi there.', 'Hello!']);
+        });
+    });
+
+    describe('entities', function() {
+        var assistant;
+
+        beforeEach(function() {
+            assistant = local.assistant({ intents: INTENTS });
+        });
+
+        it('fills in @entity variables with the value in the message', async function() {
+            var answer = await ask(assistant, 'shine red');
+
+            assert.deepStrictEqual(answer.variables, { action: 'shine', color: 'red' });
+            assert.deepStrictEqual(answer.entities, [{ entity: 'color', value: 'red', confidence: 1 }]);
+        });
+
+        it('counts a synonym of another value as a match of the example', async function() {
+            var answer = await ask(assistant, 'please shine crimson');
+
+            assert.strictEqual(answer.intent, 'shine');
+            assert.ok(answer.confidence >= 0.5, String(answer.confidence));
+            assert.deepStrictEqual(answer.variables, { action: 'shine', color: 'red' });
+        });
+
+        it('matches the longest synonym', async function() {
+            assert.strictEqual((await ask(assistant, 'shine sky blue')).variables.color, 'light blue');
+            assert.strictEqual((await ask(assistant, 'turn the light light blue')).variables.color, 'light blue');
+        });
+
+        it('leaves @entity variables empty when the message has no value', async function() {
+            var answer = await ask(assistant, 'turn the light on');
+
+            assert.strictEqual(answer.intent, 'shine');
+            assert.deepStrictEqual(answer.variables, { action: 'shine', color: undefined });
+        });
+    });
+
+    describe('sessions', function() {
+        it('counts the turns of a conversation in the context', async function() {
+            var assistant = local.assistant({ intents: INTENTS });
+            var sessionId = await assistant.createSession('local');
+
+            var first = await assistant.message({ sessionId: sessionId, input: { text: 'hello' } });
+            var second = await assistant.message({ sessionId: sessionId, input: { text: 'hello' }, context: first.context });
+
+            assert.strictEqual(sessionId, 'local-1');
+            assert.strictEqual(second.context.global.system.turn_count, 2);
+            assert.strictEqual(second.output.generic[0].text, 'Hi there.');
+        });
+    });
+
+    describe('withFallback', function() {
+        var fallback;
+        var fallbacks;
+
+        // a primary assistant whose calls fail with `error`, if any
+        function primary(error) {
+            var fail = async function() {
+                if (error) {
+                    throw error;
+                }
+                return { output: { generic: [{ response_type: 'text', text: 'from the service' }] } };
+            };
+            return {
+                createSession: async function() {
+                    if (error) {
+                        throw error;
+                    }
+                    return 'remote-1';
+                },
+                deleteSession: fail,
+                message: fail
+            };
+        }
+
+        function wrap(error) {
+            return local.withFallback(primary(error), fallback, function(err) {
+                fallbacks.push(err.message);
+            });
+        }
+
+        beforeEach(function() {
+            fallback = local.assistant({ intents: INTENTS });
+            fallbacks = [];
+        });
+
+        it('uses the primary assistant while it works', async function() {
+            var assistant = wrap();
+            var sessionId = await assistant.createSession('a1');
+            var result = await assistant.message({ sessionId: sessionId, input: { text: 'hello' } });
+
+            assert.strictEqual(sessionId, 'remote-1');
+            assert.strictEqual(result.output.generic[0].text, 'from the service');
+            assert.deepStrictEqual(fallbacks, []);
+        });
+
+        it('answers locally when the service fails or can not be reached', async function() {
+            for (var error of [serviceError(503), new Error('getaddrinfo ENOTFOUND')]) {
+                var assistant = wrap(error);
+                var result = await assistant.message({ sessionId: 'remote-1', input: { text: 'hello' } });
+                assert.strictEqual(result.output.intents[0].intent, 'greeting');
+            }
+
+            assert.deepStrictEqual(fallbacks, ['status 503', 'getaddrinfo ENOTFOUND']);
+        });
+
+        it('reports client errors and expired sessions', async function() {
+            await assert.rejects(wrap(serviceError(404)).message({ sessionId: 'remote-1', input: { text: 'hello' } }), /status 404/);
+            await assert.rejects(wrap(serviceError(401)).createSession('a1'), /status 401/);
+            await assert.rejects(wrap(Object.assign(new Error('Invalid Session'), { sessionExpired: true }))
+                .message({ sessionId: 'remote-1', input: { text: 'hello' } }), /Invalid Session/);
+
+            assert.deepStrictEqual(fallbacks, []);
+        });
+
+        it('keeps a conversation that started offline local', async function() {
+            var error = serviceError(500);
+            var assistant = wrap(error);
+            var sessionId = await assistant.createSession('a1');
+
+            // the service is back, but the local session carries on locally
+            error.code = undefined;
+            assistant = local.withFallback(primary(), fallback, function() {});
+            var result = await assistant.message({ sessionId: sessionId, input: { text: 'hello' } });
+
+            assert.strictEqual(sessionId, 'local-1');
+            assert.strictEqual(result.output.generic[0].text, 'Hello!');
+            await assistant.deleteSession('a1', sessionId);
+        });
+
+        it('answers stateless messages locally when the primary has no stateless form', async function() {
+            var result = await wrap().messageStateless({ input: { text: 'hello' } });
+
+            assert.strictEqual(result.output.generic[0].text, 'Hello!');
+            assert.deepStrictEqual(fallbacks, ['the primary assistant provider does not support stateless messages']);
+        });
+    });
+});
@@ -0,0 +1,166 @@
+/**
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const assert = require('assert');
+const PlaybackQueue = require('../lib/playbackqueue');
+
+// a job that plays until it is finished or stopped, noting when it starts in `played`
+function job(name, played) {
+    var playing;
+    return {
+        start: function() {
+            played.push(name);
+            return new Promise(function(resolve, reject) {
+                playing = { resolve: resolve, reject: reject };
+            });
+        },
+        stop: function() {
+            playing.resolve(false);
+        },
+        finish: function() {
+            playing.resolve(true);
+        },
+        fail: function(err) {
+            playing.reject(err);
+        }
+    };
+}
+
+// let the queue start the next job
+function tick() {
+    return new Promise(function(resolve) {
+        setImmediate(resolve);
+    });
+}
+
+describe('PlaybackQueue', function() {
+    it('plays one job at a time, highest priority first, in order within a priority', async function() {
+        var queue = new PlaybackQueue();
+        var played = [];
+        var jobs = ['first', 'low', 'normal 1', 'high', 'normal 2'].map(function(name) {
+            return job(name, played);
+        });
+
+        var results = [
+            queue.enqueue(jobs[0]),
+            queue.enqueue(jobs[1], { priority: -1 }),
+            queue.enqueue(jobs[2]),
+            queue.enqueue(jobs[3], { priority: 5 }),
+            queue.enqueue(jobs[4])
+        ];
+        await tick();
+        assert.strictEqual(queue.isPlaying(), true);
+        assert.strictEqual(queue.size(), 4);
+
+        for (var next of [0, 3, 2, 4, 1]) {
+            jobs[next].finish();
+            await tick();
+        }
+
+        assert.deepStrictEqual(played, ['first', 'high', 'normal 1', 'normal 2', 'low']);
+        assert.deepStrictEqual(await Promise.all(results), [true, true, true, true, true]);
+        assert.strictEqual(queue.isPlaying(), false);
+        assert.strictEqual(queue.size(), 0);
+    });
+
+    it('interrupts a job with a lower priority when asked to', async function() {
+        var queue = new PlaybackQueue();
+        var played = [];
+        var chatter = job('chatter', played);
+        var alarm = job('alarm', played);
+        var more = job('more', played);
+
+        var chatterResult = queue.enqueue(chatter);
+        await tick();
+        // the same priority doesn't interrupt
+        var moreResult = queue.enqueue(more, { interrupt: true });
+        var alarmResult = queue.enqueue(alarm, { priority: 1, interrupt: true });
+
+        assert.strictEqual(await chatterResult, false);
+        await tick();
+        assert.deepStrictEqual(played, ['chatter', 'alarm']);
+
+        alarm.finish();
+        assert.strictEqual(await alarmResult, true);
+        await tick();
+        more.finish();
+        assert.strictEqual(await moreResult, true);
+    });
+
+    it('resolves a stopped job with false and plays the next one', async function() {
+        var queue = new PlaybackQueue();
+        var played = [];
+        var first = job('first', played);
+        var second = job('second', played);
+
+        assert.strictEqual(queue.stopCurrent(), false);
+
+        var firstResult = queue.enqueue(first);
+        var secondResult = queue.enqueue(second);
+        await tick();
+
+        assert.strictEqual(queue.stopCurrent(), true);
+        assert.strictEqual(queue.stopCurrent(), false);
+        assert.strictEqual(await firstResult, false);
+        await tick();
+        assert.deepStrictEqual(played, ['first', 'second']);
+
+        second.finish();
+        assert.strictEqual(await secondResult, true);
+    });
+
+    it('resolves the waiting jobs with false when cleared', async function() {
+        var queue = new PlaybackQueue();
+        var played = [];
+        var playing = job('playing', played);
+
+        var playingResult = queue.enqueue(playing);
+        var waitingResults = [queue.enqueue(job('a', played)), queue.enqueue(job('b', played))];
+        await tick();
+
+        assert.strictEqual(queue.clear(), 2);
+        assert.strictEqual(queue.size(), 0);
+        assert.deepStrictEqual(await Promise.all(waitingResults), [false, false]);
+
+        // the job that is playing goes on
+        assert.strictEqual(queue.isPlaying(), true);
+        playing.finish();
+        assert.strictEqual(await playingResult, true);
+        assert.deepStrictEqual(played, ['playing']);
+    });
+
+    it('rejects when a job fails and goes on with the next', async function() {
+        var queue = new PlaybackQueue();
+        var played = [];
+        var broken = job('broken', played);
+        var next = job('next', played);
+
+        var brokenResult = queue.enqueue(broken);
+        var nextResult = queue.enqueue(next);
+        await tick();
+
+        broken.fail(new Error('no audio device'));
+        await assert.rejects(brokenResult, /no audio device/);
+        await tick();
+
+        next.finish();
+        assert.strictEqual(await nextResult, true);
+        assert.deepStrictEqual(played, ['broken', 'next']);
+    });
+});
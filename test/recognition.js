@@ -0,0 +1,270 @@
+/**
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const recognition = require('../lib/recognition');
+const { tokenize } = require('../lib/providers/local');
+
+// a recognize stream message with one result
+function message(index, final, alternatives, extra) {
+    return Object.assign({
+        result_index: index,
+        results: [{
+            final: final,
+            alternatives: alternatives
+        }]
+    }, extra);
+}
+
+describe('recognition', function() {
+    describe('normalizeResult', function() {
+        it('trims the transcripts and keeps the alternatives in order', function() {
+            var result = recognition.normalizeResult({
+                final: true,
+                alternatives: [
+                    { transcript: 'turn on the light ', confidence: 0.9 },
+                    { transcript: 'turn on the lights ', confidence: 0.4 }
+                ]
+            }, 3);
+
+            assert.deepStrictEqual(result, {
+                final: true,
+                transcript: 'turn on the light',
+                confidence: 0.9,
+                alternatives: [
+                    { transcript: 'turn on the light', confidence: 0.9 },
+                    { transcript: 'turn on the lights', confidence: 0.4 }
+                ],
+                resultIndex: 3
+            });
+        });
+
+        it('turns timestamps into words', function() {
+            var result = recognition.normalizeResult({
+                final: true,
+                alternatives: [{ transcript: 'hello there', confidence: 1, timestamps: [['hello', 0.1, 0.5], ['there', 0.5, 0.9]] }]
+            }, 0);
+
+            assert.deepStrictEqual(result.words, [
+                { word: 'hello', start: 0.1, end: 0.5 },
+                { word: 'there', start: 0.5, end: 0.9 }
+            ]);
+        });
+    });
+
+    describe('ResultAssembler', function() {
+        it('only passes on final results by default', function() {
+            var delivered = [];
+            var assembler = new recognition.ResultAssembler({}, function(result) {
+                delivered.push(result);
+            });
+
+            assembler.push(message(0, false, [{ transcript: 'turn on' }]));
+            assembler.push(message(0, true, [{ transcript: 'turn on the light ', confidence: 0.8 }]));
+
+            assert.strictEqual(delivered.length, 1);
+            assert.strictEqual(delivered[0].final, true);
+            assert.strictEqual(delivered[0].transcript, 'turn on the light');
+        });
+
+        it('passes on interim results when asked to', function() {
+            var delivered = [];
+            var assembler = new recognition.ResultAssembler({ interimResults: true }, function(result) {
+                delivered.push(result);
+            });
+
+            assembler.push(message(0, false, [{ transcript: 'turn on' }]));
+            assembler.push(message(0, false, [{ transcript: '' }]));
+            assembler.push(message(0, true, [{ transcript: 'turn on the light', confidence: 0.8 }]));
+
+            assert.deepStrictEqual(delivered.map(function(result) {
+                return result.final;
+            }), [false, true]);
+        });
+
+        it('drops or marks results below the minimum confidence', function() {
+            var dropped = [];
+            var marked = [];
+            var dropping = new recognition.ResultAssembler({ minConfidence: 0.5 }, function(result) {
+                dropped.push(result);
+            });
+            var marking = new recognition.ResultAssembler({ minConfidence: 0.5, lowConfidence: 'mark' }, function(result) {
+                marked.push(result);
+            });
+
+            [dropping, marking].forEach(function(assembler) {
+                assembler.push(message(0, true, [{ transcript: 'mumble', confidence: 0.3 }]));
+                assembler.push(message(1, true, [{ transcript: 'wave', confidence: 0.7 }]));
+            });
+
+            assert.deepStrictEqual(dropped.map(function(result) {
+                return result.transcript;
+            }), ['wave']);
+            assert.deepStrictEqual(marked.map(function(result) {
+                return [result.transcript, result.uncertain];
+            }), [['mumble', true], ['wave', undefined]]);
+        });
+
+        it('rejects an unknown low confidence setting', function() {
+            assert.throws(function() {
+                new recognition.ResultAssembler({ lowConfidence: 'ignore' }, function() {});
+            }, /lowConfidence/);
+        });
+
+        it('holds final results back until their speaker labels arrive', function() {
+            var delivered = [];
+            var assembler = new recognition.ResultAssembler({ speakerLabels: true }, function(result) {
+                delivered.push(result);
+            });
+
+            assembler.push(message(0, true, [{
+                transcript: 'hello there',
+                confidence: 0.9,
+                timestamps: [['hello', 0.1, 0.5], ['there', 0.5, 0.9]]
+            }]));
+            assert.strictEqual(delivered.length, 0);
+
+            assembler.push({ speaker_labels: [{ from: 0.1, to: 0.5, speaker: 0 }] });
+            assert.strictEqual(delivered.length, 0);
+
+            assembler.push({ speaker_labels: [{ from: 0.5, to: 0.9, speaker: 1 }] });
+            assert.strictEqual(delivered.length, 1);
+            assert.deepStrictEqual(delivered[0].words.map(function(word) {
+                return word.speaker;
+            }), [0, 1]);
+        });
+
+        it('passes on held results without labels when flushed', function() {
+            var delivered = [];
+            var assembler = new recognition.ResultAssembler({ speakerLabels: true }, function(result) {
+                delivered.push(result);
+            });
+
+            assembler.push(message(0, true, [{
+                transcript: 'hello',
+                confidence: 0.9,
+                timestamps: [['hello', 0.1, 0.5]]
+            }]));
+            assembler.flush();
+
+            assert.strictEqual(delivered.length, 1);
+            assert.strictEqual(delivered[0].words[0].speaker, undefined);
+        });
+    });
+
+    describe('resolveModel', function() {
+        it('names the model of a family for a language', function() {
+            assert.deepStrictEqual(recognition.resolveModel('en-US', 'narrowband'), { name: 'en-US_NarrowbandModel', rate: 8000 });
+            assert.deepStrictEqual(recognition.resolveModel('de-DE', 'multimedia'), { name: 'de-DE_Multimedia', rate: 16000 });
+        });
+
+        it('takes a full model name as is', function() {
+            assert.deepStrictEqual(recognition.resolveModel('en-US', 'fr-FR_Telephony'), { name: 'fr-FR_Telephony', rate: 8000 });
+            assert.deepStrictEqual(recognition.resolveModel('en-US', 'en-GB_BroadbandModel'), { name: 'en-GB_BroadbandModel', rate: 16000 });
+        });
+
+        it('rejects an unknown family', function() {
+            assert.throws(function() {
+                recognition.resolveModel('en-US', 'wideband');
+            }, /does not know the "wideband"/);
+        });
+    });
+
+    describe('isRetryableError', function() {
+        it('retries network problems and outages', function() {
+            assert.strictEqual(recognition.isRetryableError(new Error('WebSocket connection error')), true);
+            assert.strictEqual(recognition.isRetryableError(Object.assign(new Error('Service Unavailable'), { statusCode: 503 })), true);
+        });
+
+        it('gives up on rejected credentials and parameters', function() {
+            assert.strictEqual(recognition.isRetryableError(Object.assign(new Error('Forbidden'), { statusCode: 403 })), false);
+            assert.strictEqual(recognition.isRetryableError(new Error('Unauthorized')), false);
+            assert.strictEqual(recognition.isRetryableError(new Error('Model en-US_FooModel not found')), false);
+        });
+    });
+
+    describe('afterPhrase', function() {
+        var phrase = tokenize('hey Michael');
+
+        it('finds the phrase and gives the rest of the transcript as it was heard', function() {
+            assert.deepStrictEqual(recognition.afterPhrase('Hey Michael, wave!', phrase), { rest: 'wave!', words: 2 });
+            assert.deepStrictEqual(recognition.afterPhrase('hey michael', phrase), { rest: '', words: 2 });
+        });
+
+        it('finds the phrase after other words', function() {
+            assert.deepStrictEqual(recognition.afterPhrase('okay hey michael  turn on the light', phrase), { rest: 'turn on the light', words: 3 });
+        });
+
+        it('tolerates small mishearings and accents', function() {
+            assert.deepStrictEqual(recognition.afterPhrase('hey michel', phrase), { rest: '', words: 2 });
+            assert.deepStrictEqual(recognition.afterPhrase('hey Míchael wave', phrase), { rest: 'wave', words: 2 });
+        });
+
+        it('does not find other words', function() {
+            assert.strictEqual(recognition.afterPhrase('hi Michael', phrase), undefined);
+            assert.strictEqual(recognition.afterPhrase('hey mike', phrase), undefined);
+            assert.strictEqual(recognition.afterPhrase('Michael', phrase), undefined);
+            assert.strictEqual(recognition.afterPhrase('', phrase), undefined);
+        });
+    });
+
+    describe('resultAfterPhrase', function() {
+        var phrase = tokenize('hey Michael');
+
+        it('removes the phrase from the transcript, the words and the alternatives', function() {
+            var result = {
+                final: true,
+                transcript: 'hey Michael wave',
+                confidence: 0.9,
+                alternatives: [
+                    { transcript: 'hey Michael wave', confidence: 0.9 },
+                    { transcript: 'hey Michel wait', confidence: 0.5 },
+                    { transcript: 'hey mike wave', confidence: 0.3 }
+                ],
+                words: [
+                    { word: 'hey', start: 0, end: 0.2 },
+                    { word: 'Michael', start: 0.2, end: 0.6 },
+                    { word: 'wave', start: 0.8, end: 1.1 }
+                ]
+            };
+
+            var trimmed = recognition.resultAfterPhrase(result, recognition.afterPhrase(result.transcript, phrase), phrase);
+
+            assert.deepStrictEqual(trimmed, {
+                final: true,
+                transcript: 'wave',
+                confidence: 0.9,
+                alternatives: [
+                    { transcript: 'wave', confidence: 0.9 },
+                    { transcript: 'wait', confidence: 0.5 }
+                ],
+                words: [{ word: 'wave', start: 0.8, end: 1.1 }]
+            });
+            assert.strictEqual(result.transcript, 'hey Michael wave');
+        });
+
+        it('trims a result without words or alternatives', function() {
+            var result = { final: true, transcript: 'so hey Michael, lights on' };
+
+            assert.deepStrictEqual(recognition.resultAfterPhrase(result, recognition.afterPhrase(result.transcript, phrase), phrase), {
+                final: true,
+                transcript: 'lights on'
+            });
+        });
+    });
+});
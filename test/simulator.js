@@ -0,0 +1,247 @@
+/**
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Simulator = require('../lib/simulator');
+
+// a mono 16 bit WAV file with the given samples
+function wavFile(directory, rate, samples) {
+    var data = Buffer.alloc(samples.length * 2);
+    samples.forEach(function(sample, i) {
+        data.writeInt16LE(sample, i * 2);
+    });
+
+    var header = Buffer.alloc(44);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + data.length, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(1, 22);
+    header.writeUInt32LE(rate, 24);
+    header.writeUInt32LE(rate * 2, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(data.length, 40);
+
+    var file = path.join(directory, 'fixture.wav');
+    fs.writeFileSync(file, Buffer.concat([header, data]));
+    return file;
+}
+
+describe('Simulator', function() {
+    var directory;
+
+    beforeEach(function() {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tjbot-simulator-'));
+    });
+
+    afterEach(function() {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    describe('log', function() {
+        it('records entries and filters them by device', function() {
+            var simulator = new Simulator();
+            simulator.record('servo', 'servoWrite', { pulseWidth: 500 });
+            simulator.record('led', 'render', { colors: [0] });
+
+            assert.deepStrictEqual(simulator.entries().map(function(entry) {
+                return entry.device + '.' + entry.action;
+            }), ['servo.servoWrite', 'led.render']);
+            assert.strictEqual(simulator.entries('servo').length, 1);
+            assert.deepStrictEqual(simulator.entries('servo')[0].value, { pulseWidth: 500 });
+        });
+
+        it('returns a copy of the log and clears it', function() {
+            var simulator = new Simulator();
+            simulator.record('servo', 'servoWrite', 500);
+
+            simulator.entries().pop();
+            assert.strictEqual(simulator.entries().length, 1);
+
+            simulator.clear();
+            assert.deepStrictEqual(simulator.entries(), []);
+        });
+    });
+
+    describe('gpio', function() {
+        it('logs writes and reports the last pulse width and duty cycle', function() {
+            var simulator = new Simulator();
+            var pin = simulator.createGpio('servo', 7);
+
+            pin.servoWrite(1500);
+            pin.pwmWrite(128);
+
+            assert.strictEqual(pin.getServoPulseWidth(), 1500);
+            assert.strictEqual(pin.getPwmDutyCycle(), 128);
+            assert.deepStrictEqual(simulator.entries('servo').map(function(entry) {
+                return entry.value;
+            }), [{ pin: 7, pulseWidth: 1500 }, { pin: 7, dutyCycle: 128 }]);
+        });
+    });
+
+    describe('neopixel', function() {
+        it('logs the rendered colors as #RRGGBB', function() {
+            var simulator = new Simulator();
+            var ws281x = simulator.createNeopixel();
+
+            ws281x.init(2);
+            // the LED takes 0xGGRRBB
+            ws281x.render(new Uint32Array([0x00ff00, 0x0000ff]));
+
+            var render = simulator.entries('led').pop();
+            assert.strictEqual(render.action, 'render');
+            assert.deepStrictEqual(render.value.rgb, ['#ff0000', '#0000ff']);
+            assert.deepStrictEqual(Array.from(ws281x.pixels), [0x00ff00, 0x0000ff]);
+        });
+    });
+
+    describe('camera', function() {
+        it('writes a blank photo when there are no fixtures', function() {
+            var simulator = new Simulator();
+            var camera = simulator.createCamera({ outputDir: directory, fileName: 'photo', encoding: 'jpg' });
+
+            return camera.takePhoto().then(function(data) {
+                var file = path.join(directory, 'photo.jpg');
+                assert.deepStrictEqual(fs.readFileSync(file), data);
+                // JPEG start of image marker
+                assert.strictEqual(data.readUInt16BE(0), 0xffd8);
+                assert.strictEqual(simulator.entries('camera')[0].value.path, file);
+            });
+        });
+
+        it('serves the fixture photos in turn', function() {
+            var first = path.join(directory, 'first.jpg');
+            var second = path.join(directory, 'second.jpg');
+            fs.writeFileSync(first, 'first');
+            fs.writeFileSync(second, 'second');
+
+            var simulator = new Simulator({ photos: [first, second] });
+            var camera = simulator.createCamera({ outputDir: directory, fileName: 'photo' });
+
+            return camera.takePhoto().then(function() {
+                return camera.takePhoto();
+            }).then(function() {
+                return camera.takePhoto();
+            }).then(function(data) {
+                assert.strictEqual(data.toString(), 'first');
+                assert.deepStrictEqual(simulator.entries('camera').map(function(entry) {
+                    return entry.value.fixture;
+                }), [first, second, first]);
+            });
+        });
+    });
+
+    describe('microphone', function() {
+        it('streams silence when there is no fixture', function(done) {
+            var simulator = new Simulator({ realtime: false });
+            var mic = simulator.createMicrophone({ rate: '16000', channels: '1' });
+
+            mic.getAudioStream().once('data', function(chunk) {
+                mic.stop();
+                // 100 ms of 16 bit mono audio at 16 kHz
+                assert.strictEqual(chunk.length, 3200);
+                assert.ok(chunk.every(function(value) {
+                    return value == 0;
+                }));
+                done();
+            });
+            mic.start();
+        });
+
+        it('plays a fixture once and then reports silence', function(done) {
+            var samples = [];
+            for (var i = 0; i < 2000; i++) {
+                samples.push(i);
+            }
+            var simulator = new Simulator({
+                realtime: false,
+                loopMicrophone: false,
+                microphoneFile: wavFile(directory, 16000, samples)
+            });
+            var mic = simulator.createMicrophone({ rate: '16000', channels: '1' });
+            var chunks = [];
+
+            mic.getAudioStream().on('data', function(chunk) {
+                chunks.push(chunk);
+            });
+            mic.getAudioStream().on('silence', function() {
+                mic.stop();
+                var pcm = Buffer.concat(chunks);
+                assert.strictEqual(pcm.length, samples.length * 2);
+                assert.strictEqual(pcm.readInt16LE(1999 * 2), 1999);
+                assert.deepStrictEqual(simulator.entries('microphone').map(function(entry) {
+                    return entry.action;
+                }), ['start', 'stop']);
+                done();
+            });
+            mic.start();
+        });
+
+        it('can not be paused when it is not running', function() {
+            var simulator = new Simulator();
+            var mic = simulator.createMicrophone({});
+
+            mic.pause();
+            mic.resume();
+            assert.deepStrictEqual(simulator.entries('microphone'), []);
+        });
+    });
+
+    describe('speaker', function() {
+        it('logs the played file and completes', function(done) {
+            var simulator = new Simulator();
+            var SoundPlayer = simulator.createSoundPlayer();
+            var player = new SoundPlayer({ filename: 'sound.wav', device: 'plughw:0,0' });
+
+            player.on('complete', function() {
+                assert.deepStrictEqual(simulator.entries('speaker')[0].value, {
+                    file: 'sound.wav',
+                    device: 'plughw:0,0'
+                });
+                done();
+            });
+            player.play();
+        });
+
+        it('does not complete when stopped', function(done) {
+            var simulator = new Simulator({ playbackMs: 20 });
+            var SoundPlayer = simulator.createSoundPlayer();
+            var player = new SoundPlayer({ filename: 'sound.wav' });
+
+            player.on('complete', function() {
+                done(new Error('stopped playback completed'));
+            });
+            player.play();
+            player.stop();
+
+            setTimeout(function() {
+                assert.deepStrictEqual(simulator.entries('speaker').map(function(entry) {
+                    return entry.action;
+                }), ['play', 'stop']);
+                done();
+            }, 50);
+        });
+    });
+});
@@ -0,0 +1,142 @@
+/**
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+const SpeechCache = require('../lib/speechcache');
+
+// a stream of `bytes` bytes of audio, like the one the text to speech service returns
+function audio(bytes) {
+    return stream.Readable.from([Buffer.alloc(bytes, 1)]);
+}
+
+describe('SpeechCache', function() {
+    var directory;
+
+    beforeEach(function() {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tjbot-cache-'));
+    });
+
+    afterEach(function() {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('needs a directory', function() {
+        assert.throws(function() {
+            new SpeechCache({});
+        }, /needs a directory/);
+    });
+
+    it('keys the same parameters the same way, whatever their order', function() {
+        var cache = new SpeechCache({ directory: directory });
+
+        assert.strictEqual(cache.key({ text: 'hello', voice: 'en-US_AllisonV3Voice' }),
+            cache.key({ voice: 'en-US_AllisonV3Voice', text: 'hello', rate: undefined }));
+        assert.notStrictEqual(cache.key({ text: 'hello', voice: 'en-US_AllisonV3Voice' }),
+            cache.key({ text: 'hello', voice: 'en-US_MichaelV3Voice' }));
+    });
+
+    it('stores audio and finds it again', async function() {
+        var cache = new SpeechCache({ directory: directory });
+        var params = { text: 'hello', voice: 'en-US_AllisonV3Voice', accept: 'audio/wav' };
+
+        assert.strictEqual(cache.get(params), undefined);
+
+        var filePath = await cache.put(params, audio(100));
+        assert.strictEqual(path.extname(filePath), '.wav');
+        assert.strictEqual(cache.get(params), filePath);
+        assert.strictEqual(fs.readFileSync(filePath).length, 100);
+        assert.strictEqual(cache.size(), 100);
+    });
+
+    it('caches nothing when the audio fails', async function() {
+        var cache = new SpeechCache({ directory: directory });
+        var failing = new stream.Readable({
+            read: function() {
+                this.destroy(new Error('connection reset'));
+            }
+        });
+
+        await assert.rejects(cache.put({ text: 'hello' }, failing), /connection reset/);
+        assert.strictEqual(cache.get({ text: 'hello' }), undefined);
+        assert.deepStrictEqual(fs.readdirSync(directory).filter(function(name) {
+            return !/\.part$/.test(name);
+        }), []);
+    });
+
+    it('removes the least recently used audio when it gets too big', async function() {
+        var cache = new SpeechCache({ directory: directory, maxBytes: 250 });
+
+        await cache.put({ text: 'one' }, audio(100));
+        await cache.put({ text: 'two' }, audio(100));
+        // using 'one' leaves 'two' as the least recently used
+        cache.get({ text: 'one' });
+        await cache.put({ text: 'three' }, audio(100));
+
+        assert.ok(cache.get({ text: 'one' }));
+        assert.strictEqual(cache.get({ text: 'two' }), undefined);
+        assert.ok(cache.get({ text: 'three' }));
+        assert.strictEqual(cache.size(), 200);
+        assert.strictEqual(fs.readdirSync(directory).length, 2);
+    });
+
+    it('keeps the audio between instances and cleans up unfinished writes', async function() {
+        var cache = new SpeechCache({ directory: directory });
+        var filePath = await cache.put({ text: 'hello' }, audio(100));
+        fs.writeFileSync(filePath + '.0123abcd.part', 'half');
+
+        var reopened = new SpeechCache({ directory: directory });
+
+        assert.strictEqual(reopened.get({ text: 'hello' }), filePath);
+        assert.strictEqual(reopened.size(), 100);
+        assert.deepStrictEqual(fs.readdirSync(directory), [path.basename(filePath)]);
+    });
+
+    it('forgets audio whose file was removed', async function() {
+        var cache = new SpeechCache({ directory: directory });
+        fs.unlinkSync(await cache.put({ text: 'hello' }, audio(100)));
+
+        assert.strictEqual(cache.get({ text: 'hello' }), undefined);
+        assert.strictEqual(cache.size(), 0);
+    });
+
+    it('stores documents next to the audio', function() {
+        var cache = new SpeechCache({ directory: directory });
+
+        assert.strictEqual(cache.getDocument('voices'), undefined);
+        cache.putDocument('voices', [{ name: 'en-US_AllisonV3Voice' }]);
+        assert.deepStrictEqual(new SpeechCache({ directory: directory }).getDocument('voices'), [{ name: 'en-US_AllisonV3Voice' }]);
+    });
+
+    it('removes all the audio when cleared', async function() {
+        var cache = new SpeechCache({ directory: directory });
+        await cache.put({ text: 'one' }, audio(100));
+        await cache.put({ text: 'two' }, audio(100));
+        cache.putDocument('voices', []);
+
+        cache.clear();
+
+        assert.strictEqual(cache.size(), 0);
+        assert.strictEqual(cache.get({ text: 'one' }), undefined);
+        assert.deepStrictEqual(fs.readdirSync(directory), ['voices.json']);
+    });
+});
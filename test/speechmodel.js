@@ -0,0 +1,249 @@
+/**
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const assert = require('assert');
+const { Transform } = require('stream');
+const TJBot = require('../index');
+
+// a speech_to_text service keeping custom models in memory: a model is analyzed after one status
+// check, and trained after two; `calls` lists what TJBot asked of it
+var fake;
+
+TJBot.registerProvider('speech_to_text', 'test-models', function() {
+    function model(customizationId) {
+        var found = fake.models[customizationId];
+        if (found == undefined) {
+            throw Object.assign(new Error('Customization ' + customizationId + ' not found'), { statusCode: 404 });
+        }
+        return found;
+    }
+
+    return {
+        recognizeStream: function(params) {
+            var stream = new Transform({
+                transform: function(chunk, encoding, callback) {
+                    callback();
+                }
+            });
+            stream.params = params;
+            fake.streams.push(stream);
+            return stream;
+        },
+
+        createLanguageModel: async function(params) {
+            var customizationId = 'model-' + (Object.keys(fake.models).length + 1);
+            fake.calls.push('create ' + params.name + ' ' + params.baseModelName);
+            fake.models[customizationId] = {
+                customizationId: customizationId,
+                name: params.name,
+                language: params.baseModelName.split('_')[0],
+                baseModelName: params.baseModelName,
+                status: 'pending',
+                checks: 0
+            };
+            return Object.assign({}, fake.models[customizationId]);
+        },
+
+        addCorpus: async function(params) {
+            fake.calls.push('corpus ' + params.customizationId + ' ' + params.corpusName + ' ' + params.corpusFile.toString());
+            model(params.customizationId).status = 'pending';
+        },
+
+        addWords: async function(params) {
+            fake.calls.push('words ' + params.customizationId + ' ' + JSON.stringify(params.words));
+            model(params.customizationId).status = 'pending';
+        },
+
+        trainLanguageModel: async function(params) {
+            var trained = model(params.customizationId);
+            if (trained.status != 'ready' && trained.status != 'available') {
+                throw new Error('the model is ' + trained.status);
+            }
+            fake.calls.push('train ' + params.customizationId);
+            trained.status = 'training';
+            trained.checks = 0;
+        },
+
+        getLanguageModel: async function(customizationId) {
+            var found = model(customizationId);
+            found.checks++;
+            if (found.status == 'pending') {
+                found.status = 'ready';
+            } else if (found.status == 'training' && found.checks >= 2) {
+                found.status = fake.failTraining ? 'failed' : 'available';
+                found.error = fake.failTraining ? 'not enough data' : undefined;
+            }
+            return Object.assign({}, found);
+        },
+
+        listLanguageModels: async function(language) {
+            return Object.keys(fake.models).map(function(customizationId) {
+                return Object.assign({}, fake.models[customizationId]);
+            }).filter(function(found) {
+                return language == undefined || found.language == language;
+            });
+        },
+
+        deleteLanguageModel: async function(customizationId) {
+            model(customizationId);
+            fake.calls.push('delete ' + customizationId);
+            delete fake.models[customizationId];
+        }
+    };
+});
+
+// a TJBot customizing listening with the fake service
+function customizingBot(configuration) {
+    return new TJBot(['microphone'], Object.assign({
+        log: { level: 'error' },
+        simulation: { enabled: true }
+    }, configuration), {
+        speech_to_text: { provider: 'test-models' }
+    });
+}
+
+describe('custom speech models', function() {
+    var tj;
+
+    beforeEach(function() {
+        fake = {
+            models: {},
+            streams: [],
+            calls: [],
+            failTraining: false
+        };
+        tj = customizingBot();
+    });
+
+    it('creates, trains and then listens with a custom model', async function() {
+        var trained = [];
+        tj.on(TJBot.EVENTS.SPEECH_MODEL_TRAINED, function(model) {
+            trained.push(model.customizationId);
+        });
+
+        var model = await tj.createSpeechModel('kitchen');
+        await tj.addSpeechCorpus(model.customizationId, 'recipes', Buffer.from('preheat the oven'));
+        await tj.addSpeechWords(model.customizationId, ['TJBot', { word: 'sous-vide', soundsLike: 'sue veed' }]);
+        var result = await tj.trainSpeechModel(model.customizationId, { pollIntervalMs: 1 });
+
+        assert.strictEqual(result.status, 'available');
+        assert.deepStrictEqual(trained, [model.customizationId]);
+        assert.deepStrictEqual(fake.calls, [
+            'create kitchen ' + model.baseModelName,
+            'corpus model-1 recipes preheat the oven',
+            'words model-1 [{"word":"TJBot"},{"word":"sous-vide","soundsLike":["sue veed"]}]',
+            'train model-1'
+        ]);
+        assert.strictEqual(tj.configuration.listen.customization_id, 'model-1');
+
+        var heard = tj.listenOnce({ timeoutMs: 1000 });
+        assert.strictEqual(fake.streams[0].params.customizationId, 'model-1');
+        fake.streams[0].push('preheat the oven');
+        assert.strictEqual(await heard, 'preheat the oven');
+    });
+
+    it('leaves the listen settings of other TJBots alone', async function() {
+        var configuration = {
+            listen: Object.assign({}, TJBot.prototype.defaultConfiguration.listen, { language: 'en-GB' })
+        };
+        var one = customizingBot(configuration);
+        var other = customizingBot(configuration);
+
+        one.useSpeechModel('model-1');
+        tj.useSpeechModel('model-2');
+
+        assert.strictEqual(one._recognizeParams('en-GB').customizationId, 'model-1');
+        assert.strictEqual(tj._recognizeParams('en-US').customizationId, 'model-2');
+        assert.strictEqual(other._recognizeParams('en-GB').customizationId, undefined);
+        assert.strictEqual(customizingBot()._recognizeParams('en-US').customizationId, undefined);
+        assert.strictEqual(configuration.listen.customization_id, '');
+        assert.strictEqual(TJBot.prototype.defaultConfiguration.listen.customization_id, '');
+    });
+
+    it('only listens with the model in the language TJBot is configured for', function() {
+        tj.useSpeechModel('model-1');
+
+        assert.strictEqual(tj._recognizeParams('en-US').customizationId, 'model-1');
+        assert.strictEqual(tj._recognizeParams('de-DE').customizationId, undefined);
+    });
+
+    it('trains without waiting or switching to the model', async function() {
+        var model = await tj.createSpeechModel('kitchen');
+
+        var training = await tj.trainSpeechModel(model.customizationId, { wait: false, pollIntervalMs: 1 });
+        assert.strictEqual(training.status, 'training');
+
+        var trained = await tj.trainSpeechModel(model.customizationId, { use: false, pollIntervalMs: 1 });
+        assert.strictEqual(trained.status, 'available');
+        assert.strictEqual(tj.configuration.listen.customization_id, '');
+    });
+
+    it('fails when training fails', async function() {
+        fake.failTraining = true;
+        var model = await tj.createSpeechModel('kitchen');
+
+        await assert.rejects(tj.trainSpeechModel(model.customizationId, { pollIntervalMs: 1 }), /failed: not enough data/);
+        assert.strictEqual(tj.configuration.listen.customization_id, '');
+    });
+
+    it('gives up waiting for a model in time', async function() {
+        var model = await tj.createSpeechModel('kitchen');
+
+        await assert.rejects(tj.waitForSpeechModel(model.customizationId, { pollIntervalMs: 20, timeoutMs: 10 }),
+            /still ready after 10 ms/);
+    });
+
+    it('lists the models of a language', async function() {
+        await tj.createSpeechModel('kitchen');
+        await tj.createSpeechModel('küche', { language: 'de-DE' });
+
+        assert.deepStrictEqual((await tj.listSpeechModels('de-DE')).map(function(model) {
+            return model.name;
+        }), ['küche']);
+        assert.strictEqual((await tj.listSpeechModels()).length, 2);
+    });
+
+    it('goes back to the base model when the model in use is deleted', async function() {
+        var kitchen = await tj.createSpeechModel('kitchen');
+        var garage = await tj.createSpeechModel('garage');
+        tj.useSpeechModel(kitchen.customizationId);
+
+        await tj.deleteSpeechModel(garage.customizationId);
+        assert.strictEqual(tj.configuration.listen.customization_id, kitchen.customizationId);
+
+        await tj.deleteSpeechModel(kitchen.customizationId);
+        assert.strictEqual(tj.configuration.listen.customization_id, '');
+        assert.deepStrictEqual(Object.keys(fake.models), []);
+    });
+
+    it('reports the errors of the service', async function() {
+        var errors = [];
+        tj.on(TJBot.EVENTS.SERVICE_ERROR, function(error) {
+            errors.push(error.service + ' ' + error.error.statusCode);
+        });
+
+        await assert.rejects(tj.getSpeechModel('model-9'), /not found/);
+        assert.deepStrictEqual(errors, ['speech_to_text 404']);
+    });
+
+    it('needs a word for every word added', async function() {
+        await assert.rejects(tj.addSpeechWords('model-1', [{ soundsLike: 'tee jay bot' }]), /needs a `word`/);
+        assert.deepStrictEqual(fake.calls, []);
+    });
+});
@@ -0,0 +1,158 @@
+/**
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const assert = require('assert');
+const ssml = require('../lib/ssml');
+
+describe('ssml', function() {
+    describe('escape', function() {
+        it('escapes the characters that have a meaning in XML', function() {
+            assert.strictEqual(ssml.escape('Tom & Jerry say "<hi>" and \'bye\''),
+                'Tom &amp; Jerry say &quot;&lt;hi&gt;&quot; and &apos;bye&apos;');
+            assert.strictEqual(ssml.escape(42), '42');
+        });
+    });
+
+    describe('isSSML', function() {
+        it('recognizes messages that start with a <speak> element', function() {
+            assert.strictEqual(ssml.isSSML('<speak>hello</speak>'), true);
+            assert.strictEqual(ssml.isSSML('  <?xml version="1.0"?>\n<speak version="1.0">hello</speak>'), true);
+            assert.strictEqual(ssml.isSSML('<speaker>hello</speaker>'), false);
+            assert.strictEqual(ssml.isSSML('say <speak>'), false);
+            assert.strictEqual(ssml.isSSML(['<speak>']), false);
+        });
+    });
+
+    describe('validate', function() {
+        it('accepts well-formed SSML', function() {
+            ssml.validate('<?xml version="1.0"?>\n<speak version="1.0" xml:lang="en-US">' +
+                '<!-- a comment with <tags> -->' +
+                'Hello <break time="500ms"/> <prosody rate="-10%" pitch="+2st">there</prosody>, ' +
+                '<say-as interpret-as=\'digits\'>123</say-as> &amp; bye</speak>');
+        });
+
+        it('accepts the IBM extensions', function() {
+            ssml.validate('<speak><express-as type="GoodNews">We won!</express-as> ' +
+                '<voice-transformation type="Custom" breathiness="40%" timbre="Sunrise">Hello</voice-transformation></speak>');
+        });
+
+        it('lets unknown elements through', function() {
+            ssml.validate('<speak><audio src="https://example.com/beep.mp3" any="thing">beep</audio> <lang xml:lang="fr">bonjour</lang></speak>');
+        });
+
+        it('checks the attributes of the elements it knows', function() {
+            assert.throws(function() {
+                ssml.validate('<speak><break strength="loud"/></speak>');
+            }, /"loud" is not a valid strength of <break>; use one of none, x-weak/);
+            assert.throws(function() {
+                ssml.validate('<speak><prosody speed="fast">hi</prosody></speak>');
+            }, /<prosody> has no "speed" attribute/);
+            assert.throws(function() {
+                ssml.validate('<speak><say-as>123</say-as></speak>');
+            }, /<say-as> needs the "interpret-as" attribute/);
+            assert.throws(function() {
+                ssml.validate('<speak><express-as type="Joy">hi</express-as></speak>');
+            }, /"Joy" is not a valid type of <express-as>/);
+            assert.throws(function() {
+                ssml.validate('<speak><break time="1s" time="2s"/></speak>');
+            }, /"time" attribute twice/);
+        });
+
+        it('tells where SSML is not well-formed', function() {
+            assert.throws(function() {
+                ssml.validate('<speak>\n  <emphasis>hi</prosody>\n</speak>');
+            }, /^Error: invalid SSML \(line 2, column 15\): <\/prosody> closes <emphasis>$/);
+            assert.throws(function() {
+                ssml.validate('<speak>\nfish & chips</speak>');
+            }, /line 2, column 6\): unescaped "&"/);
+            assert.throws(function() {
+                ssml.validate('<speak><break time=500ms/></speak>');
+            }, /line 1, column 8\): malformed tag "<break time=500ms\/"/);
+            assert.throws(function() {
+                ssml.validate('<speak>hello');
+            }, /<speak> is not closed/);
+        });
+
+        it('needs a single <speak> root', function() {
+            assert.throws(function() {
+                ssml.validate('hello <speak>there</speak>');
+            }, /text outside of the <speak> element/);
+            assert.throws(function() {
+                ssml.validate('<p>hello</p>');
+            }, /the root element must be <speak>, not <p>/);
+            assert.throws(function() {
+                ssml.validate('<speak>a</speak><speak>b</speak>');
+            }, /only one <speak> element is allowed/);
+            assert.throws(function() {
+                ssml.validate('<speak><speak>a</speak></speak>');
+            }, /<speak> can not be inside another element/);
+            assert.throws(function() {
+                ssml.validate('');
+            }, /there is no <speak> element/);
+        });
+    });
+
+    describe('needsSSML', function() {
+        it('takes SSML for segments and settings', function() {
+            assert.strictEqual(ssml.needsSSML('hello'), false);
+            assert.strictEqual(ssml.needsSSML('hello', { voice: 'en-US_AllisonV3Voice' }), false);
+            assert.strictEqual(ssml.needsSSML('hello', { rate: 10 }), true);
+            assert.strictEqual(ssml.needsSSML(['hello']), true);
+        });
+    });
+
+    describe('build', function() {
+        it('turns a message and its settings into SSML', function() {
+            assert.strictEqual(ssml.build('R&D', { rate: 10, pitch: -5, volume: 6 }),
+                '<speak><prosody rate="+10%" pitch="-5%" volume="+6dB">R&amp;D</prosody></speak>');
+            assert.strictEqual(ssml.build('hi', { emphasis: 'strong', rate: 'slow' }),
+                '<speak><prosody rate="slow"><emphasis level="strong">hi</emphasis></prosody></speak>');
+        });
+
+        it('turns segments into SSML', function() {
+            assert.strictEqual(ssml.build([
+                'Today is',
+                { text: '2024-03-01', sayAs: 'date', format: 'ymd' },
+                { pause: 500 },
+                { pause: 'strong' },
+                { text: 'now', emphasis: 'moderate' }
+            ]), '<speak>Today is <say-as interpret-as="date" format="ymd">2024-03-01</say-as> <break time="500ms"/> ' +
+                '<break strength="strong"/> <emphasis level="moderate">now</emphasis></speak>');
+        });
+
+        it('rejects segments it can not speak', function() {
+            assert.throws(function() {
+                ssml.build(['hello', null]);
+            }, /a segment is text, \{pause\} or \{text, \.\.\.settings\}/);
+            assert.throws(function() {
+                ssml.build([{ rate: 10 }]);
+            }, /a segment needs `text` or `pause`/);
+            assert.throws(function() {
+                ssml.build([{ pause: 'long' }]);
+            }, /"long" is not a valid strength of <break>/);
+        });
+    });
+
+    describe('plainText', function() {
+        it('leaves the text without its markup', function() {
+            assert.strictEqual(ssml.plainText('<speak>Tom &amp; Jerry<break time="1s"/>say &#x48;i &#33; <!-- hello --></speak>'),
+                'Tom & Jerry say Hi !');
+        });
+    });
+});
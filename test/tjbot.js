@@ -0,0 +1,164 @@
+/**
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TJBot = require('../index');
+
+const HARDWARE = ['camera', 'led', 'rgb_led', 'microphone', 'servo', 'speaker'];
+
+// a TJBot with all of its hardware simulated
+function simulatedBot(configuration) {
+    return new TJBot(HARDWARE, Object.assign({
+        log: { level: 'error' },
+        simulation: { enabled: true }
+    }, configuration));
+}
+
+describe('TJBot', function() {
+    describe('simulation', function() {
+        var environment;
+
+        beforeEach(function() {
+            environment = process.env.TJBOT_SIMULATION;
+        });
+
+        afterEach(function() {
+            if (environment == undefined) {
+                delete process.env.TJBOT_SIMULATION;
+            } else {
+                process.env.TJBOT_SIMULATION = environment;
+            }
+        });
+
+        it('sets up all the hardware without touching any', function() {
+            var tj = simulatedBot();
+
+            assert.deepStrictEqual(tj.simulationLog('led').map(function(entry) {
+                return entry.action;
+            }), ['init', 'setBrightness']);
+        });
+
+        it('is turned on by the TJBOT_SIMULATION environment variable', function() {
+            process.env.TJBOT_SIMULATION = 'true';
+            var tj = new TJBot(['led'], { log: { level: 'error' } });
+
+            assert.strictEqual(tj.simulationLog('led').length, 2);
+        });
+
+        it('stays off when TJBOT_SIMULATION says so', function() {
+            ['0', 'false', 'no', ''].forEach(function(value) {
+                process.env.TJBOT_SIMULATION = value;
+                // without simulation, the constructor goes for the real hardware
+                var tj = new TJBot([], { log: { level: 'error' } });
+                assert.throws(function() {
+                    tj.simulationLog();
+                }, /simulation/);
+            });
+        });
+    });
+
+    describe('shine', function() {
+        it('lights the LED', function() {
+            var tj = simulatedBot();
+            var changes = [];
+            tj.on(TJBot.EVENTS.COLOR_CHANGED, function(change) {
+                changes.push(change.color);
+            });
+
+            tj.shine('red');
+            tj.shine('blue');
+
+            assert.deepStrictEqual(tj.getPixels(), ['#0000FF']);
+            assert.deepStrictEqual(changes, ['#FF0000', '#0000FF']);
+            assert.deepStrictEqual(tj.simulationLog('led').filter(function(entry) {
+                return entry.action == 'render';
+            }).map(function(entry) {
+                return entry.value.rgb;
+            }), [['#ff0000'], ['#0000ff']]);
+        });
+    });
+
+    describe('moveArm', function() {
+        it('moves the arm at once', async function() {
+            var tj = simulatedBot();
+
+            assert.strictEqual(await tj.moveArm('up'), true);
+            assert.deepStrictEqual(tj.getArmPosition(), { angle: 90, percent: 50, pulseWidth: 1400 });
+            assert.deepStrictEqual(tj.simulationLog('servo').map(function(entry) {
+                return entry.value.pulseWidth;
+            }), [1400]);
+        });
+
+        it('moves the arm in steps over the duration', async function() {
+            var tj = simulatedBot();
+            await tj.moveArm('up');
+
+            assert.strictEqual(await tj.moveArm('down', { durationMs: 100 }), true);
+
+            var pulseWidths = tj.simulationLog('servo').map(function(entry) {
+                return entry.value.pulseWidth;
+            });
+            assert.ok(pulseWidths.length > 2);
+            assert.strictEqual(pulseWidths[pulseWidths.length - 1], tj.getArmPosition().pulseWidth);
+            assert.strictEqual(tj.getArmPosition().angle, 0);
+        });
+
+        it('stops a movement when another one starts', async function() {
+            var tj = simulatedBot();
+            await tj.moveArm('down');
+
+            var first = tj.moveArm('up', { durationMs: 1000 });
+            var second = tj.moveArm('back');
+
+            assert.strictEqual(await first, false);
+            assert.strictEqual(await second, true);
+            assert.strictEqual(tj.getArmPosition().angle, 180);
+        });
+    });
+
+    describe('takePhoto', function() {
+        var directory;
+
+        beforeEach(function() {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tjbot-photo-'));
+        });
+
+        afterEach(function() {
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+
+        it('saves a photo where it is asked to', async function() {
+            var tj = simulatedBot();
+            var taken = [];
+            tj.on(TJBot.EVENTS.PHOTO_TAKEN, function(photo) {
+                taken.push(photo.filePath);
+            });
+
+            var filePath = await tj.takePhoto(path.join(directory, 'photo.jpg'));
+
+            assert.strictEqual(filePath, path.join(directory, 'photo.jpg'));
+            assert.ok(fs.statSync(filePath).size > 0);
+            assert.deepStrictEqual(taken, [filePath]);
+            assert.strictEqual(tj.simulationLog('camera')[0].value.path, filePath);
+        });
+    });
+});
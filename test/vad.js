@@ -0,0 +1,139 @@
+/**
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const vad = require('../lib/vad');
+
+// 8 kHz, so a 20 ms frame is 160 samples
+const RATE = 8000;
+const FRAME_SAMPLES = 160;
+
+// `ms` of 16 bit audio: a square wave of the given amplitude, or silence
+function tone(ms, amplitude) {
+    var samples = RATE * ms / 1000;
+    var buffer = Buffer.alloc(samples * 2);
+    for (var i = 0; i < samples; i++) {
+        buffer.writeInt16LE(i % 2 == 0 ? amplitude : -amplitude, i * 2);
+    }
+    return buffer;
+}
+
+// run audio through a gate, collecting what it lets through and its events
+function gate(options, chunks, callback) {
+    var gate = new vad.VoiceActivityGate(Object.assign({ rate: RATE }, options));
+    var passed = [];
+    var events = [];
+
+    gate.on('data', function(chunk) {
+        passed.push(chunk);
+    });
+    gate.on('speechStart', function() {
+        events.push('start@' + Buffer.concat(passed).length / 2);
+    });
+    gate.on('speechEnd', function(info) {
+        events.push('end:' + info.durationMs);
+    });
+    gate.on('end', function() {
+        callback(Buffer.concat(passed), events);
+    });
+
+    chunks.forEach(function(chunk) {
+        gate.write(chunk);
+    });
+    gate.end();
+}
+
+describe('vad', function() {
+    describe('loudness', function() {
+        it('gives the level relative to full scale', function() {
+            assert.strictEqual(vad.loudness(tone(20, 0)), -Infinity);
+            assert.ok(Math.abs(vad.loudness(tone(20, 32767))) < 0.01);
+            assert.ok(Math.abs(vad.loudness(tone(20, 3277)) + 20) < 0.01);
+        });
+    });
+
+    describe('VoiceActivityGate', function() {
+        it('needs the sample rate', function() {
+            assert.throws(function() {
+                new vad.VoiceActivityGate({});
+            }, /sample rate/);
+        });
+
+        it('lets nothing through while it is quiet', function(done) {
+            gate({}, [tone(1000, 10)], function(passed, events) {
+                assert.strictEqual(passed.length, 0);
+                assert.deepStrictEqual(events, []);
+                done();
+            });
+        });
+
+        it('ignores noises shorter than minSpeechMs', function(done) {
+            gate({ minSpeechMs: 100 }, [tone(200, 0), tone(60, 10000), tone(200, 0)], function(passed, events) {
+                assert.strictEqual(passed.length, 0);
+                assert.deepStrictEqual(events, []);
+                done();
+            });
+        });
+
+        it('lets speech through with the audio from before it started', function(done) {
+            var options = { minSpeechMs: 100, preRollMs: 100, silenceMs: 200 };
+
+            gate(options, [tone(500, 0), tone(300, 10000), tone(500, 0)], function(passed, events) {
+                // 100 ms before the speech, the 300 ms of speech and the 200 ms of silence that ended it
+                assert.strictEqual(passed.length / 2, (100 + 300 + 200) * RATE / 1000);
+                assert.strictEqual(passed.readInt16LE(0), 0);
+                assert.strictEqual(Math.abs(passed.readInt16LE(100 * RATE / 1000 * 2)), 10000);
+                assert.deepStrictEqual(events, ['start@0', 'end:600']);
+                done();
+            });
+        });
+
+        it('ends speech that is still going on when the audio ends', function(done) {
+            gate({ minSpeechMs: 40, preRollMs: 0 }, [tone(200, 10000)], function(passed, events) {
+                assert.strictEqual(passed.length / 2, 200 * RATE / 1000);
+                assert.deepStrictEqual(events, ['start@0', 'end:200']);
+                done();
+            });
+        });
+
+        it('measures frames split over chunks', function(done) {
+            var speech = tone(200, 10000);
+            var chunks = [];
+            // chunks that don't line up with the frames
+            for (var offset = 0; offset < speech.length; offset += FRAME_SAMPLES + 6) {
+                chunks.push(speech.subarray(offset, offset + FRAME_SAMPLES + 6));
+            }
+
+            gate({ minSpeechMs: 40, preRollMs: 0 }, chunks, function(passed, events) {
+                assert.deepStrictEqual(passed, speech);
+                assert.deepStrictEqual(events, ['start@0', 'end:200']);
+                done();
+            });
+        });
+
+        it('reports whether speech is going on', function() {
+            var gate = new vad.VoiceActivityGate({ rate: RATE, minSpeechMs: 40, silenceMs: 100 });
+            gate.resume();
+
+            gate.write(tone(100, 10000));
+            assert.strictEqual(gate.isSpeaking(), true);
+            gate.write(tone(200, 0));
+            assert.strictEqual(gate.isSpeaking(), false);
+        });
+    });
+});